@@ -0,0 +1,184 @@
+/**
+ * Dentabel Clinic Website Analytics
+ * Description: Consent-gated event bus for conversion tracking
+ */
+
+'use strict';
+
+/**
+ * Analytics
+ *
+ * track(name, params) records an event such as "form_start" or "cta_click".
+ * Nothing is recorded until consent is granted with setConsent(true), and
+ * never when the browser sends Global Privacy Control or Do Not Track.
+ * Events carry the page path and a timestamp, no identifiers; callers must
+ * not pass form values, only field names.
+ *
+ * Recorded events go to subscribers (on(name | '*', handler)) and to the
+ * adapter, which delivers them somewhere: NoopAnalyticsAdapter by default,
+ * BeaconAnalyticsAdapter when an endpoint is configured.
+ */
+class Analytics {
+    constructor({ endpoint = null, adapter = null, consent = false, batchSize = 10, flushInterval = 5000 } = {}) {
+        this.adapter = adapter || (endpoint
+            ? new BeaconAnalyticsAdapter({ endpoint, batchSize, flushInterval })
+            : new NoopAnalyticsAdapter());
+        this.handlers = new Map();
+        this.consent = false;
+        this.log = Logger.get('analytics');
+
+        this.setConsent(consent);
+    }
+
+    /**
+     * Browser-Level Opt-Out
+     */
+    static isOptedOut() {
+        return navigator.globalPrivacyControl === true
+            || navigator.doNotTrack === '1'
+            || window.doNotTrack === '1';
+    }
+
+    get enabled() {
+        return this.consent && !Analytics.isOptedOut();
+    }
+
+    setConsent(granted) {
+        this.consent = Boolean(granted);
+
+        // Withdrawing consent also drops events that have not been sent yet
+        if (!this.enabled) {
+            this.adapter.clear();
+        }
+    }
+
+    on(name, handler) {
+        if (!this.handlers.has(name)) {
+            this.handlers.set(name, new Set());
+        }
+        this.handlers.get(name).add(handler);
+
+        return () => this.handlers.get(name).delete(handler);
+    }
+
+    track(name, params = {}) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const event = {
+            name,
+            params,
+            page: window.location.pathname,
+            timestamp: new Date().toISOString()
+        };
+
+        [...(this.handlers.get(name) || []), ...(this.handlers.get('*') || [])].forEach(handler => {
+            try {
+                handler(event);
+            } catch (error) {
+                this.log.warn(`⚠️ Analytics handler for "${name}" failed:`, error);
+            }
+        });
+
+        this.adapter.send(event);
+        return event;
+    }
+
+    destroy() {
+        this.adapter.destroy();
+        this.handlers.clear();
+    }
+}
+
+/**
+ * No-Op Adapter
+ * Keeps the tracking calls in place without sending anything anywhere.
+ */
+class NoopAnalyticsAdapter {
+    send() {}
+
+    clear() {}
+
+    destroy() {}
+}
+
+/**
+ * Beacon Adapter
+ * Batches events and posts them as JSON ({ events: [...] }) with
+ * navigator.sendBeacon, which also delivers while the page is being closed.
+ * A batch goes out when it is full, after flushInterval ms, and when the
+ * page is hidden.
+ */
+class BeaconAnalyticsAdapter {
+    constructor({ endpoint, batchSize = 10, flushInterval = 5000 } = {}) {
+        this.endpoint = endpoint;
+        this.batchSize = batchSize;
+        this.flushInterval = flushInterval;
+        this.queue = [];
+        this.timer = null;
+        this.listeners = new AbortController();
+
+        const { signal } = this.listeners;
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        }, { signal });
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+    }
+
+    send(event) {
+        this.queue.push(event);
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (this.timer === null) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.queue.length === 0) {
+            return;
+        }
+
+        const body = JSON.stringify({ events: this.queue.splice(0) });
+
+        if (typeof navigator.sendBeacon === 'function'
+            && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        // Beacon unavailable or refused (payload too large): best effort
+        if (typeof fetch === 'function') {
+            fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {
+                // Analytics must never get in the patient's way
+            });
+        }
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+    }
+
+    destroy() {
+        this.flush();
+        this.listeners.abort();
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Analytics, NoopAnalyticsAdapter, BeaconAnalyticsAdapter };
+}
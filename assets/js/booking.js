@@ -0,0 +1,441 @@
+/**
+ * Dentabel Clinic Website Appointment Booking
+ * Description: Doctor schedule, calendar and time-slot picker for the contact form
+ */
+
+'use strict';
+
+/**
+ * Booking Schedule
+ * Pure slot arithmetic over the JSON schedule; shared with the reference server.
+ *
+ * Schedule format:
+ *   slotDuration - minutes per appointment
+ *   horizonDays  - how many days ahead can be booked, today included
+ *   doctors      - [{ id, name, services: [serviceKey], hours: { isoWeekday: [[from, to]] } }]
+ *   booked       - [{ doctor, date: 'YYYY-MM-DD', time: 'HH:MM' }]
+ *   sample       - true while the doctors are placeholders (see SampleData)
+ */
+class BookingSchedule {
+    constructor(data, { now = () => new Date() } = {}) {
+        this.slotDuration = data.slotDuration || 30;
+        this.horizonDays = data.horizonDays || 14;
+        this.doctors = data.doctors || [];
+        this.now = now;
+        this.booked = new Set((data.booked || []).map(slot => BookingSchedule.slotKey(slot)));
+    }
+
+    static slotKey({ doctor, date, time }) {
+        return `${doctor}|${date}|${time}`;
+    }
+
+    static formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static parseDate(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    static toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    static fromMinutes(total) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+    }
+
+    getDoctor(id) {
+        return this.doctors.find(doctor => doctor.id === id) || null;
+    }
+
+    doctorsFor(service) {
+        return service
+            ? this.doctors.filter(doctor => doctor.services.includes(service))
+            : this.doctors;
+    }
+
+    /**
+     * Bookable Dates
+     * Date keys from today to the end of the horizon.
+     */
+    dates() {
+        const today = this.now();
+        const dates = [];
+
+        for (let offset = 0; offset < this.horizonDays; offset++) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+            dates.push(BookingSchedule.formatDate(date));
+        }
+
+        return dates;
+    }
+
+    /**
+     * Free Slots for a Doctor on a Date
+     */
+    slotsFor(doctor, dateKey) {
+        if (!this.dates().includes(dateKey)) {
+            return [];
+        }
+
+        const weekday = BookingSchedule.parseDate(dateKey).getDay() || 7;
+        const ranges = (doctor.hours && doctor.hours[weekday]) || [];
+        const now = this.now();
+        const isToday = dateKey === BookingSchedule.formatDate(now);
+        const nowMinutes = now.getHours() * 60 + now.getMinutes();
+        const slots = [];
+
+        ranges.forEach(([from, to]) => {
+            const end = BookingSchedule.toMinutes(to);
+
+            for (let start = BookingSchedule.toMinutes(from); start + this.slotDuration <= end; start += this.slotDuration) {
+                const time = BookingSchedule.fromMinutes(start);
+
+                if (isToday && start <= nowMinutes) {
+                    continue;
+                }
+
+                if (!this.booked.has(BookingSchedule.slotKey({ doctor: doctor.id, date: dateKey, time }))) {
+                    slots.push(time);
+                }
+            }
+        });
+
+        return slots;
+    }
+
+    isAvailable({ doctor, date, time }) {
+        const entry = this.getDoctor(doctor);
+        return Boolean(entry) && this.slotsFor(entry, date).includes(time);
+    }
+
+    markBooked(slot) {
+        this.booked.add(BookingSchedule.slotKey(slot));
+    }
+}
+
+/**
+ * Booking Widget
+ * Renders doctor choice, calendar and time slots into `container`, keeping the
+ * selection in `doctor`, `date` and `time` form fields so the contact form
+ * validates and submits it like any other input.
+ */
+class BookingWidget {
+    constructor(container, { form, onChange = () => {} } = {}) {
+        this.container = container;
+        this.form = form;
+        this.onChange = onChange;
+        this.schedule = null;
+        this.selection = { doctor: '', date: '', time: '' };
+        this.listeners = new AbortController();
+    }
+
+    async load() {
+        const source = this.container.dataset.scheduleSrc;
+        const response = await fetch(source, { headers: { 'Accept': 'application/json' } });
+
+        if (!response.ok) {
+            throw new Error(`Schedule request failed: HTTP ${response.status}`);
+        }
+
+        this.schedule = new BookingSchedule(SampleData.check(await response.json(), source));
+        this.render();
+        this.bindEvents();
+        this.container.hidden = false;
+    }
+
+    get service() {
+        const field = this.form.elements.namedItem('service');
+        return field ? field.value : '';
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <div class="form-group">
+                <label for="doctor" data-i18n="booking.doctor">${i18n.t('booking.doctor')}</label>
+                <select id="doctor" name="doctor"></select>
+            </div>
+            <div class="form-group">
+                <span class="booking-label" id="bookingDateLabel" data-i18n="booking.date">${i18n.t('booking.date')}</span>
+                <div class="booking-calendar" role="group" aria-labelledby="bookingDateLabel"></div>
+                <input type="hidden" name="date">
+            </div>
+            <div class="form-group">
+                <span class="booking-label" id="bookingTimeLabel" data-i18n="booking.time">${i18n.t('booking.time')}</span>
+                <div class="booking-slots" role="group" aria-labelledby="bookingTimeLabel"></div>
+                <input type="hidden" name="time">
+            </div>
+        `;
+
+        this.doctorSelect = this.container.querySelector('select[name="doctor"]');
+        this.calendar = this.container.querySelector('.booking-calendar');
+        this.slots = this.container.querySelector('.booking-slots');
+        this.dateInput = this.container.querySelector('input[name="date"]');
+        this.timeInput = this.container.querySelector('input[name="time"]');
+
+        this.update();
+    }
+
+    bindEvents() {
+        const { signal } = this.listeners;
+        const serviceField = this.form.elements.namedItem('service');
+        if (serviceField) {
+            serviceField.addEventListener('change', () => this.update(), { signal });
+        }
+
+        this.doctorSelect.addEventListener('change', () => {
+            this.selection.doctor = this.doctorSelect.value;
+            this.update();
+        }, { signal });
+
+        this.calendar.addEventListener('click', (e) => {
+            const day = e.target.closest('[data-date]');
+            if (day && !day.disabled) {
+                this.selection.date = day.dataset.date;
+                this.selection.time = '';
+                this.update();
+                this.onChange(this.dateInput);
+            }
+        }, { signal });
+
+        this.slots.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-time]');
+            if (slot && !slot.disabled) {
+                this.selectTime(slot.dataset.time);
+            }
+        }, { signal });
+
+        // Labels are translated by i18n.apply(); generated parts are rebuilt here
+        document.addEventListener('localechange', () => this.update(), { signal });
+
+        // form.reset() leaves hidden inputs alone, so clear the selection explicitly
+        this.form.addEventListener('reset', () => {
+            setTimeout(() => this.reset(), 0);
+        }, { signal });
+    }
+
+    /**
+     * Remove Listeners
+     * The form and document outlive the widget during client-side navigation.
+     */
+    destroy() {
+        this.listeners.abort();
+    }
+
+    /**
+     * Doctors Offering the Selected Service
+     */
+    availableDoctors() {
+        return this.schedule.doctorsFor(this.service);
+    }
+
+    /**
+     * Doctors Considered for Slots
+     * The chosen doctor, or every doctor of the service when "any" is selected.
+     */
+    candidateDoctors() {
+        const doctors = this.availableDoctors();
+        return this.selection.doctor
+            ? doctors.filter(doctor => doctor.id === this.selection.doctor)
+            : doctors;
+    }
+
+    /**
+     * Free Times on a Date
+     * Maps each time to the doctors free at that moment.
+     */
+    timesFor(dateKey) {
+        const times = new Map();
+
+        this.candidateDoctors().forEach(doctor => {
+            this.schedule.slotsFor(doctor, dateKey).forEach(time => {
+                if (!times.has(time)) {
+                    times.set(time, []);
+                }
+                times.get(time).push(doctor);
+            });
+        });
+
+        return new Map([...times.entries()].sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    selectTime(time) {
+        const doctors = this.timesFor(this.selection.date).get(time);
+        if (!doctors) {
+            return;
+        }
+
+        // "Any specialist": assign the first doctor free at that time
+        if (!this.selection.doctor) {
+            this.selection.doctor = doctors[0].id;
+        }
+
+        this.selection.time = time;
+        this.update();
+        this.onChange(this.timeInput);
+    }
+
+    update() {
+        const doctors = this.availableDoctors();
+
+        // Drop choices that the new service or doctor no longer allows
+        if (this.selection.doctor && !doctors.some(doctor => doctor.id === this.selection.doctor)) {
+            this.selection.doctor = '';
+        }
+        if (this.selection.date && this.timesFor(this.selection.date).size === 0) {
+            this.selection.date = '';
+        }
+        if (this.selection.time && !this.timesFor(this.selection.date).has(this.selection.time)) {
+            this.selection.time = '';
+        }
+
+        this.renderDoctors(doctors);
+        this.renderCalendar();
+        this.renderSlots();
+
+        this.dateInput.value = this.selection.date;
+        this.timeInput.value = this.selection.time;
+    }
+
+    /**
+     * Address the Request to a Doctor
+     * A service the doctor does not provide is replaced by theirs, or cleared
+     * when they have several. Returns false for doctors not in the schedule.
+     */
+    selectDoctor(id) {
+        const doctor = this.schedule.getDoctor(id);
+
+        if (!doctor) {
+            return false;
+        }
+
+        this.selection.doctor = doctor.id;
+
+        const serviceField = this.form.elements.namedItem('service');
+        if (serviceField && this.service && !doctor.services.includes(this.service)) {
+            serviceField.value = doctor.services.length === 1 ? doctor.services[0] : '';
+            serviceField.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        this.update();
+        return true;
+    }
+
+    renderDoctors(doctors) {
+        const anyOption = new Option(i18n.t('booking.anyDoctor'), '');
+        this.doctorSelect.replaceChildren(anyOption, ...doctors.map(doctor => new Option(doctor.name, doctor.id)));
+        this.doctorSelect.value = this.selection.doctor;
+    }
+
+    renderCalendar() {
+        const dates = this.schedule.dates();
+        const first = BookingSchedule.parseDate(dates[0]);
+        const last = BookingSchedule.parseDate(dates[dates.length - 1]);
+        const cells = [];
+
+        // Weekday names from a known Monday (1 January 2024)
+        const weekdayFormat = new Intl.DateTimeFormat(i18n.tag, { weekday: 'short' });
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const name = weekdayFormat.format(new Date(2024, 0, 1 + weekday));
+            const heading = document.createElement('span');
+            heading.className = 'booking-weekday';
+            heading.setAttribute('aria-hidden', 'true');
+            heading.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+            cells.push(heading);
+        }
+
+        // Full weeks from Monday to Sunday around the bookable range
+        const start = new Date(first);
+        start.setDate(first.getDate() - ((first.getDay() || 7) - 1));
+        const end = new Date(last);
+        end.setDate(last.getDate() + (7 - (last.getDay() || 7)));
+
+        for (let date = start; date <= end; date.setDate(date.getDate() + 1)) {
+            const dateKey = BookingSchedule.formatDate(date);
+            const day = document.createElement('button');
+            const isSelected = dateKey === this.selection.date;
+
+            day.type = 'button';
+            day.className = 'booking-day';
+            day.dataset.date = dateKey;
+            day.textContent = date.getDate();
+            day.disabled = !dates.includes(dateKey) || this.timesFor(dateKey).size === 0;
+            day.classList.toggle('selected', isSelected);
+            day.setAttribute('aria-pressed', isSelected);
+            day.setAttribute('aria-label', date.toLocaleDateString(i18n.tag, {
+                weekday: 'long',
+                day: 'numeric',
+                month: 'long'
+            }));
+
+            cells.push(day);
+        }
+
+        this.calendar.replaceChildren(...cells);
+    }
+
+    renderSlots() {
+        if (!this.selection.date) {
+            this.slots.replaceChildren(this.createHint(i18n.t('booking.chooseDate')));
+            return;
+        }
+
+        const times = this.timesFor(this.selection.date);
+
+        if (times.size === 0) {
+            this.slots.replaceChildren(this.createHint(i18n.t('booking.noSlots')));
+            return;
+        }
+
+        this.slots.replaceChildren(...[...times.keys()].map(time => {
+            const slot = document.createElement('button');
+            const isSelected = time === this.selection.time;
+
+            slot.type = 'button';
+            slot.className = 'booking-slot';
+            slot.dataset.time = time;
+            slot.textContent = time;
+            slot.classList.toggle('selected', isSelected);
+            slot.setAttribute('aria-pressed', isSelected);
+
+            return slot;
+        }));
+    }
+
+    createHint(text) {
+        const hint = document.createElement('p');
+        hint.className = 'booking-hint';
+        hint.textContent = text;
+        return hint;
+    }
+
+    /**
+     * Mark Current Selection as Taken
+     * Used after a successful booking and when the server reports a conflict.
+     */
+    markSelectionBooked() {
+        const { doctor, date, time } = this.selection;
+
+        if (doctor && date && time) {
+            this.schedule.markBooked({ doctor, date, time });
+        }
+
+        this.selection.time = '';
+        this.update();
+    }
+
+    reset() {
+        this.selection = { doctor: '', date: '', time: '' };
+        this.update();
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BookingSchedule, BookingWidget };
+}
@@ -0,0 +1,9 @@
+/**
+ * Dentabel Clinic Website Bootstrap
+ * Description: Starts the site; loaded last, after every other script
+ */
+
+'use strict';
+
+// Initialize Application
+const { app: dentabelApp, pageManager } = startDentabel();
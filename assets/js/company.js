@@ -0,0 +1,199 @@
+/**
+ * Dentabel Clinic Website Company Data
+ * Description: Loads assets/data/company.json and binds it into the page
+ */
+
+'use strict';
+
+/**
+ * Company Profile
+ * Read access to company.json by dotted path ("contacts.phones.0") plus
+ * values derived from it, so the page never carries stale copies.
+ */
+class CompanyProfile {
+    constructor(data, { now = () => new Date() } = {}) {
+        this.data = data;
+        this.now = now;
+    }
+
+    /**
+     * Value by Path
+     * Computed fields take precedence; undefined when the key is missing.
+     */
+    get(path) {
+        if (Object.prototype.hasOwnProperty.call(CompanyProfile.COMPUTED, path)) {
+            return CompanyProfile.COMPUTED[path](this);
+        }
+
+        return path.split('.').reduce((node, part) => (
+            node !== null && node !== undefined && node[part] !== undefined ? node[part] : undefined
+        ), this.data);
+    }
+
+    /**
+     * Full Years Since the Founding Date
+     */
+    yearsInBusiness() {
+        if (!this.data.established_date) {
+            return undefined;
+        }
+
+        const [year, month, day] = this.data.established_date.split('-').map(Number);
+        const now = this.now();
+        const beforeAnniversary = now.getMonth() + 1 < month || (now.getMonth() + 1 === month && now.getDate() < day);
+
+        return now.getFullYear() - year - (beforeAnniversary ? 1 : 0);
+    }
+
+    addressLine() {
+        const { city, street } = this.data.address || {};
+        return city && street ? `г. ${city}, ${street}` : undefined;
+    }
+}
+
+CompanyProfile.COMPUTED = {
+    years_in_business: profile => profile.yearsInBusiness(),
+    address_line: profile => profile.addressLine()
+};
+
+/**
+ * Company Bindings
+ *
+ * Elements opt in through attributes:
+ *   data-bind="contacts.phones.0"               - text content
+ *   data-bind-as="tel|mailto|url"               - on links, also sets href
+ *   data-bind-attr="data-i18n-count:years_in_business;..." - attribute values
+ *
+ * company.json is written in Russian, so its brand name, slogan and address
+ * also replace the default-locale messages listed in MESSAGES; the other
+ * locales keep their own translations. Markup stays as the fallback when the
+ * file cannot be loaded or a key is missing.
+ */
+class CompanyBindings {
+    constructor(root = document, { src } = {}) {
+        this.root = root;
+        this.src = src;
+        this.profile = null;
+        this.log = Logger.get('company');
+    }
+
+    async load() {
+        const response = await fetch(this.src, { headers: { 'Accept': 'application/json' } });
+
+        if (!response.ok) {
+            throw new Error(`Company data request failed: HTTP ${response.status}`);
+        }
+
+        this.profile = new CompanyProfile(await response.json());
+        this.render();
+
+        return this.profile;
+    }
+
+    /**
+     * Value for a Bound Key
+     * Warns once per render for keys company.json does not provide.
+     */
+    resolve(path) {
+        const value = this.profile.get(path);
+
+        if (value === undefined || value === null || value === '') {
+            if (!this.missing.has(path)) {
+                this.missing.add(path);
+                this.log.warn(`⚠️ Missing company data: ${path}`);
+            }
+            return undefined;
+        }
+
+        return value;
+    }
+
+    render() {
+        this.missing = new Set();
+
+        this.root.querySelectorAll('[data-bind]').forEach(element => {
+            const value = this.resolve(element.dataset.bind);
+            if (value !== undefined) {
+                this.bindText(element, value);
+            }
+        });
+
+        this.root.querySelectorAll('[data-bind-attr]').forEach(element => {
+            element.dataset.bindAttr.split(';').forEach(pair => {
+                const [attribute, path] = pair.split(':').map(part => part.trim());
+                const value = attribute && path ? this.resolve(path) : undefined;
+                if (value !== undefined) {
+                    element.setAttribute(attribute, value);
+                }
+            });
+        });
+
+        this.bindMessages();
+    }
+
+    bindText(element, value) {
+        element.textContent = value;
+
+        if (element.tagName !== 'A') {
+            return;
+        }
+
+        switch (element.dataset.bindAs) {
+            case 'tel':
+                element.href = `tel:${CompanyBindings.dialString(value)}`;
+                break;
+            case 'mailto':
+                element.href = `mailto:${value}`;
+                break;
+            case 'url':
+                element.href = value;
+                break;
+        }
+    }
+
+    /**
+     * Default-Locale Messages from Company Data
+     * Re-applies translations so [data-i18n] elements and the counts bound
+     * above pick up the new values.
+     */
+    bindMessages() {
+        if (typeof I18n === 'undefined') {
+            return;
+        }
+
+        const messages = {};
+
+        Object.entries(CompanyBindings.MESSAGES).forEach(([key, path]) => {
+            const value = this.resolve(path);
+            if (value === undefined) {
+                return;
+            }
+
+            const parts = key.split('.');
+            const last = parts.pop();
+            const node = parts.reduce((parent, part) => (parent[part] = parent[part] || {}), messages);
+            node[last] = value;
+        });
+
+        I18n.addMessages(i18n.defaultLocale, messages);
+        i18n.apply(this.root);
+    }
+
+    // "+375 (17) 350-99-99" -> "+375173509999"
+    static dialString(phone) {
+        const normalized = typeof BelarusPhone !== 'undefined' ? BelarusPhone.normalize(phone) : null;
+        return normalized || String(phone).replace(/[^\d+]/g, '');
+    }
+}
+
+// i18n message key -> company.json path
+CompanyBindings.MESSAGES = {
+    'brand': 'brand_name',
+    'slogan': 'slogan',
+    'contacts.address': 'address_line'
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompanyProfile, CompanyBindings };
+}
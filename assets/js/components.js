@@ -0,0 +1,216 @@
+/**
+ * Dentabel Clinic Website Components
+ * Description: Component base class and a registry that mounts components on matching markup
+ */
+
+'use strict';
+
+/**
+ * Component
+ *
+ * One instance per matching element. The registry constructs it with
+ * { app, options } and calls the lifecycle hooks:
+ *   mount()    the element is in the page
+ *   unmount()  the element left the page, or the component was disabled
+ *   destroy()  the registry itself is being torn down (defaults to unmount())
+ *
+ * Listeners added with listen() are removed automatically after unmount/destroy.
+ * Options are Class.defaults merged with the component's entry in the config.
+ */
+class Component {
+    constructor(element, { app = null, options = {} } = {}) {
+        this.element = element;
+        this.app = app;
+        this.options = { ...this.constructor.defaults, ...options };
+        this.listeners = new AbortController();
+    }
+
+    mount() {}
+
+    unmount() {}
+
+    destroy() {
+        this.unmount();
+    }
+
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.listeners.signal });
+    }
+}
+
+Component.selector = null;
+Component.defaults = {};
+
+/**
+ * Component Registry
+ *
+ * Component modules in assets/js/components/ register a class once with
+ * ComponentRegistry.register(name, Class); Class.selector names the elements
+ * it mounts on. After start(), matching elements added to the page later
+ * (e.g. by client-side navigation) are mounted and removed ones unmounted.
+ *
+ * Config, from window.DENTABEL_CONFIG.components, is keyed by component name:
+ *   false            the component is disabled
+ *   { ...options }   options for the component ({ enabled: false } disables it)
+ *
+ * onError(error, name) is called when a component fails to mount.
+ */
+class ComponentRegistry {
+    constructor({ root = document.body, context = {}, config = {}, onError = null } = {}) {
+        this.root = root;
+        this.context = context;
+        this.config = config;
+        this.onError = onError;
+        this.log = Logger.get('components');
+        this.components = ComponentRegistry.components;
+        this.instances = new Map();
+        this.disabled = new Set();
+        this.observer = null;
+
+        Object.entries(config).forEach(([name, entry]) => {
+            if (entry === false || (entry && entry.enabled === false)) {
+                this.disabled.add(name);
+            }
+        });
+    }
+
+    static register(name, ComponentClass) {
+        ComponentRegistry.components.set(name, ComponentClass);
+    }
+
+    start() {
+        this.scan(this.root);
+
+        if (typeof MutationObserver === 'function') {
+            this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+            this.observer.observe(this.root, { childList: true, subtree: true });
+        }
+    }
+
+    isEnabled(name) {
+        return this.components.has(name) && !this.disabled.has(name);
+    }
+
+    enable(name) {
+        this.disabled.delete(name);
+        this.scan(this.root, [name]);
+    }
+
+    disable(name) {
+        this.disabled.add(name);
+        [...this.getInstances(name).keys()].forEach(element => this.unmount(name, element));
+    }
+
+    getInstances(name) {
+        if (!this.instances.has(name)) {
+            this.instances.set(name, new Map());
+        }
+        return this.instances.get(name);
+    }
+
+    /**
+     * Instance Mounted on an Element, if Any
+     */
+    get(name, element) {
+        return this.getInstances(name).get(element) || null;
+    }
+
+    /**
+     * Mount Components on Matching Elements
+     * root itself is included, so a newly added form matches its own selector.
+     */
+    scan(root, names = [...this.components.keys()]) {
+        names.filter(name => this.isEnabled(name)).forEach(name => {
+            const { selector } = this.components.get(name);
+            const elements = root.querySelectorAll(selector);
+
+            if (root.matches && root.matches(selector)) {
+                this.mount(name, root);
+            }
+            elements.forEach(element => this.mount(name, element));
+        });
+    }
+
+    mount(name, element) {
+        const instances = this.getInstances(name);
+
+        if (instances.has(element)) {
+            return instances.get(element);
+        }
+
+        const ComponentClass = this.components.get(name);
+        const options = this.config[name] && typeof this.config[name] === 'object' ? this.config[name] : {};
+        const instance = new ComponentClass(element, { ...this.context, options });
+
+        instances.set(element, instance);
+
+        try {
+            instance.mount();
+        } catch (error) {
+            instances.delete(element);
+            instance.listeners.abort();
+            this.log.error(`🚨 Component "${name}" failed to mount:`, error);
+
+            if (this.onError) {
+                this.onError(error, name);
+            }
+        }
+
+        return instance;
+    }
+
+    unmount(name, element, hook = 'unmount') {
+        const instances = this.getInstances(name);
+        const instance = instances.get(element);
+
+        if (!instance) {
+            return;
+        }
+
+        instances.delete(element);
+
+        try {
+            instance[hook]();
+        } finally {
+            instance.listeners.abort();
+        }
+    }
+
+    handleMutations(mutations) {
+        const removed = mutations.some(mutation => mutation.removedNodes.length > 0);
+
+        if (removed) {
+            this.instances.forEach((instances, name) => {
+                [...instances.keys()]
+                    .filter(element => !element.isConnected)
+                    .forEach(element => this.unmount(name, element));
+            });
+        }
+
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) {
+                    this.scan(node);
+                }
+            });
+        });
+    }
+
+    destroy() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        this.instances.forEach((instances, name) => {
+            [...instances.keys()].forEach(element => this.unmount(name, element, 'destroy'));
+        });
+    }
+}
+
+ComponentRegistry.components = new Map();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Component, ComponentRegistry };
+}
@@ -0,0 +1,278 @@
+/**
+ * Dentabel Clinic Website Contact Form
+ * Description: Appointment request form with booking, delivery retries and an offline outbox
+ */
+
+'use strict';
+
+/**
+ * Contact Form
+ * Submission settings come from the app options (submission, outbox), so
+ * window.DENTABEL_CONFIG keeps working as before.
+ */
+class ContactForm extends ValidatedForm {
+    mount() {
+        const form = this.element;
+
+        this.log = Logger.get('contact-form');
+        this.validator = this.createValidator();
+        this.bindValidation();
+        this.bookingWidget = null;
+
+        // Phone input mask: +375 (XX) XXX-XX-XX, regional +375 (XXX) XX-XX-XX
+        this.phoneMasks = [...form.querySelectorAll('input[data-phone-mask]')].map(input => new PhoneMask(input));
+
+        // Appointment booking: doctor schedule and time-slot picker
+        const bookingContainer = form.querySelector('#bookingWidget');
+        if (bookingContainer) {
+            this.initBooking(bookingContainer);
+        }
+
+        // Offline outbox: deliver requests queued on a previous visit or while offline
+        this.outbox = this.app.outbox || (this.app.outbox = new SubmissionOutbox(this.app.options.outbox));
+        this.listen(window, 'online', () => this.flushOutbox());
+        this.flushOutbox();
+
+        this.log.debug('✅ Contact form functionality initialized');
+    }
+
+    unmount() {
+        this.phoneMasks.forEach(mask => mask.destroy());
+
+        if (this.bookingWidget) {
+            this.bookingWidget.destroy();
+            this.bookingWidget = null;
+        }
+    }
+
+    /**
+     * Form Validation Schema
+     * Merged with data-rule-* attributes in the markup.
+     */
+    createValidator() {
+        return new FormValidator(this.element, {
+            schema: {
+                name: {
+                    required: true,
+                    minLength: 2,
+                    pattern: /^[а-яёА-ЯЁa-zA-Z\s-]+$/,
+                    messages: { pattern: () => i18n.t('validation.name') }
+                },
+                phone: {
+                    required: true,
+                    phoneBY: true,
+                    phoneCodeBY: true
+                },
+                email: {
+                    email: true
+                },
+                date: {
+                    required: true,
+                    messages: { required: () => i18n.t('validation.date') }
+                },
+                time: {
+                    required: true,
+                    messages: { required: () => i18n.t('validation.time') }
+                }
+            }
+        });
+    }
+
+    /**
+     * Appointment Booking Widget
+     * Without a schedule the form falls back to a plain request with a comment.
+     */
+    initBooking(container) {
+        const widget = new BookingWidget(container, {
+            form: this.element,
+            onChange: field => this.validateField(field)
+        });
+        this.bookingWidget = widget;
+
+        widget.load()
+            .then(() => {
+                // "Book with this doctor" from the specialists directory
+                const doctor = new URLSearchParams(window.location.search).get('doctor');
+                if (doctor) {
+                    widget.selectDoctor(doctor);
+                }
+
+                this.log.debug('✅ Appointment booking initialized');
+            })
+            .catch(error => {
+                widget.destroy();
+                if (this.bookingWidget === widget) {
+                    this.bookingWidget = null;
+                }
+                container.remove();
+                this.log.warn('⚠️ Appointment booking unavailable:', error);
+            });
+    }
+
+    /**
+     * Handle Form Submission
+     */
+    async submit() {
+        const form = this.element;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        const originalText = submitBtn.textContent;
+        const idempotencyKey = SubmissionOutbox.createKey();
+        let payload = null;
+
+        // Show loading state
+        submitBtn.disabled = true;
+        submitBtn.textContent = i18n.t('form.sending');
+
+        try {
+            // Throws on a malformed structured field, which is reported like any failed submission
+            payload = this.serialize();
+
+            if (navigator.onLine === false) {
+                throw new SubmissionError('Browser is offline', { retryable: true });
+            }
+
+            await this.getTransport().send(payload, { idempotencyKey });
+
+            if (this.bookingWidget) {
+                this.bookingWidget.markSelectionBooked();
+            }
+
+            this.track('form_submit', { result: 'sent', service: payload.service || null });
+            form.reset();
+            this.app.showNotification(i18n.t('notifications.sent'), 'success');
+
+            this.log.debug('📧 Form submitted successfully');
+        } catch (error) {
+            if (error.retryable) {
+                this.queueSubmission(idempotencyKey, payload);
+            } else {
+                this.handleSubmissionError(error);
+            }
+        } finally {
+            // Reset button
+            submitBtn.disabled = false;
+            submitBtn.textContent = originalText;
+        }
+    }
+
+    /**
+     * Queue Undelivered Submission
+     */
+    queueSubmission(idempotencyKey, payload) {
+        this.outbox.enqueue(idempotencyKey, payload);
+        this.track('form_submit', { result: 'queued', service: payload.service || null });
+        this.element.reset();
+
+        this.app.showNotification(i18n.t('notifications.queued'), 'info');
+
+        this.log.info('📦 Form submission queued for later delivery');
+    }
+
+    /**
+     * Deliver Queued Submissions
+     */
+    async flushOutbox() {
+        if (!this.outbox.size || navigator.onLine === false) {
+            return;
+        }
+
+        const { sent, rejected } = await this.outbox.flush(this.getTransport());
+
+        if (sent.length > 0) {
+            this.app.showNotification(i18n.t('notifications.outboxSent', { count: sent.length }), 'success');
+        }
+
+        // e.g. the queued time slot was taken while the patient was offline
+        if (rejected.length > 0) {
+            this.app.showNotification(i18n.t('notifications.outboxRejected'), 'error');
+        }
+    }
+
+    /**
+     * Resolve Submission Transport
+     * A configured transport wins; otherwise POST to the form action.
+     */
+    getTransport() {
+        const { transport, ...transportOptions } = this.app.options.submission;
+
+        if (transport) {
+            return transport;
+        }
+
+        return new FetchTransport({
+            ...transportOptions,
+            endpoint: this.element.getAttribute('action') || transportOptions.endpoint
+        });
+    }
+
+    /**
+     * Serialize Form to Request Payload
+     */
+    serialize() {
+        const form = this.element;
+        const payload = {};
+
+        new FormData(form).forEach((value, key) => {
+            payload[key] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        // Masked phones are sent in E.164 so the front desk can dial them as is
+        form.querySelectorAll('input[data-phone-mask]').forEach(input => {
+            payload[input.name] = BelarusPhone.normalize(input.value) || payload[input.name];
+        });
+
+        // Structured fields, such as an estimate from the cost calculator
+        form.querySelectorAll('input[data-json]').forEach(input => {
+            if (input.name && input.value) {
+                payload[input.name] = JSON.parse(input.value);
+            }
+        });
+
+        payload.page = window.location.pathname;
+        payload.submittedAt = new Date().toISOString();
+
+        return payload;
+    }
+
+    /**
+     * Handle Submission Error
+     */
+    handleSubmissionError(error) {
+        const form = this.element;
+        const fieldErrors = error.details && error.details.errors;
+
+        this.track('form_submit', { result: 'error', status: error.status || null });
+
+        // Slot taken by someone else in the meantime: remove it from the picker
+        if (error.status === 409 && this.bookingWidget) {
+            this.bookingWidget.markSelectionBooked();
+        }
+
+        // Server-side validation: show messages next to the offending fields
+        if (fieldErrors) {
+            Object.entries(fieldErrors).forEach(([name, message]) => {
+                const field = form.elements.namedItem(name);
+                if (field) {
+                    this.showFieldError(field, message);
+                }
+            });
+
+            this.app.showNotification(i18n.t('notifications.checkForm'), 'error');
+        } else {
+            this.app.showNotification(i18n.t('notifications.sendFailed'), 'error', {
+                actions: [{ label: i18n.t('notifications.retry'), onClick: () => form.requestSubmit() }]
+            });
+        }
+
+        this.log.error('🚨 Form submission failed:', error);
+    }
+}
+
+ContactForm.selector = '#contactForm';
+
+ComponentRegistry.register('contact-form', ContactForm);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ContactForm };
+}
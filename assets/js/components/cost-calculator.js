@@ -0,0 +1,377 @@
+/**
+ * Dentabel Clinic Website Cost Calculator
+ * Description: Itemized treatment estimate that can be printed, downloaded or sent with a request
+ */
+
+'use strict';
+
+/**
+ * Cost Calculator
+ * Mounts on [data-cost-calculator], loads the service catalog from
+ * data-catalog-src and renders into its .cost-calculator element. The
+ * section stays hidden unless the catalog loads.
+ *
+ * "Send with a request" attaches the estimate to the contact form as an
+ * "estimate" JSON field. The attachment follows later changes until the
+ * patient removes it or the form is reset after sending. When all
+ * procedures share a category, that category is chosen in the service field.
+ */
+class CostCalculator extends Component {
+    mount() {
+        this.log = Logger.get('cost-calculator');
+        this.catalog = null;
+        this.estimate = null;
+        this.attachment = null;
+
+        this.load()
+            .then(() => this.log.debug('✅ Cost calculator loaded'))
+            .catch(error => this.log.warn('⚠️ Cost calculator unavailable:', error));
+    }
+
+    unmount() {
+        this.detach();
+        document.body.classList.remove('printing-estimate');
+    }
+
+    async load() {
+        const response = await fetch(this.element.dataset.catalogSrc, { headers: { 'Accept': 'application/json' } });
+
+        if (!response.ok) {
+            throw new Error(`Service catalog request failed: HTTP ${response.status}`);
+        }
+
+        const catalog = SampleData.check(await response.json(), this.element.dataset.catalogSrc);
+
+        // Unmounted while loading
+        if (this.listeners.signal.aborted) {
+            return;
+        }
+
+        this.catalog = catalog;
+        this.estimate = new CostEstimate(catalog);
+        this.render();
+        this.element.hidden = false;
+    }
+
+    render() {
+        const container = this.element.querySelector('.cost-calculator');
+        const { categories, services } = this.catalog;
+
+        container.innerHTML = `
+            <div class="calculator-picker">
+                <div class="form-group">
+                    <label for="calculatorCategory" data-i18n="calculator.category"></label>
+                    <select id="calculatorCategory">
+                        ${categories.map(({ id }) => `<option value="${id}" data-i18n="serviceOptions.${id}"></option>`).join('')}
+                    </select>
+                </div>
+                <ul class="calculator-procedures">
+                    ${services.map(service => `
+                        <li class="calculator-procedure" data-category="${service.category}">
+                            <span class="calculator-procedure-name" id="calculator-${service.id}" data-i18n="services.catalog.procedures.${service.id}"></span>
+                            <span class="calculator-procedure-price" data-price="${service.id}"></span>
+                            <span class="calculator-quantity">
+                                <button type="button" class="calculator-step" data-procedure="${service.id}" data-step="-1">−</button>
+                                <input type="number" min="0" max="${CostEstimate.MAX_QUANTITY}" step="1" value="0" inputmode="numeric" data-procedure="${service.id}" aria-labelledby="calculator-${service.id}">
+                                <button type="button" class="calculator-step" data-procedure="${service.id}" data-step="1">+</button>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+            <div class="calculator-estimate">
+                <h3 class="estimate-title" data-i18n="calculator.estimateTitle"></h3>
+                <p class="estimate-date"></p>
+                <p class="estimate-empty" data-i18n="calculator.empty"></p>
+                <table class="estimate-table">
+                    <thead>
+                        <tr>
+                            <th scope="col" data-i18n="calculator.procedure"></th>
+                            <th scope="col" data-i18n="calculator.quantity"></th>
+                            <th scope="col" data-i18n="calculator.cost"></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row" colspan="2" data-i18n="calculator.total"></th>
+                            <td class="estimate-total"></td>
+                        </tr>
+                    </tfoot>
+                </table>
+                <p class="estimate-note" data-i18n="services.catalog.priceNote"></p>
+                <p class="visually-hidden" role="status"></p>
+                <div class="estimate-actions">
+                    <button type="button" class="btn btn-primary" data-estimate-action="attach" data-i18n="calculator.attach"></button>
+                    <button type="button" class="btn btn-outline" data-estimate-action="print" data-i18n="calculator.print"></button>
+                    <button type="button" class="btn btn-outline" data-estimate-action="download" data-i18n="calculator.export"></button>
+                    <button type="button" class="btn btn-outline" data-estimate-action="clear" data-i18n="calculator.clear"></button>
+                </div>
+            </div>
+        `;
+
+        this.category = container.querySelector('#calculatorCategory');
+        this.rows = container.querySelector('.estimate-table tbody');
+        this.status = container.querySelector('[role="status"]');
+
+        this.listen(this.category, 'change', () => this.showCategory(this.category.value));
+
+        this.listen(container, 'input', (e) => {
+            if (e.target.matches('input[data-procedure]')) {
+                this.setQuantity(e.target.dataset.procedure, e.target.value, { keepInput: true });
+            }
+        });
+
+        // Show the value that was actually taken once the field is left
+        this.listen(container, 'change', (e) => {
+            if (e.target.matches('input[data-procedure]')) {
+                this.setQuantity(e.target.dataset.procedure, e.target.value);
+            }
+        });
+
+        this.listen(container, 'click', (e) => {
+            const step = e.target.closest('.calculator-step');
+            const action = e.target.closest('[data-estimate-action]');
+
+            if (step) {
+                const id = step.dataset.procedure;
+                this.setQuantity(id, this.estimate.quantity(id) + Number(step.dataset.step));
+            } else if (action) {
+                this[action.dataset.estimateAction]();
+            }
+        });
+
+        const form = this.getForm();
+        if (form) {
+            // A sent request starts over without the estimate
+            this.listen(form, 'reset', () => this.detach());
+        }
+
+        this.listen(window, 'afterprint', () => document.body.classList.remove('printing-estimate'));
+        this.listen(document, 'localechange', () => this.translate());
+
+        this.showCategory(this.category.value);
+        i18n.apply(container);
+        this.translate();
+    }
+
+    /**
+     * Texts Built with Parameters
+     * Labels, prices and the estimate itself, after rendering and on every locale change.
+     */
+    translate() {
+        this.element.querySelectorAll('.calculator-step').forEach(button => {
+            const name = i18n.t(`services.catalog.procedures.${button.dataset.procedure}`);
+            button.setAttribute('aria-label', i18n.t(Number(button.dataset.step) < 0 ? 'calculator.decrease' : 'calculator.increase', { name }));
+        });
+
+        this.element.querySelectorAll('[data-price]').forEach(price => {
+            price.textContent = this.formatPrice(this.estimate.find(price.dataset.price).price);
+        });
+
+        this.update();
+    }
+
+    showCategory(category) {
+        this.element.querySelectorAll('.calculator-procedure').forEach(row => {
+            row.hidden = row.dataset.category !== category;
+        });
+    }
+
+    /**
+     * Set a Procedure's Quantity
+     * Anything that is not a whole number in range is brought into range.
+     */
+    setQuantity(id, value, { keepInput = false } = {}) {
+        const quantity = Math.min(Math.max(Math.trunc(Number(value)) || 0, 0), CostEstimate.MAX_QUANTITY);
+        const input = this.element.querySelector(`input[data-procedure="${id}"]`);
+
+        this.estimate.set(id, quantity);
+
+        // Leave an empty field alone while the patient is typing over it
+        if (!keepInput || (input.value !== '' && input.value !== String(quantity))) {
+            input.value = quantity;
+        }
+
+        this.update();
+    }
+
+    update() {
+        const empty = this.estimate.isEmpty();
+        const total = this.formatPrice(this.estimate.total);
+
+        this.rows.replaceChildren(...this.estimate.items.map(item => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            const quantity = document.createElement('td');
+            const cost = document.createElement('td');
+
+            name.textContent = this.getName(item.id);
+            quantity.textContent = item.quantity;
+            cost.textContent = this.formatPrice(item.total);
+            row.append(name, quantity, cost);
+
+            return row;
+        }));
+
+        this.element.querySelector('.estimate-total').textContent = total;
+        this.element.querySelector('.estimate-date').textContent = i18n.t('calculator.date', { date: this.formatDate() });
+        this.element.querySelector('.estimate-table').hidden = empty;
+        this.element.querySelector('.estimate-empty').hidden = !empty;
+        this.element.querySelectorAll('[data-estimate-action]').forEach(button => {
+            button.disabled = empty;
+        });
+
+        this.status.textContent = empty ? '' : `${i18n.t('calculator.total')}: ${total}`;
+
+        if (this.attachment) {
+            this.syncAttachment();
+        }
+    }
+
+    getName(id) {
+        return i18n.t(`services.catalog.procedures.${id}`);
+    }
+
+    getForm() {
+        return document.querySelector(this.options.form);
+    }
+
+    formatPrice(price) {
+        return CostEstimate.formatPrice(price, this.catalog.currency, i18n.tag);
+    }
+
+    formatDate() {
+        return new Date().toLocaleDateString(i18n.tag, { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    /**
+     * Plain-Text Estimate
+     * Used for the downloaded file.
+     */
+    toText() {
+        return [
+            `${i18n.t('brand')} — ${i18n.t('calculator.estimateTitle')}`,
+            i18n.t('calculator.date', { date: this.formatDate() }),
+            '',
+            ...this.estimate.items.map(item => `${this.getName(item.id)} × ${item.quantity}: ${this.formatPrice(item.total)}`),
+            '',
+            `${i18n.t('calculator.total')}: ${this.formatPrice(this.estimate.total)}`,
+            i18n.t('services.catalog.priceNote')
+        ].join('\n');
+    }
+
+    /**
+     * Estimate Actions
+     */
+    print() {
+        // Print styles leave only the estimate while this class is set
+        document.body.classList.add('printing-estimate');
+        this.app.analytics.track('estimate_print', { procedures: this.estimate.items.length });
+        window.print();
+    }
+
+    download() {
+        const url = URL.createObjectURL(new Blob([this.toText()], { type: 'text/plain;charset=utf-8' }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = `${i18n.t('calculator.fileName')}.txt`;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking right away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+
+        this.app.analytics.track('estimate_download', { procedures: this.estimate.items.length });
+    }
+
+    clear() {
+        this.estimate.clear();
+        this.element.querySelectorAll('input[data-procedure]').forEach(input => {
+            input.value = 0;
+        });
+        this.update();
+    }
+
+    attach() {
+        const form = this.getForm();
+
+        if (!form || this.estimate.isEmpty()) {
+            return;
+        }
+
+        if (!this.attachment) {
+            this.attachment = document.createElement('div');
+            this.attachment.className = 'form-estimate';
+            this.attachment.tabIndex = -1;
+            this.attachment.innerHTML = `
+                <input type="hidden" name="estimate" data-json>
+                <i class="fas fa-file-invoice" aria-hidden="true"></i>
+                <div class="form-estimate-text">
+                    <p class="form-estimate-title" data-i18n="calculator.attached"></p>
+                    <p class="form-estimate-summary"></p>
+                </div>
+                <button type="button" class="form-estimate-remove" data-i18n="calculator.remove"></button>
+            `;
+            this.listen(this.attachment.querySelector('.form-estimate-remove'), 'click', () => this.detach());
+
+            const submit = form.querySelector('[type="submit"]');
+            if (submit) {
+                submit.before(this.attachment);
+            } else {
+                form.appendChild(this.attachment);
+            }
+
+            i18n.apply(this.attachment);
+            this.syncAttachment();
+        }
+
+        const [category, ...others] = this.estimate.categories;
+        const field = form.elements.namedItem('service');
+        if (others.length === 0 && field && [...field.options].some(option => option.value === category)) {
+            field.value = category;
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        (form.closest('section') || form).scrollIntoView({ behavior: 'smooth', block: 'start' });
+        this.attachment.focus({ preventScroll: true });
+
+        this.app.analytics.track('estimate_attach', { procedures: this.estimate.items.length });
+    }
+
+    syncAttachment() {
+        if (this.estimate.isEmpty()) {
+            this.detach();
+            return;
+        }
+
+        this.attachment.querySelector('input[name="estimate"]').value = JSON.stringify(this.estimate);
+        this.attachment.querySelector('.form-estimate-summary').textContent = i18n.t('calculator.summary', {
+            count: this.estimate.count,
+            total: this.formatPrice(this.estimate.total)
+        });
+    }
+
+    detach() {
+        if (this.attachment) {
+            this.attachment.remove();
+            this.attachment = null;
+        }
+    }
+}
+
+CostCalculator.selector = '[data-cost-calculator]';
+
+CostCalculator.defaults = {
+    form: '#contactForm'
+};
+
+ComponentRegistry.register('cost-calculator', CostCalculator);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CostCalculator };
+}
@@ -0,0 +1,191 @@
+/**
+ * Dentabel Clinic Website License Gallery
+ * Description: Licenses and certificates with validity and scan previews
+ */
+
+'use strict';
+
+/**
+ * License Gallery
+ * Mounts on [data-licenses] and loads data-licenses-src:
+ *   { licenses: [{ id, type, number, issuer, issued, validUntil, images: [src] }] }
+ * Dates are YYYY-MM-DD; a document without validUntil is valid indefinitely.
+ * Types and issuers are keys under pages.licenses.types and .issuers.
+ *
+ * Each document is shown with the first page of its scan. A document without
+ * images says that the original can be seen at the clinic.
+ */
+class LicenseGallery extends Component {
+    mount() {
+        this.log = Logger.get('licenses');
+        this.licenses = [];
+
+        this.load()
+            .then(() => this.log.debug('✅ Licenses loaded'))
+            .catch(error => {
+                this.renderUnavailable();
+                this.log.warn('⚠️ Licenses unavailable:', error);
+            });
+    }
+
+    async load() {
+        const response = await fetch(this.element.dataset.licensesSrc, { headers: { 'Accept': 'application/json' } });
+
+        if (!response.ok) {
+            throw new Error(`Licenses request failed: HTTP ${response.status}`);
+        }
+
+        const { licenses = [] } = await response.json();
+
+        // Unmounted while loading
+        if (this.listeners.signal.aborted) {
+            return;
+        }
+
+        this.licenses = licenses;
+        this.render();
+    }
+
+    render() {
+        if (this.licenses.length === 0) {
+            return;
+        }
+
+        this.element.replaceChildren(...this.licenses.map(license => this.createCard(license)));
+
+        // Dates and scan descriptions are built with Intl and parameters
+        this.listen(document, 'localechange', () => this.translate());
+
+        i18n.apply(this.element);
+        this.translate();
+    }
+
+    createCard(license) {
+        const titleId = `license-${license.id}`;
+        const status = LicenseGallery.getStatus(license);
+        const card = document.createElement('article');
+        card.className = 'service-card license-card';
+        card.dataset.license = license.id;
+        card.innerHTML = `
+            <div class="license-header">
+                <h3 class="service-title" id="${titleId}" data-i18n="pages.licenses.types.${license.type}"></h3>
+                <span class="license-status license-status-${status}" data-i18n="pages.licenses.status.${status}"></span>
+            </div>
+            <dl class="license-facts">
+                <div>
+                    <dt data-i18n="pages.licenses.fields.number"></dt>
+                    <dd class="license-number"></dd>
+                </div>
+                ${license.issuer ? `
+                    <div>
+                        <dt data-i18n="pages.licenses.fields.issuer"></dt>
+                        <dd data-i18n="pages.licenses.issuers.${license.issuer}"></dd>
+                    </div>
+                ` : ''}
+                <div>
+                    <dt data-i18n="pages.licenses.fields.issued"></dt>
+                    <dd class="license-issued"></dd>
+                </div>
+                <div>
+                    <dt data-i18n="pages.licenses.fields.validUntil"></dt>
+                    <dd class="license-valid-until"></dd>
+                </div>
+            </dl>
+        `;
+
+        card.querySelector('.license-number').textContent = license.number;
+        card.prepend(this.createThumbnail(license));
+
+        return card;
+    }
+
+    createThumbnail(license) {
+        const images = license.images || [];
+
+        if (images.length === 0) {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'license-thumbnail license-thumbnail-empty';
+            placeholder.innerHTML = `
+                <i class="fas fa-certificate" aria-hidden="true"></i>
+                <p data-i18n="pages.licenses.noScan"></p>
+            `;
+            return placeholder;
+        }
+
+        const image = document.createElement('img');
+        image.src = images[0];
+        image.alt = '';
+        image.loading = 'lazy';
+
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'license-thumbnail';
+        thumbnail.append(image);
+
+        return thumbnail;
+    }
+
+    translate() {
+        this.licenses.forEach(license => {
+            const card = this.element.querySelector(`[data-license="${license.id}"]`);
+            const scan = card.querySelector('.license-thumbnail img');
+
+            card.querySelector('.license-issued').textContent = this.formatDate(license.issued);
+            card.querySelector('.license-valid-until').textContent = license.validUntil
+                ? this.formatDate(license.validUntil)
+                : i18n.t('pages.licenses.indefinite');
+
+            if (scan) {
+                scan.alt = i18n.t('pages.licenses.scan', { title: this.getTitle(license) });
+            }
+        });
+    }
+
+    getTitle(license) {
+        return `${i18n.t(`pages.licenses.types.${license.type}`)} ${i18n.t('pages.licenses.number', { number: license.number })}`;
+    }
+
+    formatDate(date) {
+        return LicenseGallery.parseDate(date).toLocaleDateString(i18n.tag, {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    }
+
+    renderUnavailable() {
+        const message = document.createElement('p');
+        message.className = 'page-empty';
+        message.setAttribute('data-i18n', 'pages.licenses.unavailable');
+        message.textContent = i18n.t('pages.licenses.unavailable');
+        this.element.replaceChildren(message);
+    }
+
+    /**
+     * Validity on a Given Day
+     * 'valid' up to and including validUntil, 'expired' after it.
+     */
+    static getStatus({ validUntil }, today = new Date()) {
+        if (!validUntil) {
+            return 'valid';
+        }
+
+        const end = LicenseGallery.parseDate(validUntil);
+        end.setDate(end.getDate() + 1);
+
+        return today < end ? 'valid' : 'expired';
+    }
+
+    // Local midnight, so the day does not shift with the time zone
+    static parseDate(date) {
+        return new Date(`${date}T00:00:00`);
+    }
+}
+
+LicenseGallery.selector = '[data-licenses]';
+
+ComponentRegistry.register('licenses', LicenseGallery);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LicenseGallery };
+}
@@ -0,0 +1,102 @@
+/**
+ * Dentabel Clinic Website Mobile Menu
+ * Description: Toggle button that opens the navigation menu on small screens
+ */
+
+'use strict';
+
+/**
+ * Mobile Menu
+ * Mounts on the toggle button; the menu is the element named by its
+ * aria-controls attribute.
+ */
+class MobileMenu extends Component {
+    mount() {
+        this.log = Logger.get('mobile-menu');
+        this.menu = document.getElementById(this.element.getAttribute('aria-controls'));
+        this.isOpen = false;
+
+        if (!this.menu) {
+            this.log.warn('⚠️ Mobile menu elements not found');
+            return;
+        }
+
+        // Keyboard focus stays in the open menu and its toggle button
+        this.trap = new FocusTrap([this.menu, this.element], {
+            onEscape: () => this.close({ returnFocus: true })
+        });
+
+        // Event listeners
+        this.listen(this.element, 'click', () => this.setOpen(!this.isOpen));
+
+        // Close menu when clicking on nav links; focus follows the link target
+        this.listen(this.menu, 'click', (e) => {
+            if (e.target.classList.contains('nav-link') && !e.target.classList.contains('disabled')) {
+                this.close({ returnFocus: false });
+            }
+        });
+
+        // Close menu when clicking outside
+        this.listen(document, 'click', (e) => {
+            if (this.isOpen && !this.menu.contains(e.target) && !this.element.contains(e.target)) {
+                this.close({ returnFocus: false });
+            }
+        });
+
+        // Close menu on window resize
+        this.listen(window, 'resize', this.app.debounce(() => {
+            if (window.innerWidth > this.options.breakpoint) {
+                this.close({ returnFocus: false });
+            }
+        }, 250));
+
+        this.log.debug('✅ Mobile menu functionality initialized');
+    }
+
+    setOpen(open, { returnFocus = true } = {}) {
+        this.isOpen = open;
+
+        this.element.classList.toggle('active', open);
+        this.menu.classList.toggle('active', open);
+
+        // Update ARIA attributes
+        this.element.setAttribute('aria-expanded', open);
+        const labelKey = open ? 'nav.closeMenu' : 'nav.openMenu';
+        this.element.setAttribute('data-i18n-attr', `aria-label:${labelKey}`);
+        this.element.setAttribute('aria-label', i18n.t(labelKey));
+
+        // Prevent body scroll when menu is open
+        document.body.style.overflow = open ? 'hidden' : '';
+
+        if (open) {
+            this.trap.activate();
+        } else {
+            this.trap.deactivate({ returnFocus });
+        }
+    }
+
+    close(options) {
+        if (this.isOpen) {
+            this.setOpen(false, options);
+        }
+    }
+
+    unmount() {
+        if (this.trap) {
+            this.close({ returnFocus: false });
+        }
+    }
+}
+
+MobileMenu.selector = '.mobile-menu-btn[aria-controls]';
+
+MobileMenu.defaults = {
+    breakpoint: 768
+};
+
+ComponentRegistry.register('mobile-menu', MobileMenu);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MobileMenu };
+}
@@ -0,0 +1,44 @@
+/**
+ * Dentabel Clinic Website Scroll to Top Button
+ * Description: Button that appears after scrolling down and returns to the top
+ */
+
+'use strict';
+
+class ScrollToTop extends Component {
+    mount() {
+        this.log = Logger.get('scroll-to-top');
+
+        // Show/hide button based on scroll position
+        const toggleScrollButton = () => {
+            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+            this.element.classList.toggle('visible', scrollTop > this.options.threshold);
+        };
+
+        // Event listeners
+        this.listen(window, 'scroll', this.app.throttle(toggleScrollButton, 100));
+        this.listen(this.element, 'click', () => {
+            window.scrollTo({
+                top: 0,
+                behavior: 'smooth'
+            });
+        });
+
+        toggleScrollButton();
+
+        this.log.debug('✅ Scroll to top functionality initialized');
+    }
+}
+
+ScrollToTop.selector = '#scrollToTop';
+
+ScrollToTop.defaults = {
+    threshold: 300
+};
+
+ComponentRegistry.register('scroll-to-top', ScrollToTop);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScrollToTop };
+}
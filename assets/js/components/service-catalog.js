@@ -0,0 +1,250 @@
+/**
+ * Dentabel Clinic Website Service Catalog
+ * Description: Procedures with prices from a JSON catalog, with search, filters and sorting
+ */
+
+'use strict';
+
+/**
+ * Service Catalog
+ * Mounts on [data-service-catalog] and loads data-catalog-src:
+ *   { currency, categories: [{ id, icon }],
+ *     services: [{ id, category, price: { from, to }, duration }] }
+ * Category ids are the contact form's service keys; procedure names come from
+ * services.catalog.procedures.<id> in the locales, durations are in minutes.
+ *
+ * The static markup inside the element stays in place until the catalog has
+ * loaded, and for good if it cannot be. "Book" picks the procedure's category
+ * in the contact form's service field.
+ */
+class ServiceCatalog extends Component {
+    mount() {
+        this.log = Logger.get('service-catalog');
+        this.catalog = null;
+        this.cards = new Map();
+        this.category = '';
+
+        this.load()
+            .then(() => this.log.debug('✅ Service catalog loaded'))
+            .catch(error => this.log.warn('⚠️ Service catalog unavailable:', error));
+    }
+
+    async load() {
+        const response = await fetch(this.element.dataset.catalogSrc, { headers: { 'Accept': 'application/json' } });
+
+        if (!response.ok) {
+            throw new Error(`Service catalog request failed: HTTP ${response.status}`);
+        }
+
+        const catalog = SampleData.check(await response.json(), this.element.dataset.catalogSrc);
+
+        // Unmounted while loading
+        if (this.listeners.signal.aborted) {
+            return;
+        }
+
+        this.catalog = catalog;
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = `
+            <div class="catalog-toolbar">
+                <div class="catalog-search">
+                    <label for="catalogSearch" class="visually-hidden" data-i18n="services.catalog.search"></label>
+                    <i class="fas fa-search" aria-hidden="true"></i>
+                    <input type="search" id="catalogSearch" autocomplete="off" data-i18n-attr="placeholder:services.catalog.searchPlaceholder">
+                </div>
+                <div class="catalog-filters" role="group" data-i18n-attr="aria-label:services.catalog.filterLabel">
+                    <button type="button" class="catalog-filter" data-category="" data-i18n="services.catalog.all"></button>
+                    ${this.catalog.categories.map(({ id }) => `
+                        <button type="button" class="catalog-filter" data-category="${id}" data-i18n="serviceOptions.${id}"></button>
+                    `).join('')}
+                </div>
+                <div class="catalog-sort">
+                    <label for="catalogSort" data-i18n="services.catalog.sortLabel"></label>
+                    <select id="catalogSort">
+                        <option value="" data-i18n="services.catalog.sort.default"></option>
+                        <option value="price-asc" data-i18n="services.catalog.sort.priceAsc"></option>
+                        <option value="price-desc" data-i18n="services.catalog.sort.priceDesc"></option>
+                    </select>
+                </div>
+            </div>
+            <p class="catalog-status" role="status"></p>
+            <div class="services-grid catalog-grid"></div>
+            <p class="catalog-note" data-i18n="services.catalog.priceNote"></p>
+        `;
+
+        this.search = this.element.querySelector('#catalogSearch');
+        this.sort = this.element.querySelector('#catalogSort');
+        this.status = this.element.querySelector('.catalog-status');
+        this.grid = this.element.querySelector('.catalog-grid');
+
+        this.catalog.services.forEach(service => this.cards.set(service.id, this.createCard(service)));
+
+        this.listen(this.search, 'input', () => this.update());
+        this.listen(this.sort, 'change', () => this.update());
+        this.listen(this.element.querySelector('.catalog-filters'), 'click', (e) => {
+            const filter = e.target.closest('.catalog-filter');
+            if (filter) {
+                this.category = filter.dataset.category;
+                this.update();
+            }
+        });
+        this.listen(this.grid, 'click', (e) => {
+            const button = e.target.closest('[data-book-service]');
+            if (button) {
+                this.book(this.catalog.services.find(service => service.id === button.dataset.bookService));
+            }
+        });
+
+        // Filtered-out cards are detached, so the page-wide translation misses them;
+        // prices, durations and search matches depend on the language too
+        this.listen(document, 'localechange', () => {
+            this.cards.forEach((card, id) => {
+                this.renderFacts(card, this.catalog.services.find(service => service.id === id));
+                i18n.apply(card);
+            });
+            this.update();
+        });
+
+        i18n.apply(this.element);
+        this.update();
+    }
+
+    createCard(service) {
+        const category = this.catalog.categories.find(({ id }) => id === service.category) || {};
+        const titleId = `catalog-${service.id}`;
+        const card = document.createElement('article');
+        card.className = 'service-card catalog-card';
+        card.dataset.category = service.category;
+        card.innerHTML = `
+            <div class="catalog-card-header">
+                <div class="service-icon">
+                    <i class="fas ${category.icon || 'fa-tooth'}" aria-hidden="true"></i>
+                </div>
+                <p class="catalog-category" data-i18n="serviceOptions.${service.category}"></p>
+            </div>
+            <h3 class="service-title" id="${titleId}" data-i18n="services.catalog.procedures.${service.id}"></h3>
+            <dl class="catalog-facts">
+                <div>
+                    <dt data-i18n="services.catalog.price"></dt>
+                    <dd class="catalog-price"></dd>
+                </div>
+                <div>
+                    <dt data-i18n="services.catalog.duration"></dt>
+                    <dd class="catalog-duration"></dd>
+                </div>
+            </dl>
+            <div class="catalog-actions">
+                <a href="service.html?service=${service.category}" class="btn btn-outline" aria-describedby="${titleId}" data-i18n="services.more"></a>
+            </div>
+        `;
+
+        if (this.canBook(service)) {
+            const book = document.createElement('button');
+            book.type = 'button';
+            book.className = 'btn btn-primary';
+            book.dataset.bookService = service.id;
+            book.setAttribute('aria-describedby', titleId);
+            book.setAttribute('data-i18n', 'services.catalog.book');
+            card.querySelector('.catalog-actions').prepend(book);
+        }
+
+        this.renderFacts(card, service);
+        i18n.apply(card);
+
+        return card;
+    }
+
+    renderFacts(card, service) {
+        card.querySelector('.catalog-price').textContent = CostEstimate.formatPrice(service.price, this.catalog.currency, i18n.tag);
+        card.querySelector('.catalog-duration').textContent = new Intl.NumberFormat(i18n.tag, {
+            style: 'unit',
+            unit: 'minute',
+            unitDisplay: 'short'
+        }).format(service.duration);
+    }
+
+    /**
+     * Show Matching Cards
+     * Every word of the query must appear in the procedure or category name.
+     */
+    update() {
+        const words = ServiceCatalog.normalize(this.search.value).split(/\s+/).filter(Boolean);
+
+        const visible = this.catalog.services.filter(service => {
+            if (this.category && service.category !== this.category) {
+                return false;
+            }
+
+            const text = ServiceCatalog.normalize(`${i18n.t(`services.catalog.procedures.${service.id}`)} ${i18n.t(`serviceOptions.${service.category}`)}`);
+            return words.every(word => text.includes(word));
+        });
+
+        if (this.sort.value === 'price-asc') {
+            visible.sort((a, b) => a.price.from - b.price.from);
+        } else if (this.sort.value === 'price-desc') {
+            visible.sort((a, b) => b.price.from - a.price.from);
+        }
+
+        this.grid.replaceChildren(...visible.map(service => this.cards.get(service.id)));
+
+        this.element.querySelectorAll('.catalog-filter').forEach(filter => {
+            filter.setAttribute('aria-pressed', filter.dataset.category === this.category);
+        });
+
+        this.status.textContent = visible.length > 0
+            ? i18n.t('services.catalog.results', { count: visible.length })
+            : i18n.t('services.catalog.empty');
+    }
+
+    getServiceField() {
+        return document.querySelector(this.options.serviceField);
+    }
+
+    canBook(service) {
+        const field = this.getServiceField();
+        return Boolean(field && [...field.options].some(option => option.value === service.category));
+    }
+
+    /**
+     * Book a Procedure
+     * Preselects its category in the contact form and takes the patient there.
+     */
+    book(service) {
+        const field = this.getServiceField();
+
+        if (!field) {
+            return;
+        }
+
+        field.value = service.category;
+
+        // The booking widget narrows doctors and times to the service
+        field.dispatchEvent(new Event('change', { bubbles: true }));
+
+        (field.closest('section') || field).scrollIntoView({ behavior: 'smooth', block: 'start' });
+        field.focus({ preventScroll: true });
+
+        this.app.analytics.track('service_book', { service: service.category, procedure: service.id });
+    }
+
+    // Case-insensitive, with "ё" matching "е"
+    static normalize(text) {
+        return text.toLocaleLowerCase().replace(/ё/g, 'е').trim();
+    }
+}
+
+ServiceCatalog.selector = '[data-service-catalog]';
+
+ServiceCatalog.defaults = {
+    serviceField: '#service'
+};
+
+ComponentRegistry.register('service-catalog', ServiceCatalog);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServiceCatalog };
+}
@@ -0,0 +1,214 @@
+/**
+ * Dentabel Clinic Website Specialists Directory
+ * Description: Doctor profiles with specialty filters and booking with a chosen doctor
+ */
+
+'use strict';
+
+/**
+ * Specialist Directory
+ * Mounts on [data-specialists]. Doctors come from the booking schedule
+ * (data-schedule-src: id, name, services, hours) and are joined by id with
+ * their profiles (data-specialists-src):
+ *   { specialists: [{ id, position, since, procedures: [catalogId], photo? }] }
+ * A doctor without a profile is still listed; without a photo the card shows
+ * the doctor's initials.
+ *
+ * Specialties are the contact form's service keys; ?service=<key> preselects
+ * one. "Book" opens the contact form with ?doctor=<id>, which the booking
+ * widget picks up.
+ */
+class SpecialistDirectory extends Component {
+    mount() {
+        this.log = Logger.get('specialists');
+        this.doctors = [];
+        this.specialty = new URLSearchParams(window.location.search).get('service') || '';
+
+        this.load()
+            .then(() => this.log.debug('✅ Specialists loaded'))
+            .catch(error => {
+                this.renderUnavailable();
+                this.log.warn('⚠️ Specialists unavailable:', error);
+            });
+    }
+
+    async load() {
+        const [schedule, profiles] = await Promise.all([
+            this.fetchJson(this.element.dataset.scheduleSrc),
+            this.fetchJson(this.element.dataset.specialistsSrc)
+        ]);
+
+        // Unmounted while loading
+        if (this.listeners.signal.aborted) {
+            return;
+        }
+
+        const byId = new Map((profiles.specialists || []).map(profile => [profile.id, profile]));
+        this.doctors = (schedule.doctors || []).map(doctor => ({ ...byId.get(doctor.id), ...doctor }));
+        this.render();
+    }
+
+    async fetchJson(url) {
+        const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+
+        if (!response.ok) {
+            throw new Error(`Specialists request failed: HTTP ${response.status}`);
+        }
+
+        return SampleData.check(await response.json(), url);
+    }
+
+    render() {
+        const specialties = [...new Set(this.doctors.flatMap(doctor => doctor.services))];
+
+        if (!specialties.includes(this.specialty)) {
+            this.specialty = '';
+        }
+
+        this.element.innerHTML = `
+            <div class="specialist-filters" role="group" data-i18n-attr="aria-label:pages.specialists.filterLabel">
+                <button type="button" class="catalog-filter" data-specialty="" data-i18n="pages.specialists.all"></button>
+                ${specialties.map(key => `
+                    <button type="button" class="catalog-filter" data-specialty="${key}" data-i18n="serviceOptions.${key}"></button>
+                `).join('')}
+            </div>
+            <p class="catalog-status" role="status"></p>
+            <div class="services-grid specialist-grid"></div>
+        `;
+
+        this.status = this.element.querySelector('.catalog-status');
+        this.element.querySelector('.specialist-grid').append(...this.doctors.map(doctor => this.createCard(doctor)));
+
+        this.listen(this.element.querySelector('.specialist-filters'), 'click', (e) => {
+            const filter = e.target.closest('[data-specialty]');
+            if (filter) {
+                this.specialty = filter.dataset.specialty;
+                this.update();
+            }
+        });
+
+        // Weekday names and the result count are built with Intl and parameters
+        this.listen(document, 'localechange', () => {
+            this.renderHours();
+            this.update();
+        });
+
+        i18n.apply(this.element);
+        this.renderHours();
+        this.update();
+    }
+
+    createCard(doctor) {
+        const titleId = `specialist-${doctor.id}`;
+        const card = document.createElement('article');
+        card.className = 'service-card specialist-card';
+        card.dataset.doctor = doctor.id;
+        card.innerHTML = `
+            <div class="specialist-header">
+                <div class="specialist-photo"></div>
+                <div>
+                    <h3 class="service-title" id="${titleId}"></h3>
+                    ${doctor.position ? `<p class="specialist-position" data-i18n="pages.specialists.positions.${doctor.position}"></p>` : ''}
+                    ${doctor.since ? `<p class="specialist-experience" data-i18n="pages.specialists.experience" data-i18n-count="${new Date().getFullYear() - doctor.since}"></p>` : ''}
+                </div>
+            </div>
+            <ul class="specialist-tags">
+                ${doctor.services.map(key => `<li data-i18n="serviceOptions.${key}"></li>`).join('')}
+            </ul>
+            ${doctor.procedures && doctor.procedures.length > 0 ? `
+                <h4 class="specialist-subtitle" data-i18n="pages.specialists.services"></h4>
+                <ul class="service-list">
+                    ${doctor.procedures.map(id => `<li data-i18n="services.catalog.procedures.${id}"></li>`).join('')}
+                </ul>
+            ` : ''}
+            <h4 class="specialist-subtitle" data-i18n="pages.specialists.schedule"></h4>
+            <dl class="specialist-hours"></dl>
+            <a href="index.html?doctor=${encodeURIComponent(doctor.id)}#contacts" class="btn btn-primary" aria-describedby="${titleId}" data-i18n="pages.specialists.book"></a>
+        `;
+
+        card.querySelector('.service-title').textContent = doctor.name;
+
+        const photo = card.querySelector('.specialist-photo');
+        const initials = document.createElement('span');
+        initials.className = 'specialist-initials';
+        initials.setAttribute('aria-hidden', 'true');
+        initials.textContent = SpecialistDirectory.initials(doctor.name);
+
+        if (doctor.photo) {
+            const image = document.createElement('img');
+            image.src = doctor.photo;
+            image.alt = doctor.name;
+            image.loading = 'lazy';
+            image.addEventListener('error', () => image.replaceWith(initials), { once: true });
+            photo.appendChild(image);
+        } else {
+            photo.appendChild(initials);
+        }
+
+        return card;
+    }
+
+    /**
+     * Working Hours per Weekday
+     * Monday first; schedule hours are keyed by ISO weekday (1 = Monday).
+     */
+    renderHours() {
+        const weekday = new Intl.DateTimeFormat(i18n.tag, { weekday: 'short' });
+
+        this.doctors.forEach(doctor => {
+            const list = this.element.querySelector(`[data-doctor="${doctor.id}"] .specialist-hours`);
+            const days = Object.keys(doctor.hours || {}).map(Number).sort((a, b) => a - b);
+
+            list.replaceChildren(...days.map(day => {
+                const row = document.createElement('div');
+                const name = document.createElement('dt');
+                const hours = document.createElement('dd');
+
+                // 1 January 2024 was a Monday
+                name.textContent = weekday.format(new Date(2024, 0, day));
+                hours.textContent = doctor.hours[day].map(([from, to]) => `${from}–${to}`).join(', ');
+                row.append(name, hours);
+
+                return row;
+            }));
+        });
+    }
+
+    update() {
+        let count = 0;
+
+        this.doctors.forEach(doctor => {
+            const visible = !this.specialty || doctor.services.includes(this.specialty);
+            this.element.querySelector(`[data-doctor="${doctor.id}"]`).hidden = !visible;
+            count += visible ? 1 : 0;
+        });
+
+        this.element.querySelectorAll('[data-specialty]').forEach(filter => {
+            filter.setAttribute('aria-pressed', filter.dataset.specialty === this.specialty);
+        });
+
+        this.status.textContent = i18n.t('pages.specialists.results', { count });
+    }
+
+    renderUnavailable() {
+        const message = document.createElement('p');
+        message.className = 'page-empty';
+        message.setAttribute('data-i18n', 'pages.specialists.unavailable');
+        message.textContent = i18n.t('pages.specialists.unavailable');
+        this.element.replaceChildren(message);
+    }
+
+    // "Коваленко Андрей Викторович" -> "КА"
+    static initials(name) {
+        return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+    }
+}
+
+SpecialistDirectory.selector = '[data-specialists]';
+
+ComponentRegistry.register('specialists', SpecialistDirectory);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpecialistDirectory };
+}
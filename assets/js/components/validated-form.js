@@ -0,0 +1,170 @@
+/**
+ * Dentabel Clinic Website Validated Forms
+ * Description: Client-side validation for forms marked with data-validate
+ */
+
+'use strict';
+
+/**
+ * Validated Form
+ * Checks the form against its data-rule-* attributes before the browser
+ * submits it. Subclasses provide a schema via createValidator() and their
+ * own submission in submit().
+ *
+ * Reports form_start (first focus on a field), field_error (field name only)
+ * and form_submit to analytics; the form is named by its id. The same steps
+ * are kept as error report breadcrumbs.
+ */
+class ValidatedForm extends Component {
+    mount() {
+        this.log = Logger.get('validated-form');
+        this.validator = this.createValidator();
+        this.bindValidation();
+
+        this.log.debug('✅ Form validation initialized');
+    }
+
+    createValidator() {
+        return new FormValidator(this.element);
+    }
+
+    submit() {
+        this.track('form_submit', { result: 'submitted' });
+        this.element.submit();
+    }
+
+    /**
+     * Bind Validation to the Form
+     * Validates on blur, clears errors while typing and submits after a passing check.
+     * Submits made while the form is being checked are ignored.
+     */
+    bindValidation() {
+        const form = this.element;
+        form.setAttribute('novalidate', '');
+        this.started = false;
+        this.validating = false;
+
+        this.listen(form, 'focusin', (e) => {
+            if (!this.started && e.target.matches('input, select, textarea')) {
+                this.started = true;
+                this.track('form_start');
+            }
+        });
+
+        this.listen(form, 'focusout', (e) => {
+            if (e.target.matches('input, select, textarea')) {
+                this.validateField(e.target);
+            }
+        });
+        this.listen(form, 'input', (e) => this.clearFieldError(e.target));
+
+        this.listen(form, 'submit', async (e) => {
+            e.preventDefault();
+
+            // Async rules may still be running from a previous click
+            if (this.validating) {
+                return;
+            }
+
+            const submitBtn = form.querySelector('[type="submit"]');
+            let valid;
+
+            this.validating = true;
+            if (submitBtn) {
+                submitBtn.disabled = true;
+            }
+
+            try {
+                valid = await this.validateForm();
+            } finally {
+                this.validating = false;
+                if (submitBtn) {
+                    submitBtn.disabled = false;
+                }
+            }
+
+            if (valid) {
+                this.submit();
+            }
+        });
+
+        // A sent form starts over
+        this.listen(form, 'reset', () => {
+            this.started = false;
+        });
+    }
+
+    track(name, params = {}) {
+        const data = { form: this.element.id || this.element.getAttribute('name') || null, ...params };
+
+        this.app.errors.addBreadcrumb('form', name, data);
+        this.app.analytics.track(name, data);
+    }
+
+    /**
+     * Validate Individual Form Field
+     */
+    async validateField(field) {
+        const message = await this.validator.validateField(field);
+
+        // Display errors
+        if (message) {
+            // Once per error, not on every blur of a field that is still wrong
+            if (!field.classList.contains('error')) {
+                this.track('field_error', { field: field.name });
+            }
+            this.showFieldError(field, message);
+            return false;
+        } else {
+            this.clearFieldError(field);
+            return true;
+        }
+    }
+
+    /**
+     * Validate Entire Form
+     */
+    async validateForm() {
+        const inputs = [...this.element.querySelectorAll('input, select, textarea')];
+        const results = await Promise.all(inputs.map(input => this.validateField(input)));
+
+        return results.every(Boolean);
+    }
+
+    /**
+     * Show Field Error
+     */
+    showFieldError(field, message) {
+        field.classList.add('error');
+
+        let errorElement = field.parentNode.querySelector('.error-message');
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'error-message';
+            field.parentNode.appendChild(errorElement);
+        }
+
+        errorElement.textContent = message;
+    }
+
+    /**
+     * Clear Field Error
+     */
+    clearFieldError(field) {
+        field.classList.remove('error');
+
+        const errorElement = field.parentNode.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.remove();
+        }
+    }
+}
+
+ValidatedForm.selector = 'form[data-validate]';
+
+ComponentRegistry.register('validated-form', ValidatedForm);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ValidatedForm };
+}
@@ -0,0 +1,290 @@
+/**
+ * Dentabel Clinic Website Consent
+ * Description: Privacy consent by category, with a banner and a preferences dialog
+ */
+
+'use strict';
+
+/**
+ * Consent Manager
+ *
+ * Keeps the visitor's choice per category ("necessary" is always granted)
+ * in localStorage together with a version. Raising the version, e.g. after
+ * adding a category or a new third-party service, asks everyone again.
+ *
+ * Modules query it before loading anything optional:
+ *   if (consent.has('marketing')) { ... }
+ *   consent.whenGranted('analytics').then(() => ...)
+ * Every change dispatches "consentchange" ({ choices }) on document.
+ */
+class ConsentManager {
+    constructor({ storageKey = 'dentabel:consent', version = 1, categories = ConsentManager.CATEGORIES } = {}) {
+        this.storageKey = storageKey;
+        this.version = version;
+        this.categories = categories;
+        this.record = this.load();
+    }
+
+    load() {
+        try {
+            const record = JSON.parse(window.localStorage.getItem(this.storageKey));
+
+            // Choices made for an older version no longer count
+            return record && record.version === this.version ? record : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    get hasDecision() {
+        return this.record !== null;
+    }
+
+    has(category) {
+        if (category === 'necessary') {
+            return true;
+        }
+        return Boolean(this.record && this.record.choices[category]);
+    }
+
+    /**
+     * Current Choices
+     * { necessary: true, analytics: false, ... }; undecided categories are false.
+     */
+    getChoices() {
+        return Object.fromEntries(this.categories.map(category => [category, this.has(category)]));
+    }
+
+    update(choices) {
+        const normalized = Object.fromEntries(this.categories
+            .filter(category => category !== 'necessary')
+            .map(category => [category, Boolean(choices[category])]));
+
+        this.record = {
+            version: this.version,
+            choices: normalized,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            window.localStorage.setItem(this.storageKey, JSON.stringify(this.record));
+        } catch (error) {
+            // Choice holds for this visit only
+        }
+
+        document.dispatchEvent(new CustomEvent('consentchange', { detail: { choices: this.getChoices() } }));
+    }
+
+    acceptAll() {
+        this.update(Object.fromEntries(this.categories.map(category => [category, true])));
+    }
+
+    rejectAll() {
+        this.update({});
+    }
+
+    /**
+     * Resolves Once the Category Is Granted
+     * Never settles if consent is not given during the visit.
+     */
+    whenGranted(category) {
+        if (this.has(category)) {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const handleChange = () => {
+                if (this.has(category)) {
+                    document.removeEventListener('consentchange', handleChange);
+                    resolve();
+                }
+            };
+            document.addEventListener('consentchange', handleChange);
+        });
+    }
+}
+
+ConsentManager.CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+/**
+ * Consent Banner
+ *
+ * Shown at the end of the page until a choice is made. It never takes focus
+ * on load, so the skip link stays the first stop; the preferences dialog is
+ * modal and returns focus to whatever opened it. Any element with
+ * data-consent-open (e.g. the footer link) reopens the dialog.
+ */
+class ConsentBanner {
+    constructor(manager) {
+        this.manager = manager;
+        this.banner = null;
+        this.dialog = null;
+        this.trap = null;
+        this.listeners = new AbortController();
+    }
+
+    init() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('[data-consent-open]')) {
+                e.preventDefault();
+                this.openDialog();
+            }
+        }, { signal: this.listeners.signal });
+
+        if (!this.manager.hasDecision) {
+            this.showBanner();
+        }
+    }
+
+    showBanner() {
+        this.banner = document.createElement('section');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('aria-labelledby', 'consentBannerTitle');
+        this.banner.innerHTML = `
+            <div class="container consent-banner-content">
+                <div class="consent-banner-text">
+                    <h2 class="consent-title" id="consentBannerTitle" data-i18n="consent.title"></h2>
+                    <p data-i18n="consent.text"></p>
+                </div>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-primary" data-consent-action="accept" data-i18n="consent.acceptAll"></button>
+                    <button type="button" class="btn btn-outline" data-consent-action="reject" data-i18n="consent.rejectAll"></button>
+                    <button type="button" class="btn btn-outline" data-consent-open data-i18n="consent.customize"></button>
+                </div>
+            </div>
+        `;
+
+        this.banner.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]');
+            if (action) {
+                this.decide(() => (action.dataset.consentAction === 'accept' ? this.manager.acceptAll() : this.manager.rejectAll()));
+            }
+        });
+
+        i18n.apply(this.banner);
+        document.body.appendChild(this.banner);
+
+        // Keep focused elements from scrolling under the banner
+        document.documentElement.classList.add('consent-pending');
+    }
+
+    hideBanner() {
+        if (!this.banner) {
+            return;
+        }
+
+        const hadFocus = this.banner.contains(document.activeElement);
+
+        this.banner.remove();
+        this.banner = null;
+        document.documentElement.classList.remove('consent-pending');
+
+        // Continue from the main content rather than dropping focus to <body>
+        const main = document.querySelector('main');
+        if (hadFocus && main && main.hasAttribute('tabindex')) {
+            main.focus({ preventScroll: true });
+        }
+    }
+
+    openDialog() {
+        if (this.dialog) {
+            return;
+        }
+
+        const choices = this.manager.getChoices();
+
+        this.dialog = document.createElement('div');
+        this.dialog.className = 'consent-dialog-backdrop';
+        this.dialog.innerHTML = `
+            <div class="consent-dialog" role="dialog" aria-modal="true" aria-labelledby="consentDialogTitle">
+                <div class="consent-dialog-header">
+                    <h2 class="consent-title" id="consentDialogTitle" data-i18n="consent.dialogTitle"></h2>
+                    <button type="button" class="consent-close" data-consent-action="close" data-i18n-attr="aria-label:a11y.close">&times;</button>
+                </div>
+                <form class="consent-categories"></form>
+                <div class="consent-actions">
+                    <button type="button" class="btn btn-primary" data-consent-action="save" data-i18n="consent.save"></button>
+                    <button type="button" class="btn btn-outline" data-consent-action="accept" data-i18n="consent.acceptAll"></button>
+                </div>
+            </div>
+        `;
+
+        const form = this.dialog.querySelector('.consent-categories');
+        this.manager.categories.forEach(category => {
+            const locked = category === 'necessary';
+            const item = document.createElement('div');
+            item.className = 'consent-category';
+            item.innerHTML = `
+                <input type="checkbox" id="consent-${category}" name="${category}">
+                <div>
+                    <label for="consent-${category}" data-i18n="consent.categories.${category}.title"></label>
+                    <p id="consent-${category}-description" data-i18n="consent.categories.${category}.description"></p>
+                </div>
+            `;
+
+            const checkbox = item.querySelector('input');
+            checkbox.checked = choices[category];
+            checkbox.disabled = locked;
+            checkbox.setAttribute('aria-describedby', `consent-${category}-description`);
+            form.appendChild(item);
+        });
+
+        this.dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent-action]');
+
+            if (e.target === this.dialog || (action && action.dataset.consentAction === 'close')) {
+                this.closeDialog();
+            } else if (action && action.dataset.consentAction === 'save') {
+                const selected = Object.fromEntries([...form.elements].map(input => [input.name, input.checked]));
+                this.decide(() => this.manager.update(selected));
+            } else if (action && action.dataset.consentAction === 'accept') {
+                this.decide(() => this.manager.acceptAll());
+            }
+        });
+
+        i18n.apply(this.dialog);
+        document.body.appendChild(this.dialog);
+        document.body.classList.add('consent-dialog-open');
+
+        this.trap = new FocusTrap(this.dialog.querySelector('.consent-dialog'), {
+            onEscape: () => this.closeDialog()
+        });
+        this.trap.activate();
+    }
+
+    closeDialog() {
+        if (!this.dialog) {
+            return;
+        }
+
+        // Back to the banner button or footer link that opened the dialog
+        this.trap.deactivate();
+        this.trap = null;
+
+        this.dialog.remove();
+        this.dialog = null;
+        document.body.classList.remove('consent-dialog-open');
+    }
+
+    decide(action) {
+        action();
+        this.closeDialog();
+        this.hideBanner();
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.closeDialog();
+
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+            document.documentElement.classList.remove('consent-pending');
+        }
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsentManager, ConsentBanner };
+}
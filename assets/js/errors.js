@@ -0,0 +1,170 @@
+/**
+ * Dentabel Clinic Website Error Reporting
+ * Description: Client errors with breadcrumbs, posted to a reporting endpoint
+ */
+
+'use strict';
+
+/**
+ * Error Reporter
+ *
+ * install() catches uncaught errors and unhandled promise rejections;
+ * capture(error, context) reports anything else. A report carries the
+ * message, stack, page path, user agent and the latest breadcrumbs
+ * (addBreadcrumb(category, message, data), e.g. navigation and form steps).
+ *
+ * Phone numbers and e-mail addresses are scrubbed from every string before
+ * it is stored or sent. The same error is reported once per page load, and
+ * at most maxReports reports go out per rateWindow ms. Without an endpoint
+ * errors are only logged (Logger namespace "errors").
+ */
+class ErrorReporter {
+    constructor({ endpoint = null, maxBreadcrumbs = 20, maxReports = 5, rateWindow = 60000 } = {}) {
+        this.endpoint = endpoint;
+        this.maxBreadcrumbs = maxBreadcrumbs;
+        this.maxReports = maxReports;
+        this.rateWindow = rateWindow;
+        this.breadcrumbs = [];
+        this.seen = new Map();
+        this.sentAt = [];
+        this.listeners = null;
+        this.log = Logger.get('errors');
+    }
+
+    install() {
+        if (this.listeners) {
+            return;
+        }
+
+        this.listeners = new AbortController();
+        const { signal } = this.listeners;
+
+        window.addEventListener('error', (e) => {
+            this.log.error('🚨 JavaScript Error:', e.error || e.message);
+
+            // "Script error." from a cross-origin script carries nothing to report
+            if (e.error || (e.message && e.message !== 'Script error.')) {
+                this.capture(e.error || e.message, { source: 'error' });
+            }
+        }, { signal });
+
+        window.addEventListener('unhandledrejection', (e) => {
+            this.log.error('🚨 Unhandled Promise Rejection:', e.reason);
+            this.capture(e.reason, { source: 'unhandledrejection' });
+        }, { signal });
+    }
+
+    addBreadcrumb(category, message, data = {}) {
+        this.breadcrumbs.push({
+            category,
+            message: ErrorReporter.scrub(message),
+            data: ErrorReporter.scrubValue(data),
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.breadcrumbs.length > this.maxBreadcrumbs) {
+            this.breadcrumbs.shift();
+        }
+    }
+
+    /**
+     * Report an Error
+     * Returns the report, or null if it was a duplicate or rate-limited.
+     */
+    capture(error, context = {}) {
+        const name = (error && error.name) || 'Error';
+        const message = ErrorReporter.scrub(error && error.message !== undefined ? error.message : String(error));
+        const stack = error && error.stack ? ErrorReporter.scrub(error.stack) : null;
+
+        // Same message thrown from the same place
+        const key = `${name}: ${message}\n${stack ? stack.split('\n').slice(0, 2).join('\n') : ''}`;
+        this.seen.set(key, (this.seen.get(key) || 0) + 1);
+        if (this.seen.get(key) > 1) {
+            return null;
+        }
+
+        const now = Date.now();
+        this.sentAt = this.sentAt.filter(time => now - time < this.rateWindow);
+        if (this.sentAt.length >= this.maxReports) {
+            return null;
+        }
+        this.sentAt.push(now);
+
+        const report = {
+            name,
+            message,
+            stack,
+            context: ErrorReporter.scrubValue(context),
+            page: window.location.pathname,
+            userAgent: navigator.userAgent,
+            breadcrumbs: this.breadcrumbs.slice(),
+            timestamp: new Date(now).toISOString()
+        };
+
+        if (this.endpoint) {
+            this.send(report);
+        }
+
+        return report;
+    }
+
+    send(report) {
+        const body = JSON.stringify(report);
+
+        if (typeof navigator.sendBeacon === 'function'
+            && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'application/json' }))) {
+            return;
+        }
+
+        if (typeof fetch === 'function') {
+            fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(() => {
+                // Reporting a failure must not cause another one
+            });
+        }
+    }
+
+    /**
+     * Remove Personal Data from Text
+     * Phone numbers are Belarusian ones: +375, 375 or the 80 trunk prefix and
+     * 9 digits, with spaces, dashes, dots or brackets in between. Dates, ids
+     * and version numbers stay readable.
+     */
+    static scrub(text) {
+        return String(text)
+            .replace(/[^\s@<>()"']+@[^\s@<>()"']+\.[a-z]{2,}/gi, '[email]')
+            .replace(ErrorReporter.PHONE_PATTERN, (match, before) => `${before}[phone]`);
+    }
+
+    static scrubValue(value) {
+        if (typeof value === 'string') {
+            return ErrorReporter.scrub(value);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => ErrorReporter.scrubValue(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, ErrorReporter.scrubValue(item)]));
+        }
+        return value;
+    }
+
+    destroy() {
+        if (this.listeners) {
+            this.listeners.abort();
+            this.listeners = null;
+        }
+    }
+}
+
+// Not part of a longer number on either side
+ErrorReporter.PHONE_PATTERN = /(^|\D)(?:\+?375|8[\s(]*0)[\s().-]*(?:\d[\s().-]*){8}\d(?!\d)/g;
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ErrorReporter };
+}
@@ -0,0 +1,146 @@
+/**
+ * Dentabel Clinic Website Cost Estimate
+ * Description: Itemized treatment estimate over the service catalog, shared with the reference server
+ */
+
+'use strict';
+
+/**
+ * Cost Estimate
+ * Quantities of catalog procedures (assets/data/services.json) with price
+ * ranges per line and in total. Prices always come from the catalog, so an
+ * estimate sent with a request can be recalculated on the server with
+ * CostEstimate.from(catalog, data).
+ */
+class CostEstimate {
+    constructor(catalog) {
+        this.catalog = catalog;
+        this.quantities = new Map();
+    }
+
+    /**
+     * Restore an Estimate from Request Data
+     * { items: [{ id, quantity }] }; throws on unknown procedures or bad quantities.
+     */
+    static from(catalog, data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.items)
+            || data.items.length > catalog.services.length) {
+            throw new TypeError('Estimate must have a list of items');
+        }
+
+        const estimate = new CostEstimate(catalog);
+        data.items.forEach(item => estimate.set(item && item.id, item && item.quantity));
+
+        return estimate;
+    }
+
+    find(id) {
+        return this.catalog.services.find(service => service.id === id) || null;
+    }
+
+    quantity(id) {
+        return this.quantities.get(id) || 0;
+    }
+
+    /**
+     * Set a Procedure's Quantity
+     * Zero removes it from the estimate.
+     */
+    set(id, quantity) {
+        if (!this.find(id)) {
+            throw new RangeError(`Unknown procedure: ${id}`);
+        }
+        if (!Number.isInteger(quantity) || quantity < 0 || quantity > CostEstimate.MAX_QUANTITY) {
+            throw new RangeError(`Invalid quantity for ${id}: ${quantity}`);
+        }
+
+        if (quantity === 0) {
+            this.quantities.delete(id);
+        } else {
+            this.quantities.set(id, quantity);
+        }
+    }
+
+    clear() {
+        this.quantities.clear();
+    }
+
+    isEmpty() {
+        return this.quantities.size === 0;
+    }
+
+    /**
+     * Estimate Lines
+     * In catalog order, whatever order the procedures were added in.
+     */
+    get items() {
+        return this.catalog.services
+            .filter(service => this.quantities.has(service.id))
+            .map(service => {
+                const quantity = this.quantities.get(service.id);
+                return {
+                    id: service.id,
+                    category: service.category,
+                    quantity,
+                    price: { ...service.price },
+                    total: { from: service.price.from * quantity, to: service.price.to * quantity }
+                };
+            });
+    }
+
+    get total() {
+        return this.items.reduce((total, item) => ({
+            from: total.from + item.total.from,
+            to: total.to + item.total.to
+        }), { from: 0, to: 0 });
+    }
+
+    // Number of procedures, counting quantities
+    get count() {
+        return [...this.quantities.values()].reduce((sum, quantity) => sum + quantity, 0);
+    }
+
+    /**
+     * Categories of the Procedures
+     */
+    get categories() {
+        return [...new Set(this.items.map(item => item.category))];
+    }
+
+    toJSON() {
+        return {
+            currency: this.catalog.currency,
+            items: this.items.map(({ id, quantity, price, total }) => ({ id, quantity, price, total })),
+            total: this.total
+        };
+    }
+
+    /**
+     * Format a Price Range
+     * "250–500 BYN" in ru-RU; a single amount when both ends are equal.
+     */
+    static formatPrice({ from, to }, currency, locale) {
+        const format = new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency,
+            currencyDisplay: 'code',
+            maximumFractionDigits: 0
+        });
+
+        if (from === to) {
+            return format.format(from);
+        }
+
+        return typeof format.formatRange === 'function'
+            ? format.formatRange(from, to)
+            : `${format.format(from)} – ${format.format(to)}`;
+    }
+}
+
+// Teeth in a full adult set
+CostEstimate.MAX_QUANTITY = 32;
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CostEstimate };
+}
@@ -0,0 +1,231 @@
+/**
+ * Dentabel Clinic Website Focus Trap
+ * Description: Keeps keyboard focus inside menus and dialogs while they are open
+ */
+
+'use strict';
+
+/**
+ * Focus Trap
+ *
+ * While active, Tab and Shift+Tab cycle through the focusable elements of the
+ * trap's containers (several may be given, e.g. a menu and its toggle button),
+ * and focus that lands anywhere else is pulled back. Focusable elements are
+ * looked up on every key press, so content added while open is included.
+ *
+ * activate() moves focus inside (initialFocus, else the first focusable
+ * element, else the container itself) and marks everything outside inert.
+ * deactivate() undoes that and, unless told otherwise, returns focus to the
+ * element that had it before. Escape calls onEscape, or deactivates.
+ *
+ * Traps nest: activating one pauses the trap below it until it deactivates.
+ */
+class FocusTrap {
+    constructor(containers, { initialFocus = null, returnFocus = true, inert = true, onEscape = null } = {}) {
+        this.containers = Array.isArray(containers) ? containers : [containers];
+        this.initialFocus = initialFocus;
+        this.returnFocus = returnFocus;
+        this.inert = inert;
+        this.onEscape = onEscape;
+        this.active = false;
+        this.returnTarget = null;
+        this.inerted = [];
+
+        this.handleKeydown = (e) => this.onKeydown(e);
+        this.handleFocusIn = (e) => this.onFocusIn(e);
+    }
+
+    get isTopmost() {
+        return FocusTrap.stack[FocusTrap.stack.length - 1] === this;
+    }
+
+    activate() {
+        if (this.active) {
+            return;
+        }
+
+        this.active = true;
+        this.returnTarget = document.activeElement;
+        FocusTrap.stack.push(this);
+
+        if (this.inert) {
+            this.setBackgroundInert();
+        }
+
+        document.addEventListener('keydown', this.handleKeydown);
+        document.addEventListener('focusin', this.handleFocusIn);
+
+        this.focusInitial();
+    }
+
+    deactivate({ returnFocus = this.returnFocus } = {}) {
+        if (!this.active) {
+            return;
+        }
+
+        this.active = false;
+        FocusTrap.stack = FocusTrap.stack.filter(trap => trap !== this);
+
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.removeEventListener('focusin', this.handleFocusIn);
+
+        this.restoreBackground();
+
+        if (returnFocus && this.returnTarget && this.returnTarget.isConnected) {
+            this.returnTarget.focus({ preventScroll: true });
+        }
+        this.returnTarget = null;
+    }
+
+    contains(node) {
+        return this.containers.some(container => container.contains(node));
+    }
+
+    /**
+     * Focusable Elements in Document Order
+     */
+    getFocusable() {
+        const elements = [];
+
+        this.containers.forEach(container => {
+            if (container.matches(FocusTrap.FOCUSABLE)) {
+                elements.push(container);
+            }
+            elements.push(...container.querySelectorAll(FocusTrap.FOCUSABLE));
+        });
+
+        return elements
+            .filter(element => this.isVisible(element))
+            .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    }
+
+    isVisible(element) {
+        if (element.closest('[hidden], [inert]')) {
+            return false;
+        }
+
+        const style = window.getComputedStyle(element);
+        return style.display !== 'none' && style.visibility !== 'hidden';
+    }
+
+    focusInitial() {
+        let target = typeof this.initialFocus === 'function' ? this.initialFocus() : this.initialFocus;
+
+        if (typeof target === 'string') {
+            target = this.containers[0].querySelector(target);
+        }
+
+        target = target || this.getFocusable()[0];
+
+        if (!target) {
+            target = this.containers[0];
+            if (!target.hasAttribute('tabindex')) {
+                target.setAttribute('tabindex', '-1');
+            }
+        }
+
+        target.focus({ preventScroll: true });
+    }
+
+    onKeydown(e) {
+        if (!this.isTopmost) {
+            return;
+        }
+
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            if (typeof this.onEscape === 'function') {
+                this.onEscape(e);
+            } else {
+                this.deactivate();
+            }
+            return;
+        }
+
+        if (e.key !== 'Tab') {
+            return;
+        }
+
+        const focusable = this.getFocusable();
+
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const current = focusable.indexOf(document.activeElement);
+
+        if (e.shiftKey && current <= 0) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (current === -1 || current === focusable.length - 1)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    onFocusIn(e) {
+        if (this.isTopmost && !this.contains(e.target)) {
+            this.focusInitial();
+        }
+    }
+
+    /**
+     * Inert Background
+     * Everything that is not a container, or an ancestor of one, becomes
+     * inert. Live regions stay untouched so announcements still get through.
+     */
+    setBackgroundInert() {
+        this.containers.forEach(container => {
+            let node = container;
+
+            while (node && node !== document.body) {
+                const parent = node.parentElement;
+
+                if (parent) {
+                    [...parent.children].forEach(sibling => {
+                        if (sibling.inert || sibling.hasAttribute('inert') || this.containers.some(other => sibling.contains(other))
+                            || sibling.matches(FocusTrap.KEEP_INTERACTIVE)) {
+                            return;
+                        }
+
+                        sibling.setAttribute('inert', '');
+                        this.inerted.push(sibling);
+                    });
+                }
+
+                node = parent;
+            }
+        });
+    }
+
+    restoreBackground() {
+        this.inerted.forEach(element => element.removeAttribute('inert'));
+        this.inerted = [];
+    }
+}
+
+FocusTrap.stack = [];
+
+FocusTrap.FOCUSABLE = [
+    'a[href]:not(.disabled)',
+    'area[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    'audio[controls]',
+    'video[controls]',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]'
+].map(selector => `${selector}:not([tabindex="-1"])`).join(', ');
+
+FocusTrap.KEEP_INTERACTIVE = 'script, style, template, [aria-live]';
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FocusTrap };
+}
@@ -0,0 +1,171 @@
+/**
+ * Dentabel Clinic Website Internationalization
+ * Description: Message catalogs, pluralization and page translation for ru/be/en
+ */
+
+'use strict';
+
+/**
+ * I18n
+ *
+ * Catalogs are registered with I18n.addMessages() from assets/js/locales/*.js.
+ * Page content is translated through attributes:
+ *   data-i18n="key"                      - text content
+ *   data-i18n-count="21"                 - count for plural messages
+ *   data-i18n-attr="aria-label:key;..."  - attribute values
+ *
+ * Plural messages are objects keyed by Intl.PluralRules category
+ * ({ one, few, many, other }) and are selected by the `count` parameter.
+ */
+class I18n {
+    constructor({ defaultLocale = 'ru', locales = ['ru', 'be', 'en'], storageKey = 'dentabel:locale' } = {}) {
+        this.defaultLocale = defaultLocale;
+        this.locales = locales;
+        this.storageKey = storageKey;
+        this.log = Logger.get('i18n');
+        this.locale = this.detectLocale();
+    }
+
+    /**
+     * Register Messages
+     * Merged into any catalog already registered for the locale, nested keys included.
+     */
+    static addMessages(locale, messages) {
+        I18n.catalogs[locale] = I18n.merge(I18n.catalogs[locale] || {}, messages);
+    }
+
+    static merge(target, source) {
+        const result = { ...target };
+
+        Object.entries(source).forEach(([key, value]) => {
+            const isNested = value && typeof value === 'object' && !Array.isArray(value)
+                && result[key] && typeof result[key] === 'object' && !Array.isArray(result[key]);
+            result[key] = isNested ? I18n.merge(result[key], value) : value;
+        });
+
+        return result;
+    }
+
+    /**
+     * Detect Locale
+     * Saved choice first, then the browser languages, then the default.
+     */
+    detectLocale() {
+        let saved = null;
+
+        try {
+            saved = window.localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable: fall through to the browser languages
+        }
+
+        if (this.locales.includes(saved)) {
+            return saved;
+        }
+
+        const preferred = (navigator.languages || [navigator.language || ''])
+            .map(language => language.slice(0, 2).toLowerCase())
+            .find(language => this.locales.includes(language));
+
+        return preferred || this.defaultLocale;
+    }
+
+    /**
+     * BCP 47 Tag for Intl APIs
+     */
+    get tag() {
+        return I18n.TAGS[this.locale] || this.locale;
+    }
+
+    lookup(locale, key) {
+        return key.split('.').reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), I18n.catalogs[locale]);
+    }
+
+    /**
+     * Translate
+     * Falls back to the default locale, then to the key itself.
+     */
+    t(key, params = {}) {
+        let message = this.lookup(this.locale, key);
+
+        if (message === undefined) {
+            message = this.lookup(this.defaultLocale, key);
+        }
+
+        if (message === undefined) {
+            this.log.warn(`⚠️ Missing translation: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object' && params.count !== undefined) {
+            message = message[this.pluralCategory(params.count)] || message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (match, name) => (
+            params[name] !== undefined ? params[name] : match
+        ));
+    }
+
+    pluralCategory(count) {
+        try {
+            return new Intl.PluralRules(this.tag).select(count);
+        } catch (error) {
+            return 'other';
+        }
+    }
+
+    setLocale(locale) {
+        if (!this.locales.includes(locale)) {
+            this.log.warn(`⚠️ Unsupported locale: ${locale}`);
+            return;
+        }
+
+        this.locale = locale;
+
+        try {
+            window.localStorage.setItem(this.storageKey, locale);
+        } catch (error) {
+            // Choice just won't survive the visit
+        }
+
+        this.apply();
+        document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+    }
+
+    /**
+     * Translate Page Content
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const count = element.dataset.i18nCount;
+            element.textContent = this.t(element.dataset.i18n, count !== undefined ? { count: Number(count) } : {});
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+}
+
+I18n.catalogs = {};
+
+I18n.TAGS = {
+    ru: 'ru-RU',
+    be: 'be-BY',
+    en: 'en-GB'
+};
+
+// Shared instance used by every module
+const i18n = new I18n();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { I18n, i18n };
+}
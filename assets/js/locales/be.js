@@ -0,0 +1,373 @@
+/**
+ * Dentabel Clinic Website Belarusian Messages
+ */
+
+'use strict';
+
+I18n.addMessages('be', {
+    meta: {
+        title: 'Стаматалагічная клініка Дэнтабел у Мінску - Прафесійная стаматалогія',
+        description: 'Стаматалагічная клініка Дэнтабел у Мінску. Артапедычная, тэрапеўтычная, хірургічная стаматалогія. Рэнтгеналагічная дыягностыка. Працуем з 2003 года. Шчаслівая ўсмешка кожнага пацыента!'
+    },
+    brand: 'Дэнтабел',
+    slogan: 'Шчаслівая ўсмешка кожнага пацыента!',
+    a11y: {
+        skipLink: 'Перайсці да асноўнага зместу',
+        scrollToTop: 'Пракруціць уверх',
+        logoAlt: 'Лагатып Дэнтабел',
+        close: 'Зачыніць',
+        language: 'Мова сайта'
+    },
+    nav: {
+        home: 'Галоўная',
+        services: 'Паслугі',
+        specialists: 'Нашы спецыялісты',
+        licenses: 'Ліцэнзіі і пасведчанні',
+        contacts: 'Кантакты',
+        openMenu: 'Адкрыць меню',
+        closeMenu: 'Зачыніць меню'
+    },
+    hero: {
+        title: 'Стаматалагічная клініка',
+        description: 'Прафесійная стаматалогія ў Мінску з 2003 года. Поўны спектр стаматалагічных паслуг ад вопытных спецыялістаў.',
+        book: 'Запісацца на прыём',
+        consultation: 'Кансультацыя',
+        years: {
+            one: 'год досведу',
+            few: 'гады досведу',
+            many: 'гадоў досведу',
+            other: 'года досведу'
+        },
+        patients: {
+            one: 'задаволены пацыент',
+            few: 'задаволеныя пацыенты',
+            many: 'задаволеных пацыентаў',
+            other: 'задаволенага пацыента'
+        },
+        imageAlt: 'Сучасная стаматалагічная клініка'
+    },
+    services: {
+        title: 'Нашы паслугі',
+        subtitle: 'Поўны спектр стаматалагічных паслуг для вашага здароўя',
+        more: 'Падрабязней',
+        orthopedics: {
+            title: 'Артапедычная стаматалогія',
+            description: 'Поўны спектр пратэзавання: ад даступных да інавацыйных сістэм. Каронкі, масты, здымныя і нездымныя пратэзы.',
+            items: [
+                'Выраб адзіночных каронак',
+                'Мостападобныя пратэзы',
+                'Металакерамічныя каронкі',
+                'Безметалавыя каронкі з цырконію',
+                'Здымныя і бюгельныя пратэзы'
+            ]
+        },
+        therapy: {
+            title: 'Тэрапеўтычная стаматалогія',
+            description: 'Лячэнне карыесу, пульпіту, перыядантыту. Прафесійная гігіена ротавай поласці і прафілактыка.',
+            items: [
+                'Лячэнне карыесу',
+                'Эндадантычнае лячэнне',
+                'Прафесійная чыстка',
+                'Адбельванне зубоў',
+                'Прафілактычныя працэдуры'
+            ]
+        },
+        surgery: {
+            title: 'Хірургічная стаматалогія',
+            description: 'Хірургічныя ўмяшанні любой складанасці. Імплантацыя, выдаленне зубоў, сківічна-тварная хірургія.',
+            items: [
+                'Выдаленне зубоў',
+                'Імплантацыя зубоў',
+                'Касцявая пластыка',
+                'Сінус-ліфтынг',
+                'Сківічна-тварная хірургія'
+            ]
+        },
+        diagnostics: {
+            title: 'Рэнтгеналагічная дыягностыка',
+            description: 'Сучаснае дыягнастычнае абсталяванне для дакладнай дыягностыкі і планавання лячэння.',
+            items: [
+                'Лічбавая рэнтгенаграфія',
+                'Панарамныя здымкі',
+                '3D камп\'ютарная тамаграфія',
+                'Унутрыротавыя здымкі',
+                'Дыягностыка СНСС'
+            ]
+        },
+        additional: {
+            title: 'Дадатковыя паслугі',
+            items: [
+                'Комплексная рэабілітацыя пацыентаў з захворваннямі СНСС',
+                'Выраб часовых пластмасавых каронак',
+                'Тэлескапічныя сістэмы з інавацыйнага матэрыялу BioHPP',
+                'Металакампазітныя і літыя штыфтавыя куксавыя ўкладкі'
+            ]
+        },
+        catalog: {
+            search: 'Пошук паслугі',
+            searchPlaceholder: 'Напрыклад, імплантацыя',
+            filterLabel: 'Кірунак',
+            all: 'Усе',
+            sortLabel: 'Сартаванне',
+            sort: {
+                default: 'Па кірунку',
+                priceAsc: 'Спачатку танней',
+                priceDesc: 'Спачатку даражэй'
+            },
+            price: 'Кошт',
+            duration: 'Працягласць',
+            book: 'Запісацца',
+            results: {
+                one: 'Знойдзена {count} паслуга',
+                few: 'Знойдзена {count} паслугі',
+                many: 'Знойдзена {count} паслуг',
+                other: 'Знойдзена {count} паслугі'
+            },
+            empty: 'Нічога не знойдзена. Змяніце запыт або патэлефануйце нам, мы падкажам.',
+            priceNote: 'Цэны пазначаны ў беларускіх рублях і з\'яўляюцца арыенціровачнымі. Дакладны кошт вызначаецца на кансультацыі лекара.',
+            procedures: {
+                singleCrown: 'Выраб адзіночных каронак',
+                bridge: 'Мостападобныя пратэзы',
+                metalCeramicCrown: 'Металакерамічныя каронкі',
+                zirconiaCrown: 'Безметалавыя каронкі з цырконію',
+                removableDenture: 'Здымныя і бюгельныя пратэзы',
+                cariesTreatment: 'Лячэнне карыесу',
+                rootCanal: 'Эндадантычнае лячэнне',
+                professionalCleaning: 'Прафесійная чыстка',
+                whitening: 'Адбельванне зубоў',
+                prevention: 'Прафілактычныя працэдуры',
+                extraction: 'Выдаленне зубоў',
+                implant: 'Імплантацыя зубоў',
+                boneGrafting: 'Касцявая пластыка',
+                sinusLift: 'Сінус-ліфтынг',
+                maxillofacialSurgery: 'Сківічна-тварная хірургія',
+                digitalXray: 'Лічбавая рэнтгенаграфія',
+                panoramicXray: 'Панарамныя здымкі',
+                cbct: '3D камп\'ютарная тамаграфія',
+                intraoralXray: 'Унутрыротавыя здымкі',
+                tmjDiagnostics: 'Дыягностыка СНСС'
+            }
+        }
+    },
+    calculator: {
+        title: 'Калькулятар кошту лячэння',
+        subtitle: 'Абярыце працэдуры і іх колькасць, каб атрымаць папярэдні каштарыс',
+        category: 'Напрамак',
+        procedure: 'Працэдура',
+        quantity: 'Колькасць',
+        price: 'Цана',
+        cost: 'Кошт',
+        decrease: 'Менш: {name}',
+        increase: 'Больш: {name}',
+        estimateTitle: 'Папярэдні каштарыс',
+        date: 'Складзены {date}',
+        total: 'Разам',
+        empty: 'Дадайце працэдуры, каб разлічыць кошт',
+        print: 'Раздрукаваць',
+        export: 'Спампаваць',
+        attach: 'Адправіць з заяўкай',
+        clear: 'Ачысціць',
+        fileName: 'dentabel-kashtarys',
+        summary: {
+            one: 'Каштарыс: {count} працэдура, {total}',
+            few: 'Каштарыс: {count} працэдуры, {total}',
+            many: 'Каштарыс: {count} працэдур, {total}',
+            other: 'Каштарыс: {count} працэдуры, {total}'
+        },
+        attached: 'Каштарыс дададзены да заяўкі',
+        remove: 'Прыбраць каштарыс'
+    },
+    about: {
+        title: 'Пра клініку Дэнтабел',
+        founded: 'Стаматалагічная клініка ТАА «Дэнтабел» была створана 22 мая 2003 года.',
+        experience: {
+            one: 'За больш чым {count} год работы мы сталі адной з вядучых стаматалагічных клінік Мінска, заваяваўшы давер тысяч пацыентаў.',
+            few: 'За больш чым {count} гады работы мы сталі адной з вядучых стаматалагічных клінік Мінска, заваяваўшы давер тысяч пацыентаў.',
+            many: 'За больш чым {count} гадоў работы мы сталі адной з вядучых стаматалагічных клінік Мінска, заваяваўшы давер тысяч пацыентаў.',
+            other: 'За больш чым {count} года работы мы сталі адной з вядучых стаматалагічных клінік Мінска, заваяваўшы давер тысяч пацыентаў.'
+        },
+        mission: 'Наша мэта - забяспечыць кожнаму пацыенту высакаякаснае стаматалагічнае лячэнне з выкарыстаннем сучасных тэхналогій і матэрыялаў. Мы імкнёмся да таго, каб кожны візіт да нас заканчваўся шчаслівай усмешкай!',
+        features: [
+            'Вопытныя спецыялісты',
+            'Сучаснае абсталяванне',
+            'Індывідуальны падыход'
+        ],
+        imageAlt: 'Стаматалагічныя паслугі'
+    },
+    contacts: {
+        title: 'Кантакты',
+        subtitle: 'Звяжыцеся з намі, каб запісацца на прыём',
+        addressTitle: 'Адрас клінікі',
+        address: 'г. Мінск, вул. Альшэўскага, д. 76а',
+        parking: 'Зручнае размяшчэнне з паркоўкай',
+        phonesTitle: 'Тэлефоны',
+        emailTitle: 'Email',
+        hoursTitle: 'Рэжым работы',
+        weekdays: 'Пн-Пт:',
+        weekend: 'Сб-Нд:',
+        byAppointment: 'Па папярэднім запісе'
+    },
+    form: {
+        title: 'Запісацца на прыём',
+        name: 'Імя *',
+        phone: 'Тэлефон *',
+        service: 'Паслуга',
+        chooseService: 'Выберыце паслугу',
+        comment: 'Каментарый',
+        submit: 'Адправіць заяўку',
+        sending: 'Адпраўка...',
+        requiredNote: '* Абавязковыя палі'
+    },
+    serviceOptions: {
+        orthodontics: 'Артапедычная стаматалогія',
+        therapy: 'Тэрапеўтычная стаматалогія',
+        surgery: 'Хірургічная стаматалогія',
+        diagnostics: 'Рэнтгеналагічная дыягностыка'
+    },
+    booking: {
+        doctor: 'Спецыяліст',
+        anyDoctor: 'Любы спецыяліст',
+        date: 'Дата прыёму *',
+        time: 'Час *',
+        chooseDate: 'Выберыце дату, каб убачыць вольны час',
+        noSlots: 'На гэту дату няма вольнага часу'
+    },
+    validation: {
+        required: 'Гэта поле абавязковае для запаўнення',
+        minLength: {
+            one: 'Мінімальная даўжыня: {count} сімвал',
+            few: 'Мінімальная даўжыня: {count} сімвалы',
+            many: 'Мінімальная даўжыня: {count} сімвалаў',
+            other: 'Мінімальная даўжыня: {count} сімвала'
+        },
+        maxLength: {
+            one: 'Максімальная даўжыня: {count} сімвал',
+            few: 'Максімальная даўжыня: {count} сімвалы',
+            many: 'Максімальная даўжыня: {count} сімвалаў',
+            other: 'Максімальная даўжыня: {count} сімвала'
+        },
+        pattern: 'Няправільны фармат',
+        email: 'Няправільны адрас email',
+        match: 'Значэнні не супадаюць',
+        invalid: 'Няправільнае значэнне',
+        name: 'Імя павінна змяшчаць толькі літары',
+        phoneIncomplete: 'Увядзіце нумар цалкам: 9 лічбаў пасля +375',
+        phoneCode: 'Невядомы код аператара або горада',
+        date: 'Выберыце дату прыёму',
+        time: 'Выберыце час прыёму'
+    },
+    notifications: {
+        sent: 'Дзякуй! Ваша заяўка адпраўлена. Мы звяжамся з вамі ў бліжэйшы час.',
+        queued: 'Няма сувязі з серверам. Ваша заяўка захавана і будзе адпраўлена аўтаматычна, як толькі злучэнне аднавіцца.',
+        outboxSent: {
+            one: 'Адпраўлена {count} захаваная заяўка. Мы звяжамся з вамі ў бліжэйшы час.',
+            few: 'Адпраўлены {count} захаваныя заяўкі. Мы звяжамся з вамі ў бліжэйшы час.',
+            many: 'Адпраўлена {count} захаваных заявак. Мы звяжамся з вамі ў бліжэйшы час.',
+            other: 'Адпраўлена {count} захаванай заяўкі. Мы звяжамся з вамі ў бліжэйшы час.'
+        },
+        outboxRejected: 'Не ўдалося адправіць захаваную заяўку — магчыма, абраны час ужо заняты. Калі ласка, запішыцеся паўторна або патэлефануйце нам: +375 (17) 350-99-99.',
+        checkForm: 'Калі ласка, праверце, ці правільна запоўнена форма.',
+        sendFailed: 'Не ўдалося адправіць заяўку. Паспрабуйце яшчэ раз або патэлефануйце нам: +375 (17) 350-99-99.',
+        retry: 'Паўтарыць',
+        region: 'Апавяшчэнні'
+    },
+    consent: {
+        title: 'Мы беражом вашы даныя',
+        text: 'Неабходныя даныя патрэбныя для працы сайта: напрыклад, каб запомніць мову і захаваць заяўку без сувязі. З вашай згоды мы таксама збіраем абезасобленую статыстыку і падключаем старонныя сэрвісы, напрыклад карты.',
+        acceptAll: 'Прыняць усе',
+        rejectAll: 'Толькі неабходныя',
+        customize: 'Наладзіць',
+        save: 'Захаваць выбар',
+        settings: 'Налады канфідэнцыяльнасці',
+        dialogTitle: 'Налады канфідэнцыяльнасці',
+        categories: {
+            necessary: {
+                title: 'Неабходныя',
+                description: 'Забяспечваюць працу сайта і формы запісу. Заўсёды ўключаны.'
+            },
+            analytics: {
+                title: 'Аналітыка',
+                description: 'Абезасобленая статыстыка пра тое, як наведвальнікі карыстаюцца сайтам, без зместу формаў.'
+            },
+            marketing: {
+                title: 'Старонныя сэрвісы',
+                description: 'Карты і іншыя ўбудаваныя сэрвісы, якія могуць усталёўваць уласныя файлы cookie.'
+            }
+        }
+    },
+    footer: {
+        servicesTitle: 'Паслугі',
+        infoTitle: 'Інфармацыя',
+        contactsTitle: 'Кантакты',
+        about: 'Пра клініку',
+        specialists: 'Нашы спецыялісты',
+        licenses: 'Ліцэнзіі і сертыфікаты',
+        reviews: 'Водгукі пацыентаў',
+        rights: '© 2025 ТАА «Дэнтабел». Усе правы абаронены.',
+        legal: 'УНП: 100000000 | Ліцэнзія № М-267 ад 22.05.2003',
+        privacy: 'Палітыка канфідэнцыяльнасці',
+        terms: 'Карыстальніцкае пагадненне'
+    },
+    pages: {
+        specialists: {
+            metaTitle: 'Нашы спецыялісты - стаматалагічная клініка Дэнтабел',
+            title: 'Нашы спецыялісты',
+            subtitle: 'Вопытныя ўрачы-стаматолагі, якія клапоцяцца пра вашу ўсмешку',
+            book: 'Запісацца да ўрача',
+            filterLabel: 'Спецыялізацыя',
+            all: 'Усе',
+            results: {
+                one: 'Знойдзены {count} спецыяліст',
+                few: 'Знойдзена {count} спецыялісты',
+                many: 'Знойдзена {count} спецыялістаў',
+                other: 'Знойдзена {count} спецыяліста'
+            },
+            experience: {
+                one: 'Стаж {count} год',
+                few: 'Стаж {count} гады',
+                many: 'Стаж {count} гадоў',
+                other: 'Стаж {count} года'
+            },
+            services: 'Паслугі',
+            schedule: 'Гадзіны прыёму',
+            positions: {
+                orthopedist: 'Урач-стаматолаг-артапед',
+                therapist: 'Урач-стаматолаг-тэрапеўт',
+                surgeon: 'Урач-стаматолаг-хірург',
+                radiologist: 'Урач-рэнтгенолаг'
+            },
+            unavailable: 'Не атрымалася загрузіць спіс спецыялістаў. Патэлефануйце нам па нумары +375 (17) 350-99-99.'
+        },
+        licenses: {
+            metaTitle: 'Ліцэнзіі і пасведчанні - стаматалагічная клініка Дэнтабел',
+            title: 'Ліцэнзіі і пасведчанні',
+            subtitle: 'Дакументы, якія пацвярджаюць права клінікі на медыцынскую дзейнасць',
+            number: '№ {number}',
+            fields: {
+                number: 'Нумар',
+                issuer: 'Орган, які выдаў',
+                issued: 'Дата выдачы',
+                validUntil: 'Дзейнічае да'
+            },
+            issuers: {
+                minzdrav: 'Міністэрства аховы здароўя Рэспублікі Беларусь'
+            },
+            indefinite: 'Бестэрмінова',
+            status: {
+                valid: 'Дзейнічае',
+                expired: 'Тэрмін дзеяння скончыўся'
+            },
+            scan: 'Скан дакумента: {title}',
+            noScan: 'Арыгінал дакумента можна паглядзець у клініцы',
+            types: {
+                medical: 'Ліцэнзія на медыцынскую дзейнасць'
+            },
+            unavailable: 'Не атрымалася загрузіць спіс ліцэнзій. Паспрабуйце абнавіць старонку.'
+        },
+        service: {
+            book: 'Запісацца на прыём',
+            back: 'Усе паслугі',
+            notFound: 'Паслуга не знойдзена'
+        }
+    }
+});
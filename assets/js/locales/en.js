@@ -0,0 +1,353 @@
+/**
+ * Dentabel Clinic Website English Messages
+ */
+
+'use strict';
+
+I18n.addMessages('en', {
+    meta: {
+        title: 'Dentabel Dental Clinic in Minsk - Professional Dentistry',
+        description: 'Dentabel dental clinic in Minsk. Prosthetic, restorative and surgical dentistry. Dental X-ray diagnostics. Since 2003. A happy smile for every patient!'
+    },
+    brand: 'Dentabel',
+    slogan: 'A happy smile for every patient!',
+    a11y: {
+        skipLink: 'Skip to main content',
+        scrollToTop: 'Scroll to top',
+        logoAlt: 'Dentabel logo',
+        close: 'Close',
+        language: 'Site language'
+    },
+    nav: {
+        home: 'Home',
+        services: 'Services',
+        specialists: 'Our specialists',
+        licenses: 'Licenses and certificates',
+        contacts: 'Contacts',
+        openMenu: 'Open menu',
+        closeMenu: 'Close menu'
+    },
+    hero: {
+        title: 'Dental clinic',
+        description: 'Professional dentistry in Minsk since 2003. A full range of dental services from experienced specialists.',
+        book: 'Book an appointment',
+        consultation: 'Consultation',
+        years: {
+            one: 'year of experience',
+            other: 'years of experience'
+        },
+        patients: {
+            one: 'happy patient',
+            other: 'happy patients'
+        },
+        imageAlt: 'Modern dental clinic'
+    },
+    services: {
+        title: 'Our services',
+        subtitle: 'A full range of dental services for your health',
+        more: 'Learn more',
+        orthopedics: {
+            title: 'Prosthetic dentistry',
+            description: 'The full range of prosthetics, from affordable to innovative systems. Crowns, bridges, removable and fixed dentures.',
+            items: [
+                'Single crowns',
+                'Dental bridges',
+                'Metal-ceramic crowns',
+                'Metal-free zirconia crowns',
+                'Removable and clasp dentures'
+            ]
+        },
+        therapy: {
+            title: 'Restorative dentistry',
+            description: 'Treatment of caries, pulpitis and periodontitis. Professional oral hygiene and prevention.',
+            items: [
+                'Caries treatment',
+                'Endodontic treatment',
+                'Professional cleaning',
+                'Teeth whitening',
+                'Preventive care'
+            ]
+        },
+        surgery: {
+            title: 'Oral surgery',
+            description: 'Surgical procedures of any complexity. Implants, tooth extraction, maxillofacial surgery.',
+            items: [
+                'Tooth extraction',
+                'Dental implants',
+                'Bone grafting',
+                'Sinus lift',
+                'Maxillofacial surgery'
+            ]
+        },
+        diagnostics: {
+            title: 'X-ray diagnostics',
+            description: 'Modern diagnostic equipment for accurate diagnosis and treatment planning.',
+            items: [
+                'Digital radiography',
+                'Panoramic X-rays',
+                '3D computed tomography',
+                'Intraoral X-rays',
+                'TMJ diagnostics'
+            ]
+        },
+        additional: {
+            title: 'Additional services',
+            items: [
+                'Comprehensive rehabilitation of patients with TMJ disorders',
+                'Temporary acrylic crowns',
+                'Telescopic systems made of innovative BioHPP material',
+                'Metal-composite and cast post-and-core inlays'
+            ]
+        },
+        catalog: {
+            search: 'Search services',
+            searchPlaceholder: 'For example, implants',
+            filterLabel: 'Specialty',
+            all: 'All',
+            sortLabel: 'Sort by',
+            sort: {
+                default: 'Specialty',
+                priceAsc: 'Price: low to high',
+                priceDesc: 'Price: high to low'
+            },
+            price: 'Price',
+            duration: 'Duration',
+            book: 'Book',
+            results: {
+                one: '{count} service found',
+                other: '{count} services found'
+            },
+            empty: 'Nothing found. Try another search or call us, we will help.',
+            priceNote: 'Prices are in Belarusian rubles and are indicative. The exact cost is set at the consultation.',
+            procedures: {
+                singleCrown: 'Single crowns',
+                bridge: 'Dental bridges',
+                metalCeramicCrown: 'Metal-ceramic crowns',
+                zirconiaCrown: 'Metal-free zirconia crowns',
+                removableDenture: 'Removable and clasp dentures',
+                cariesTreatment: 'Caries treatment',
+                rootCanal: 'Endodontic treatment',
+                professionalCleaning: 'Professional cleaning',
+                whitening: 'Teeth whitening',
+                prevention: 'Preventive care',
+                extraction: 'Tooth extraction',
+                implant: 'Dental implants',
+                boneGrafting: 'Bone grafting',
+                sinusLift: 'Sinus lift',
+                maxillofacialSurgery: 'Maxillofacial surgery',
+                digitalXray: 'Digital radiography',
+                panoramicXray: 'Panoramic X-rays',
+                cbct: '3D computed tomography',
+                intraoralXray: 'Intraoral X-rays',
+                tmjDiagnostics: 'TMJ diagnostics'
+            }
+        }
+    },
+    calculator: {
+        title: 'Treatment cost calculator',
+        subtitle: 'Choose procedures and quantities to get a preliminary estimate',
+        category: 'Specialty',
+        procedure: 'Procedure',
+        quantity: 'Quantity',
+        price: 'Price',
+        cost: 'Cost',
+        decrease: 'Fewer: {name}',
+        increase: 'More: {name}',
+        estimateTitle: 'Preliminary estimate',
+        date: 'Prepared on {date}',
+        total: 'Total',
+        empty: 'Add procedures to calculate the cost',
+        print: 'Print',
+        export: 'Download',
+        attach: 'Send with a request',
+        clear: 'Clear',
+        fileName: 'dentabel-estimate',
+        summary: {
+            one: 'Estimate: {count} procedure, {total}',
+            other: 'Estimate: {count} procedures, {total}'
+        },
+        attached: 'Estimate attached to the request',
+        remove: 'Remove estimate'
+    },
+    about: {
+        title: 'About Dentabel',
+        founded: 'Dentabel LLC dental clinic was founded on May 22, 2003.',
+        experience: {
+            one: 'Over more than {count} year we have become one of the leading dental clinics in Minsk, earning the trust of thousands of patients.',
+            other: 'Over more than {count} years we have become one of the leading dental clinics in Minsk, earning the trust of thousands of patients.'
+        },
+        mission: 'Our goal is to give every patient high-quality dental care using modern technologies and materials. We want every visit to end with a happy smile!',
+        features: [
+            'Experienced specialists',
+            'Modern equipment',
+            'Individual approach'
+        ],
+        imageAlt: 'Dental services'
+    },
+    contacts: {
+        title: 'Contacts',
+        subtitle: 'Get in touch to book an appointment',
+        addressTitle: 'Clinic address',
+        address: '76a Olshevskogo St., Minsk',
+        parking: 'Convenient location with parking',
+        phonesTitle: 'Phones',
+        emailTitle: 'Email',
+        hoursTitle: 'Opening hours',
+        weekdays: 'Mon-Fri:',
+        weekend: 'Sat-Sun:',
+        byAppointment: 'By appointment only'
+    },
+    form: {
+        title: 'Book an appointment',
+        name: 'Name *',
+        phone: 'Phone *',
+        service: 'Service',
+        chooseService: 'Choose a service',
+        comment: 'Comment',
+        submit: 'Send request',
+        sending: 'Sending...',
+        requiredNote: '* Required fields'
+    },
+    serviceOptions: {
+        orthodontics: 'Prosthetic dentistry',
+        therapy: 'Restorative dentistry',
+        surgery: 'Oral surgery',
+        diagnostics: 'X-ray diagnostics'
+    },
+    booking: {
+        doctor: 'Specialist',
+        anyDoctor: 'Any specialist',
+        date: 'Appointment date *',
+        time: 'Time *',
+        chooseDate: 'Choose a date to see available times',
+        noSlots: 'No available times on this date'
+    },
+    validation: {
+        required: 'This field is required',
+        minLength: {
+            one: 'Minimum length: {count} character',
+            other: 'Minimum length: {count} characters'
+        },
+        maxLength: {
+            one: 'Maximum length: {count} character',
+            other: 'Maximum length: {count} characters'
+        },
+        pattern: 'Invalid format',
+        email: 'Invalid email address',
+        match: 'Values do not match',
+        invalid: 'Invalid value',
+        name: 'Name may contain letters only',
+        phoneIncomplete: 'Enter the full number: 9 digits after +375',
+        phoneCode: 'Unknown operator or area code',
+        date: 'Choose an appointment date',
+        time: 'Choose an appointment time'
+    },
+    notifications: {
+        sent: 'Thank you! Your request has been sent. We will contact you shortly.',
+        queued: 'No connection to the server. Your request has been saved and will be sent automatically once the connection is restored.',
+        outboxSent: {
+            one: '{count} saved request has been sent. We will contact you shortly.',
+            other: '{count} saved requests have been sent. We will contact you shortly.'
+        },
+        outboxRejected: 'A saved request could not be sent, possibly because the chosen time is no longer available. Please book again or call us at +375 (17) 350-99-99.',
+        checkForm: 'Please check that the form is filled in correctly.',
+        sendFailed: 'Your request could not be sent. Please try again or call us at +375 (17) 350-99-99.',
+        retry: 'Try again',
+        region: 'Notifications'
+    },
+    consent: {
+        title: 'We take care of your data',
+        text: 'Necessary data keeps the site working, for example to remember your language and to save a request while offline. With your consent we also collect anonymous statistics and load third-party services such as maps.',
+        acceptAll: 'Accept all',
+        rejectAll: 'Necessary only',
+        customize: 'Customize',
+        save: 'Save choices',
+        settings: 'Privacy settings',
+        dialogTitle: 'Privacy settings',
+        categories: {
+            necessary: {
+                title: 'Necessary',
+                description: 'Keep the site and the booking form working. Always on.'
+            },
+            analytics: {
+                title: 'Analytics',
+                description: 'Anonymous statistics on how visitors use the site, never the contents of forms.'
+            },
+            marketing: {
+                title: 'Third-party services',
+                description: 'Maps and other embedded services that may set their own cookies.'
+            }
+        }
+    },
+    footer: {
+        servicesTitle: 'Services',
+        infoTitle: 'Information',
+        contactsTitle: 'Contacts',
+        about: 'About the clinic',
+        specialists: 'Our specialists',
+        licenses: 'Licenses and certificates',
+        reviews: 'Patient reviews',
+        rights: '© 2025 Dentabel LLC. All rights reserved.',
+        legal: 'UNP: 100000000 | License No. M-267 of 22.05.2003',
+        privacy: 'Privacy policy',
+        terms: 'Terms of use'
+    },
+    pages: {
+        specialists: {
+            metaTitle: 'Our specialists - Dentabel Dental Clinic',
+            title: 'Our specialists',
+            subtitle: 'Experienced dentists who take care of your smile',
+            book: 'Book with this doctor',
+            filterLabel: 'Specialty',
+            all: 'All',
+            results: {
+                one: '{count} specialist found',
+                other: '{count} specialists found'
+            },
+            experience: {
+                one: '{count} year of experience',
+                other: '{count} years of experience'
+            },
+            services: 'Services',
+            schedule: 'Consultation hours',
+            positions: {
+                orthopedist: 'Prosthodontist',
+                therapist: 'General dentist',
+                surgeon: 'Oral surgeon',
+                radiologist: 'Dental radiologist'
+            },
+            unavailable: 'The list of specialists could not be loaded. Please call us at +375 (17) 350-99-99.'
+        },
+        licenses: {
+            metaTitle: 'Licenses and certificates - Dentabel Dental Clinic',
+            title: 'Licenses and certificates',
+            subtitle: 'Documents confirming the clinic\'s right to practise medicine',
+            number: 'No. {number}',
+            fields: {
+                number: 'Number',
+                issuer: 'Issued by',
+                issued: 'Date of issue',
+                validUntil: 'Valid until'
+            },
+            issuers: {
+                minzdrav: 'Ministry of Health of the Republic of Belarus'
+            },
+            indefinite: 'Indefinitely',
+            status: {
+                valid: 'Valid',
+                expired: 'Expired'
+            },
+            scan: 'Document scan: {title}',
+            noScan: 'The original document can be viewed at the clinic',
+            types: {
+                medical: 'Medical practice license'
+            },
+            unavailable: 'The list of licenses could not be loaded. Please try reloading the page.'
+        },
+        service: {
+            book: 'Book an appointment',
+            back: 'All services',
+            notFound: 'Service not found'
+        }
+    }
+});
@@ -0,0 +1,373 @@
+/**
+ * Dentabel Clinic Website Russian Messages
+ */
+
+'use strict';
+
+I18n.addMessages('ru', {
+    meta: {
+        title: 'Стоматологическая клиника Дентабел в Минске - Профессиональная стоматология',
+        description: 'Стоматологическая клиника Дентабел в Минске. Ортопедическая, терапевтическая, хирургическая стоматология. Рентгенологическая диагностика. Работаем с 2003 года. Счастливая улыбка каждого пациента!'
+    },
+    brand: 'Дентабел',
+    slogan: 'Счастливая улыбка каждого пациента!',
+    a11y: {
+        skipLink: 'Перейти к основному содержимому',
+        scrollToTop: 'Прокрутить вверх',
+        logoAlt: 'Дентабел лого',
+        close: 'Закрыть',
+        language: 'Язык сайта'
+    },
+    nav: {
+        home: 'Главная',
+        services: 'Услуги',
+        specialists: 'Наши специалисты',
+        licenses: 'Лицензии и свидетельства',
+        contacts: 'Контакты',
+        openMenu: 'Открыть меню',
+        closeMenu: 'Закрыть меню'
+    },
+    hero: {
+        title: 'Стоматологическая клиника',
+        description: 'Профессиональная стоматология в Минске с 2003 года. Полный спектр стоматологических услуг от опытных специалистов.',
+        book: 'Записаться на приём',
+        consultation: 'Консультация',
+        years: {
+            one: 'год опыта',
+            few: 'года опыта',
+            many: 'лет опыта',
+            other: 'года опыта'
+        },
+        patients: {
+            one: 'довольный пациент',
+            few: 'довольных пациента',
+            many: 'довольных пациентов',
+            other: 'довольного пациента'
+        },
+        imageAlt: 'Современная стоматологическая клиника'
+    },
+    services: {
+        title: 'Наши услуги',
+        subtitle: 'Полный спектр стоматологических услуг для вашего здоровья',
+        more: 'Подробнее',
+        orthopedics: {
+            title: 'Ортопедическая стоматология',
+            description: 'Полный спектр протезирования: от доступных до инновационных систем. Коронки, мосты, съемные и несъемные протезы.',
+            items: [
+                'Изготовление одиночных коронок',
+                'Мостовидные протезы',
+                'Металлокерамические коронки',
+                'Безметалловые коронки из циркония',
+                'Съемные и бюгельные протезы'
+            ]
+        },
+        therapy: {
+            title: 'Терапевтическая стоматология',
+            description: 'Лечение кариеса, пульпита, периодонтита. Профессиональная гигиена полости рта и профилактика.',
+            items: [
+                'Лечение кариеса',
+                'Эндодонтическое лечение',
+                'Профессиональная чистка',
+                'Отбеливание зубов',
+                'Профилактические процедуры'
+            ]
+        },
+        surgery: {
+            title: 'Хирургическая стоматология',
+            description: 'Хирургические вмешательства любой сложности. Имплантация, удаление зубов, челюстно-лицевая хирургия.',
+            items: [
+                'Удаление зубов',
+                'Имплантация зубов',
+                'Костная пластика',
+                'Синус-лифтинг',
+                'Челюстно-лицевая хирургия'
+            ]
+        },
+        diagnostics: {
+            title: 'Рентгенологическая диагностика',
+            description: 'Современное диагностическое оборудование для точной диагностики и планирования лечения.',
+            items: [
+                'Цифровая рентгенография',
+                'Панорамные снимки',
+                '3D компьютерная томография',
+                'Внутриротовые снимки',
+                'Диагностика ВНЧС'
+            ]
+        },
+        additional: {
+            title: 'Дополнительные услуги',
+            items: [
+                'Комплексная реабилитация пациентов с заболеваниями ВНЧС',
+                'Изготовление временных пластмассовых коронок',
+                'Телескопические системы из инновационного материала BioHPP',
+                'Металлокомпозитные и литые штифтовые культевые вкладки'
+            ]
+        },
+        catalog: {
+            search: 'Поиск услуги',
+            searchPlaceholder: 'Например, имплантация',
+            filterLabel: 'Направление',
+            all: 'Все',
+            sortLabel: 'Сортировка',
+            sort: {
+                default: 'По направлению',
+                priceAsc: 'Сначала дешевле',
+                priceDesc: 'Сначала дороже'
+            },
+            price: 'Стоимость',
+            duration: 'Длительность',
+            book: 'Записаться',
+            results: {
+                one: 'Найдена {count} услуга',
+                few: 'Найдено {count} услуги',
+                many: 'Найдено {count} услуг',
+                other: 'Найдено {count} услуги'
+            },
+            empty: 'Ничего не найдено. Измените запрос или позвоните нам, мы подскажем.',
+            priceNote: 'Цены указаны в белорусских рублях и являются ориентировочными. Точная стоимость определяется на консультации врача.',
+            procedures: {
+                singleCrown: 'Изготовление одиночных коронок',
+                bridge: 'Мостовидные протезы',
+                metalCeramicCrown: 'Металлокерамические коронки',
+                zirconiaCrown: 'Безметалловые коронки из циркония',
+                removableDenture: 'Съемные и бюгельные протезы',
+                cariesTreatment: 'Лечение кариеса',
+                rootCanal: 'Эндодонтическое лечение',
+                professionalCleaning: 'Профессиональная чистка',
+                whitening: 'Отбеливание зубов',
+                prevention: 'Профилактические процедуры',
+                extraction: 'Удаление зубов',
+                implant: 'Имплантация зубов',
+                boneGrafting: 'Костная пластика',
+                sinusLift: 'Синус-лифтинг',
+                maxillofacialSurgery: 'Челюстно-лицевая хирургия',
+                digitalXray: 'Цифровая рентгенография',
+                panoramicXray: 'Панорамные снимки',
+                cbct: '3D компьютерная томография',
+                intraoralXray: 'Внутриротовые снимки',
+                tmjDiagnostics: 'Диагностика ВНЧС'
+            }
+        }
+    },
+    calculator: {
+        title: 'Калькулятор стоимости лечения',
+        subtitle: 'Выберите процедуры и их количество, чтобы получить предварительную смету',
+        category: 'Направление',
+        procedure: 'Процедура',
+        quantity: 'Количество',
+        price: 'Цена',
+        cost: 'Стоимость',
+        decrease: 'Меньше: {name}',
+        increase: 'Больше: {name}',
+        estimateTitle: 'Предварительная смета',
+        date: 'Составлена {date}',
+        total: 'Итого',
+        empty: 'Добавьте процедуры, чтобы рассчитать стоимость',
+        print: 'Распечатать',
+        export: 'Скачать',
+        attach: 'Отправить с заявкой',
+        clear: 'Очистить',
+        fileName: 'dentabel-smeta',
+        summary: {
+            one: 'Смета: {count} процедура, {total}',
+            few: 'Смета: {count} процедуры, {total}',
+            many: 'Смета: {count} процедур, {total}',
+            other: 'Смета: {count} процедуры, {total}'
+        },
+        attached: 'Смета приложена к заявке',
+        remove: 'Убрать смету'
+    },
+    about: {
+        title: 'О клинике Дентабел',
+        founded: 'Стоматологическая клиника ООО «Дентабел» была создана 22 мая 2003 года.',
+        experience: {
+            one: 'За более чем {count} год работы мы стали одной из ведущих стоматологических клиник Минска, завоевав доверие тысяч пациентов.',
+            few: 'За более чем {count} года работы мы стали одной из ведущих стоматологических клиник Минска, завоевав доверие тысяч пациентов.',
+            many: 'За более чем {count} лет работы мы стали одной из ведущих стоматологических клиник Минска, завоевав доверие тысяч пациентов.',
+            other: 'За более чем {count} года работы мы стали одной из ведущих стоматологических клиник Минска, завоевав доверие тысяч пациентов.'
+        },
+        mission: 'Наша цель - обеспечить каждому пациенту высококачественное стоматологическое лечение с использованием современных технологий и материалов. Мы стремимся к тому, чтобы каждый визит к нам заканчивался счастливой улыбкой!',
+        features: [
+            'Опытные специалисты',
+            'Современное оборудование',
+            'Индивидуальный подход'
+        ],
+        imageAlt: 'Стоматологические услуги'
+    },
+    contacts: {
+        title: 'Контакты',
+        subtitle: 'Свяжитесь с нами для записи на приём',
+        addressTitle: 'Адрес клиники',
+        address: 'г. Минск, ул. Ольшевского, д. 76а',
+        parking: 'Удобное расположение с парковкой',
+        phonesTitle: 'Телефоны',
+        emailTitle: 'Email',
+        hoursTitle: 'Режим работы',
+        weekdays: 'Пн-Пт:',
+        weekend: 'Сб-Вс:',
+        byAppointment: 'По предварительной записи'
+    },
+    form: {
+        title: 'Записаться на приём',
+        name: 'Имя *',
+        phone: 'Телефон *',
+        service: 'Услуга',
+        chooseService: 'Выберите услугу',
+        comment: 'Комментарий',
+        submit: 'Отправить заявку',
+        sending: 'Отправка...',
+        requiredNote: '* Обязательные поля'
+    },
+    serviceOptions: {
+        orthodontics: 'Ортопедическая стоматология',
+        therapy: 'Терапевтическая стоматология',
+        surgery: 'Хирургическая стоматология',
+        diagnostics: 'Рентгенологическая диагностика'
+    },
+    booking: {
+        doctor: 'Специалист',
+        anyDoctor: 'Любой специалист',
+        date: 'Дата приёма *',
+        time: 'Время *',
+        chooseDate: 'Выберите дату, чтобы увидеть свободное время',
+        noSlots: 'На эту дату нет свободного времени'
+    },
+    validation: {
+        required: 'Это поле обязательно для заполнения',
+        minLength: {
+            one: 'Минимальная длина: {count} символ',
+            few: 'Минимальная длина: {count} символа',
+            many: 'Минимальная длина: {count} символов',
+            other: 'Минимальная длина: {count} символа'
+        },
+        maxLength: {
+            one: 'Максимальная длина: {count} символ',
+            few: 'Максимальная длина: {count} символа',
+            many: 'Максимальная длина: {count} символов',
+            other: 'Максимальная длина: {count} символа'
+        },
+        pattern: 'Некорректный формат',
+        email: 'Некорректный email адрес',
+        match: 'Значения не совпадают',
+        invalid: 'Некорректное значение',
+        name: 'Имя должно содержать только буквы',
+        phoneIncomplete: 'Введите номер полностью: 9 цифр после +375',
+        phoneCode: 'Неизвестный код оператора или города',
+        date: 'Выберите дату приёма',
+        time: 'Выберите время приёма'
+    },
+    notifications: {
+        sent: 'Спасибо! Ваша заявка отправлена. Мы свяжемся с вами в ближайшее время.',
+        queued: 'Нет связи с сервером. Ваша заявка сохранена и будет отправлена автоматически, как только соединение восстановится.',
+        outboxSent: {
+            one: 'Отправлена {count} сохранённая заявка. Мы свяжемся с вами в ближайшее время.',
+            few: 'Отправлены {count} сохранённые заявки. Мы свяжемся с вами в ближайшее время.',
+            many: 'Отправлено {count} сохранённых заявок. Мы свяжемся с вами в ближайшее время.',
+            other: 'Отправлено {count} сохранённой заявки. Мы свяжемся с вами в ближайшее время.'
+        },
+        outboxRejected: 'Не удалось отправить сохранённую заявку — возможно, выбранное время уже занято. Пожалуйста, запишитесь повторно или позвоните нам по телефону +375 (17) 350-99-99.',
+        checkForm: 'Пожалуйста, проверьте правильность заполнения формы.',
+        sendFailed: 'Не удалось отправить заявку. Попробуйте ещё раз или позвоните нам по телефону +375 (17) 350-99-99.',
+        retry: 'Повторить',
+        region: 'Уведомления'
+    },
+    consent: {
+        title: 'Мы бережём ваши данные',
+        text: 'Необходимые данные нужны для работы сайта: например, чтобы запомнить язык и сохранить заявку без связи. С вашего согласия мы также собираем обезличенную статистику и подключаем сторонние сервисы, например карты.',
+        acceptAll: 'Принять все',
+        rejectAll: 'Только необходимые',
+        customize: 'Настроить',
+        save: 'Сохранить выбор',
+        settings: 'Настройки конфиденциальности',
+        dialogTitle: 'Настройки конфиденциальности',
+        categories: {
+            necessary: {
+                title: 'Необходимые',
+                description: 'Обеспечивают работу сайта и формы записи. Всегда включены.'
+            },
+            analytics: {
+                title: 'Аналитика',
+                description: 'Обезличенная статистика о том, как посетители пользуются сайтом, без содержимого форм.'
+            },
+            marketing: {
+                title: 'Сторонние сервисы',
+                description: 'Карты и другие встроенные сервисы, которые могут устанавливать собственные файлы cookie.'
+            }
+        }
+    },
+    footer: {
+        servicesTitle: 'Услуги',
+        infoTitle: 'Информация',
+        contactsTitle: 'Контакты',
+        about: 'О клинике',
+        specialists: 'Наши специалисты',
+        licenses: 'Лицензии и сертификаты',
+        reviews: 'Отзывы пациентов',
+        rights: '© 2025 ООО «Дентабел». Все права защищены.',
+        legal: 'УНП: 100000000 | Лицензия № М-267 от 22.05.2003',
+        privacy: 'Политика конфиденциальности',
+        terms: 'Пользовательское соглашение'
+    },
+    pages: {
+        specialists: {
+            metaTitle: 'Наши специалисты - стоматологическая клиника Дентабел',
+            title: 'Наши специалисты',
+            subtitle: 'Опытные врачи-стоматологи, которые заботятся о вашей улыбке',
+            book: 'Записаться к врачу',
+            filterLabel: 'Специализация',
+            all: 'Все',
+            results: {
+                one: 'Найден {count} специалист',
+                few: 'Найдено {count} специалиста',
+                many: 'Найдено {count} специалистов',
+                other: 'Найдено {count} специалиста'
+            },
+            experience: {
+                one: 'Стаж {count} год',
+                few: 'Стаж {count} года',
+                many: 'Стаж {count} лет',
+                other: 'Стаж {count} года'
+            },
+            services: 'Услуги',
+            schedule: 'Часы приёма',
+            positions: {
+                orthopedist: 'Врач-стоматолог-ортопед',
+                therapist: 'Врач-стоматолог-терапевт',
+                surgeon: 'Врач-стоматолог-хирург',
+                radiologist: 'Врач-рентгенолог'
+            },
+            unavailable: 'Не удалось загрузить список специалистов. Позвоните нам по телефону +375 (17) 350-99-99.'
+        },
+        licenses: {
+            metaTitle: 'Лицензии и свидетельства - стоматологическая клиника Дентабел',
+            title: 'Лицензии и свидетельства',
+            subtitle: 'Документы, подтверждающие право клиники на медицинскую деятельность',
+            number: '№ {number}',
+            fields: {
+                number: 'Номер',
+                issuer: 'Выдавший орган',
+                issued: 'Дата выдачи',
+                validUntil: 'Действует до'
+            },
+            issuers: {
+                minzdrav: 'Министерство здравоохранения Республики Беларусь'
+            },
+            indefinite: 'Бессрочно',
+            status: {
+                valid: 'Действует',
+                expired: 'Срок действия истёк'
+            },
+            scan: 'Скан документа: {title}',
+            noScan: 'Оригинал документа можно посмотреть в клинике',
+            types: {
+                medical: 'Лицензия на медицинскую деятельность'
+            },
+            unavailable: 'Не удалось загрузить список лицензий. Попробуйте обновить страницу.'
+        },
+        service: {
+            book: 'Записаться на приём',
+            back: 'Все услуги',
+            notFound: 'Услуга не найдена'
+        }
+    }
+});
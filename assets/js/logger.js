@@ -0,0 +1,105 @@
+/**
+ * Dentabel Clinic Website Logger
+ * Description: Leveled console output per namespace, silent in production
+ */
+
+'use strict';
+
+/**
+ * Logger
+ *
+ * const log = Logger.get('router');
+ * log.debug('📄 Page initialized'); log.warn('⚠️ ...', error);
+ *
+ * Messages below Logger.level are dropped: "info" on localhost and file://,
+ * "silent" everywhere else. Debugging is switched on with ?debug=1 in the
+ * URL or localStorage "dentabel:debug" = "1", which logs everything; a
+ * comma-separated list of namespaces ("router,app") limits it to those.
+ */
+class Logger {
+    constructor(namespace) {
+        this.namespace = namespace;
+    }
+
+    static get(namespace) {
+        if (!Logger.instances.has(namespace)) {
+            Logger.instances.set(namespace, new Logger(namespace));
+        }
+        return Logger.instances.get(namespace);
+    }
+
+    static isDevelopment() {
+        return window.location.protocol === 'file:'
+            || ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+    }
+
+    /**
+     * Read the Debug Switch
+     * Returns the namespaces to debug (['*'] for all), or an empty list.
+     */
+    static readDebugFlag() {
+        let flag = new URLSearchParams(window.location.search).get('debug');
+
+        if (flag === null) {
+            try {
+                flag = window.localStorage.getItem(Logger.STORAGE_KEY);
+            } catch (error) {
+                flag = null;
+            }
+        }
+
+        if (!flag || flag === '0' || flag === 'false') {
+            return [];
+        }
+        if (flag === '1' || flag === 'true') {
+            return ['*'];
+        }
+        return flag.split(',').map(namespace => namespace.trim()).filter(Boolean);
+    }
+
+    get level() {
+        const debug = Logger.debugNamespaces;
+        return debug.includes('*') || debug.includes(this.namespace) ? 'debug' : Logger.level;
+    }
+
+    isEnabled(level) {
+        return Logger.LEVELS[level] >= Logger.LEVELS[this.level];
+    }
+
+    write(level, args) {
+        if (this.isEnabled(level)) {
+            console[Logger.METHODS[level]](`[${this.namespace}]`, ...args);
+        }
+    }
+
+    debug(...args) {
+        this.write('debug', args);
+    }
+
+    info(...args) {
+        this.write('info', args);
+    }
+
+    warn(...args) {
+        this.write('warn', args);
+    }
+
+    error(...args) {
+        this.write('error', args);
+    }
+}
+
+Logger.LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// console.debug is hidden in Chrome's default console view
+Logger.METHODS = { debug: 'log', info: 'info', warn: 'warn', error: 'error' };
+
+Logger.STORAGE_KEY = 'dentabel:debug';
+Logger.instances = new Map();
+Logger.level = Logger.isDevelopment() ? 'info' : 'silent';
+Logger.debugNamespaces = Logger.readDebugFlag();
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Logger };
+}
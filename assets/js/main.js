@@ -9,465 +9,333 @@
 
 // Document Ready State Management
 class DentabelApp {
-    constructor() {
+    constructor(options = {}) {
+        this.log = Logger.get('app');
+
+        // One app per document; destroy() the running one to start over
+        if (DentabelApp.instance) {
+            this.log.warn('⚠️ DentabelApp is already initialized, call destroy() first to re-create it');
+            return DentabelApp.instance;
+        }
+        DentabelApp.instance = this;
+
+        this.options = this.mergeOptions(DentabelApp.defaults, options);
+        this.listeners = new AbortController();
+        this.initialized = false;
+        this.metrics = null;
+        this.errors = new ErrorReporter(this.options.errors);
+        this.errors.install();
+        this.notifications = new NotificationManager(this.options.notifications);
+        this.consent = new ConsentManager(this.options.consent);
+        this.analytics = new Analytics({ ...this.options.analytics, consent: this.consent.has('analytics') });
         this.init();
     }
 
     init() {
         // Wait for DOM to be fully loaded
         if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initializeApp());
+            this.listen(document, 'DOMContentLoaded', () => this.initializeApp());
         } else {
             this.initializeApp();
         }
     }
 
     initializeApp() {
-        console.log('🦷 Dentabel Clinic Website Initialized');
+        if (this.initialized) {
+            return;
+        }
+        this.initialized = true;
+
+        this.log.debug('🦷 Dentabel Clinic Website Initialized');
         
         // Initialize all components
-        this.initScrollToTop();
-        this.initMobileMenu();
+        this.initI18n();
+        this.initCompanyData();
+        this.initComponents();
+        this.initAnalytics();
+        this.initMetrics();
         this.initSmoothScrolling();
-        this.initContactForm();
+        this.initScrollSpy();
         this.initAnimations();
         this.initAccessibility();
+        this.initConsent();
         
+        // Content swapped in by client-side navigation
+        this.listen(document, 'pagechange', (e) => this.handlePageChange(e.detail));
+
         // Add loading complete class
         document.body.classList.add('loaded');
         
-        console.log('✅ All components initialized successfully');
+        this.log.info('✅ All components initialized successfully');
     }
 
     /**
-     * Scroll to Top Button Functionality
+     * Language Switcher and Page Translation
      */
-    initScrollToTop() {
-        const scrollToTopBtn = document.getElementById('scrollToTop');
-        
-        if (!scrollToTopBtn) {
-            console.warn('⚠️ Scroll to top button not found');
-            return;
-        }
-
-        // Show/hide button based on scroll position
-        const toggleScrollButton = () => {
-            const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-            
-            if (scrollTop > 300) {
-                scrollToTopBtn.classList.add('visible');
-            } else {
-                scrollToTopBtn.classList.remove('visible');
-            }
-        };
+    initI18n() {
+        const switchers = document.querySelectorAll('[data-locale]');
 
-        // Smooth scroll to top
-        const scrollToTop = () => {
-            window.scrollTo({
-                top: 0,
-                behavior: 'smooth'
+        const updateSwitchers = () => {
+            switchers.forEach(button => {
+                button.setAttribute('aria-pressed', button.dataset.locale === i18n.locale);
             });
         };
 
-        // Event listeners
-        window.addEventListener('scroll', this.throttle(toggleScrollButton, 100));
-        scrollToTopBtn.addEventListener('click', scrollToTop);
+        switchers.forEach(button => {
+            this.listen(button, 'click', () => i18n.setLocale(button.dataset.locale));
+        });
+
+        this.listen(document, 'localechange', updateSwitchers);
 
-        console.log('✅ Scroll to top functionality initialized');
+        i18n.apply();
+        updateSwitchers();
+
+        this.log.debug(`✅ Internationalization initialized (${i18n.locale})`);
     }
 
     /**
-     * Mobile Menu Functionality
+     * Clinic Data from company.json
+     * Hard-coded markup stays in place if the file cannot be loaded.
      */
-    initMobileMenu() {
-        const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-        const navMenu = document.getElementById('navMenu');
-        
-        if (!mobileMenuBtn || !navMenu) {
-            console.warn('⚠️ Mobile menu elements not found');
+    initCompanyData() {
+        const source = document.body.dataset.companySrc;
+
+        if (!source) {
             return;
         }
 
-        let isMenuOpen = false;
+        this.companyBindings = new CompanyBindings(document, { src: source });
 
-        const toggleMenu = () => {
-            isMenuOpen = !isMenuOpen;
-            
-            mobileMenuBtn.classList.toggle('active', isMenuOpen);
-            navMenu.classList.toggle('active', isMenuOpen);
-            
-            // Update ARIA attributes
-            mobileMenuBtn.setAttribute('aria-expanded', isMenuOpen);
-            mobileMenuBtn.setAttribute('aria-label', isMenuOpen ? 'Закрыть меню' : 'Открыть меню');
-            
-            // Prevent body scroll when menu is open
-            document.body.style.overflow = isMenuOpen ? 'hidden' : '';
-        };
-
-        const closeMenu = () => {
-            if (isMenuOpen) {
-                toggleMenu();
-            }
-        };
-
-        // Event listeners
-        mobileMenuBtn.addEventListener('click', toggleMenu);
-        
-        // Close menu when clicking on nav links
-        navMenu.addEventListener('click', (e) => {
-            if (e.target.classList.contains('nav-link') && !e.target.classList.contains('disabled')) {
-                closeMenu();
-            }
-        });
-
-        // Close menu when clicking outside
-        document.addEventListener('click', (e) => {
-            if (isMenuOpen && !navMenu.contains(e.target) && !mobileMenuBtn.contains(e.target)) {
-                closeMenu();
-            }
-        });
-
-        // Close menu on escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && isMenuOpen) {
-                closeMenu();
-            }
-        });
-
-        // Close menu on window resize
-        window.addEventListener('resize', this.debounce(() => {
-            if (window.innerWidth > 768 && isMenuOpen) {
-                closeMenu();
-            }
-        }, 250));
-
-        console.log('✅ Mobile menu functionality initialized');
+        this.companyBindings.load()
+            .then(profile => {
+                new CompanySchema(profile).inject();
+                this.log.debug('✅ Company data bound');
+            })
+            .catch(error => this.log.warn('⚠️ Company data unavailable:', error));
     }
 
     /**
-     * Smooth Scrolling for Anchor Links
+     * Components
+     * Scroll-to-top, mobile menu and forms are mounted wherever their markup
+     * appears; see assets/js/components/.
      */
-    initSmoothScrolling() {
-        const anchors = document.querySelectorAll('a[href^="#"]:not([href="#"])');
-        
-        anchors.forEach(anchor => {
-            // Skip disabled links
-            if (anchor.classList.contains('disabled')) {
-                return;
-            }
-
-            anchor.addEventListener('click', (e) => {
-                const targetId = anchor.getAttribute('href');
-                const targetElement = document.querySelector(targetId);
-                
-                if (targetElement) {
-                    e.preventDefault();
-                    
-                    const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
-                    const targetPosition = targetElement.offsetTop - headerHeight - 20;
-                    
-                    window.scrollTo({
-                        top: targetPosition,
-                        behavior: 'smooth'
-                    });
-
-                    // Update active navigation
-                    this.updateActiveNav(targetId);
-                }
-            });
+    initComponents() {
+        this.components = new ComponentRegistry({
+            context: { app: this },
+            config: this.options.components,
+            onError: (error, name) => this.errors.capture(error, { component: name })
         });
+        this.components.start();
 
-        console.log('✅ Smooth scrolling initialized');
+        this.log.debug('✅ Components initialized');
     }
 
     /**
-     * Update Active Navigation Item
+     * Navigation and Call-to-Action Tracking
+     * Form events are tracked by the form components. Links are reported by
+     * their translation key (or data-cta) and target, never by page content.
      */
-    updateActiveNav(targetId) {
-        const navLinks = document.querySelectorAll('.nav-link');
-        
-        navLinks.forEach(link => {
-            link.classList.remove('active');
-            
-            if (link.getAttribute('href') === targetId) {
-                link.classList.add('active');
+    initAnalytics() {
+        this.listen(document, 'click', (e) => {
+            const navLink = e.target.closest(DentabelApp.ANALYTICS_NAV);
+            const cta = e.target.closest(DentabelApp.ANALYTICS_CTA);
+
+            if (navLink) {
+                this.analytics.track('nav_click', {
+                    link: navLink.dataset.i18n || null,
+                    href: navLink.getAttribute('href')
+                });
+            } else if (cta && !cta.classList.contains('disabled')) {
+                const href = cta.getAttribute('href');
+
+                this.analytics.track('cta_click', {
+                    cta: cta.dataset.cta || cta.dataset.i18n || (href || '').split(':')[0],
+                    href
+                });
             }
         });
     }
 
     /**
-     * Contact Form Handling
+     * Core Web Vitals
+     * Reported to the configured endpoint, which needs "analytics" consent
+     * like any other analytics. Without an endpoint they are only logged in
+     * development and not measured at all in production.
      */
-    initContactForm() {
-        const contactForm = document.getElementById('contactForm');
-        
-        if (!contactForm) {
-            console.warn('⚠️ Contact form not found');
+    initMetrics() {
+        const { endpoint, sampleRate, batchSize, flushInterval } = this.options.metrics;
+        let sink = null;
+
+        if (endpoint) {
+            sink = new BeaconMetricsSink({ endpoint, batchSize, flushInterval, consent: this.consent });
+        } else if (Logger.isDevelopment()) {
+            sink = new ConsoleMetricsSink();
+        } else {
             return;
         }
 
-        // Form validation rules
-        const validationRules = {
-            name: {
-                required: true,
-                minLength: 2,
-                pattern: /^[а-яёА-ЯЁa-zA-Z\s-]+$/
-            },
-            phone: {
-                required: true,
-                pattern: /^[\+]?[0-9\(\)\-\s]{10,}$/
-            },
-            email: {
-                pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
-            }
-        };
+        this.metrics = new WebVitals({ sampleRate, sink });
 
-        // Real-time validation
-        const inputs = contactForm.querySelectorAll('input, select, textarea');
-        inputs.forEach(input => {
-            input.addEventListener('blur', () => this.validateField(input, validationRules));
-            input.addEventListener('input', () => this.clearFieldError(input));
-        });
+        if (this.metrics.start()) {
+            this.log.debug('✅ Web Vitals monitoring initialized');
+        }
+    }
 
-        // Form submission
-        contactForm.addEventListener('submit', (e) => {
-            e.preventDefault();
-            
-            if (this.validateForm(contactForm, validationRules)) {
-                this.handleFormSubmission(contactForm);
-            }
+    /**
+     * Privacy Consent
+     * Analytics follows the "analytics" category; modules that embed
+     * third-party content check this.consent before loading it.
+     */
+    initConsent() {
+        this.listen(document, 'consentchange', () => {
+            this.analytics.setConsent(this.consent.has('analytics'));
         });
 
-        console.log('✅ Contact form functionality initialized');
+        this.consentBanner = new ConsentBanner(this.consent);
+        this.consentBanner.init();
     }
 
     /**
-     * Validate Individual Form Field
+     * Re-initialize Features of Swapped Page Content
+     * PageManager replaces <main> during client-side navigation; header,
+     * footer and their listeners stay in place. Components follow the DOM
+     * on their own.
      */
-    validateField(field, rules) {
-        const rule = rules[field.name];
-        if (!rule) return true;
+    handlePageChange({ main }) {
+        this.errors.addBreadcrumb('navigation', window.location.pathname);
 
-        const value = field.value.trim();
-        const errors = [];
+        // Animated elements of the previous page are gone
+        this.animationObserver.disconnect();
+        this.initAnimations(main);
+        this.initScrollSpy();
+        this.handleDisabledElements(main);
 
-        // Required validation
-        if (rule.required && !value) {
-            errors.push('Это поле обязательно для заполнения');
+        if (this.companyBindings && this.companyBindings.profile) {
+            this.companyBindings.render();
         }
+    }
 
-        // Minimum length validation
-        if (rule.minLength && value.length < rule.minLength) {
-            errors.push(`Минимальная длина: ${rule.minLength} символов`);
-        }
+    /**
+     * Smooth Scrolling for Anchor Links
+     * Delegated from the document, so links added or rewritten by
+     * client-side navigation (e.g. "index.html#services" -> "#services") work too.
+     */
+    initSmoothScrolling() {
+        this.listen(document, 'click', (e) => {
+            const anchor = e.target.closest('a[href^="#"]:not([href="#"])');
 
-        // Pattern validation
-        if (rule.pattern && value && !rule.pattern.test(value)) {
-            switch (field.name) {
-                case 'name':
-                    errors.push('Имя должно содержать только буквы');
-                    break;
-                case 'phone':
-                    errors.push('Некорректный формат телефона');
-                    break;
-                case 'email':
-                    errors.push('Некорректный email адрес');
-                    break;
+            // Skip disabled links
+            if (!anchor || anchor.classList.contains('disabled') || e.defaultPrevented) {
+                return;
             }
-        }
 
-        // Display errors
-        if (errors.length > 0) {
-            this.showFieldError(field, errors[0]);
-            return false;
-        } else {
-            this.clearFieldError(field);
-            return true;
-        }
-    }
+            const targetId = anchor.getAttribute('href');
+            const targetElement = document.querySelector(targetId);
 
-    /**
-     * Show Field Error
-     */
-    showFieldError(field, message) {
-        field.classList.add('error');
-        
-        let errorElement = field.parentNode.querySelector('.error-message');
-        if (!errorElement) {
-            errorElement = document.createElement('div');
-            errorElement.className = 'error-message';
-            field.parentNode.appendChild(errorElement);
-        }
-        
-        errorElement.textContent = message;
-    }
+            if (targetElement) {
+                e.preventDefault();
 
-    /**
-     * Clear Field Error
-     */
-    clearFieldError(field) {
-        field.classList.remove('error');
-        
-        const errorElement = field.parentNode.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.remove();
-        }
-    }
+                const targetPosition = targetElement.offsetTop - this.getScrollOffset();
 
-    /**
-     * Validate Entire Form
-     */
-    validateForm(form, rules) {
-        const inputs = form.querySelectorAll('input, select, textarea');
-        let isValid = true;
+                window.scrollTo({
+                    top: targetPosition,
+                    behavior: 'smooth'
+                });
 
-        inputs.forEach(input => {
-            if (!this.validateField(input, rules)) {
-                isValid = false;
+                // Update active navigation
+                this.updateActiveNav(targetId);
             }
         });
 
-        return isValid;
+        this.log.debug('✅ Smooth scrolling initialized');
     }
 
     /**
-     * Handle Form Submission (Demo Mode)
+     * Scroll Spy for Navigation Links
+     * Sections also get a scroll margin of the same offset, so deep links
+     * and history navigation are not hidden under the sticky header.
      */
-    handleFormSubmission(form) {
-        const submitBtn = form.querySelector('button[type="submit"]');
-        const originalText = submitBtn.textContent;
-        
-        // Show loading state
-        submitBtn.disabled = true;
-        submitBtn.textContent = 'Отправка...';
-        
-        // Simulate form submission
-        setTimeout(() => {
-            // Reset form
-            form.reset();
-            
-            // Show success message
-            this.showNotification('Спасибо! Ваша заявка отправлена. Мы свяжемся с вами в ближайшее время.', 'success');
-            
-            // Reset button
-            submitBtn.disabled = false;
-            submitBtn.textContent = originalText;
-            
-            console.log('📧 Form submitted successfully (demo mode)');
-        }, 1500);
-    }
+    initScrollSpy() {
+        const updateOffset = () => {
+            document.documentElement.style.setProperty('--scroll-offset', `${this.getScrollOffset()}px`);
+        };
 
-    /**
-     * Show Notification
-     */
-    showNotification(message, type = 'info') {
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
-            <div class="notification-content">
-                <span class="notification-message">${message}</span>
-                <button class="notification-close" aria-label="Закрыть">&times;</button>
-            </div>
-        `;
-
-        // Add styles if not exist
-        if (!document.querySelector('#notification-styles')) {
-            const styles = document.createElement('style');
-            styles.id = 'notification-styles';
-            styles.textContent = `
-                .notification {
-                    position: fixed;
-                    top: 20px;
-                    right: 20px;
-                    max-width: 400px;
-                    padding: 1rem;
-                    border-radius: 8px;
-                    box-shadow: 0 4px 20px rgba(0,0,0,0.15);
-                    z-index: 10000;
-                    transform: translateX(100%);
-                    transition: transform 0.3s ease;
-                }
-                .notification-success {
-                    background-color: #d4edda;
-                    border: 1px solid #c3e6cb;
-                    color: #155724;
-                }
-                .notification-error {
-                    background-color: #f8d7da;
-                    border: 1px solid #f5c6cb;
-                    color: #721c24;
-                }
-                .notification.show {
-                    transform: translateX(0);
-                }
-                .notification-content {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: flex-start;
-                    gap: 1rem;
-                }
-                .notification-close {
-                    background: none;
-                    border: none;
-                    font-size: 1.5rem;
-                    cursor: pointer;
-                    opacity: 0.7;
-                }
-                .notification-close:hover {
-                    opacity: 1;
+        if (this.scrollSpy) {
+            this.scrollSpy.disconnect();
+        } else {
+            this.listen(window, 'resize', this.debounce(() => {
+                updateOffset();
+                if (this.scrollSpy && this.scrollSpy.observer) {
+                    this.scrollSpy.observe();
                 }
-            `;
-            document.head.appendChild(styles);
+            }, 250));
         }
 
-        document.body.appendChild(notification);
+        updateOffset();
 
-        // Show notification
-        setTimeout(() => notification.classList.add('show'), 100);
-
-        // Close button functionality
-        const closeBtn = notification.querySelector('.notification-close');
-        closeBtn.addEventListener('click', () => this.closeNotification(notification));
+        this.scrollSpy = new ScrollSpy(document.querySelectorAll('#navMenu .nav-link'), {
+            offset: () => this.getScrollOffset()
+        });
 
-        // Auto-close after 5 seconds
-        setTimeout(() => this.closeNotification(notification), 5000);
+        if (this.scrollSpy.init()) {
+            this.log.debug('✅ Scroll spy initialized');
+        }
     }
 
     /**
-     * Close Notification
+     * Update Active Navigation Item
      */
-    closeNotification(notification) {
-        notification.classList.remove('show');
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
+    updateActiveNav(targetId) {
+        if (this.scrollSpy && this.scrollSpy.observer) {
+            this.scrollSpy.activate(targetId);
+            return;
+        }
+
+        const navLinks = document.querySelectorAll('.nav-link');
+        
+        navLinks.forEach(link => {
+            link.classList.remove('active');
+            
+            if (link.getAttribute('href') === targetId) {
+                link.classList.add('active');
             }
-        }, 300);
+        });
+    }
+
+    /**
+     * Show Notification
+     * See NotificationManager for the options (duration, actions).
+     */
+    showNotification(message, type = 'info', options = {}) {
+        return this.notifications.show(message, { ...options, type });
     }
 
     /**
      * Initialize Scroll Animations
      */
-    initAnimations() {
+    initAnimations(root = document) {
         // Intersection Observer for scroll animations
         const observerOptions = {
             threshold: 0.1,
             rootMargin: '0px 0px -50px 0px'
         };
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-                }
-            });
-        }, observerOptions);
+        if (!this.animationObserver) {
+            this.animationObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.classList.add('animate-in');
+                        this.animationObserver.unobserve(entry.target);
+                    }
+                });
+            }, observerOptions);
+        }
 
         // Observe elements for animation
-        const animateElements = document.querySelectorAll('.service-card, .hero-text, .about-text, .contact-info-block, .contact-form-block');
+        const animateElements = root.querySelectorAll('.service-card, .hero-text, .about-text, .contact-info-block, .contact-form-block');
         animateElements.forEach(el => {
             el.classList.add('animate-element');
-            observer.observe(el);
+            this.animationObserver.observe(el);
         });
 
         // Add animation styles
@@ -495,7 +363,7 @@ class DentabelApp {
             document.head.appendChild(styles);
         }
 
-        console.log('✅ Scroll animations initialized');
+        this.log.debug('✅ Scroll animations initialized');
     }
 
     /**
@@ -507,11 +375,8 @@ class DentabelApp {
         
         // Keyboard navigation for disabled elements
         this.handleDisabledElements();
-        
-        // Focus management
-        this.initFocusManagement();
 
-        console.log('✅ Accessibility features initialized');
+        this.log.debug('✅ Accessibility features initialized');
     }
 
     /**
@@ -520,7 +385,8 @@ class DentabelApp {
     createSkipLink() {
         const skipLink = document.createElement('a');
         skipLink.href = '#main';
-        skipLink.textContent = 'Перейти к основному содержимому';
+        skipLink.textContent = i18n.t('a11y.skipLink');
+        skipLink.setAttribute('data-i18n', 'a11y.skipLink');
         skipLink.className = 'skip-link';
         
         // Add styles
@@ -555,13 +421,14 @@ class DentabelApp {
         }
 
         document.body.insertBefore(skipLink, document.body.firstChild);
+        this.skipLink = skipLink;
     }
 
     /**
      * Handle Disabled Elements
      */
-    handleDisabledElements() {
-        const disabledElements = document.querySelectorAll('.disabled');
+    handleDisabledElements(root = document) {
+        const disabledElements = root.querySelectorAll('.disabled');
         
         disabledElements.forEach(element => {
             element.setAttribute('tabindex', '-1');
@@ -574,35 +441,74 @@ class DentabelApp {
     }
 
     /**
-     * Focus Management
+     * Tear Down the App
+     * Removes listeners, observers and generated elements, so a new
+     * DentabelApp can be created for the same document.
      */
-    initFocusManagement() {
-        // Trap focus in mobile menu when open
-        const navMenu = document.getElementById('navMenu');
-        const mobileMenuBtn = document.getElementById('mobileMenuBtn');
-        
-        if (navMenu && mobileMenuBtn) {
-            navMenu.addEventListener('keydown', (e) => {
-                if (e.key === 'Tab' && navMenu.classList.contains('active')) {
-                    const focusableElements = navMenu.querySelectorAll('a:not(.disabled)');
-                    const firstElement = focusableElements[0];
-                    const lastElement = focusableElements[focusableElements.length - 1];
-                    
-                    if (e.shiftKey && document.activeElement === firstElement) {
-                        e.preventDefault();
-                        lastElement.focus();
-                    } else if (!e.shiftKey && document.activeElement === lastElement) {
-                        e.preventDefault();
-                        firstElement.focus();
-                    }
-                }
-            });
+    destroy() {
+        this.listeners.abort();
+
+        if (this.components) {
+            this.components.destroy();
+        }
+        if (this.scrollSpy) {
+            this.scrollSpy.disconnect();
         }
+        if (this.animationObserver) {
+            this.animationObserver.disconnect();
+        }
+        if (this.skipLink) {
+            this.skipLink.remove();
+        }
+        if (this.consentBanner) {
+            this.consentBanner.destroy();
+        }
+        if (this.metrics) {
+            this.metrics.destroy();
+        }
+
+        this.notifications.destroy();
+        this.analytics.destroy();
+        this.errors.destroy();
+        document.body.classList.remove('loaded');
+
+        if (DentabelApp.instance === this) {
+            DentabelApp.instance = null;
+        }
+
+        this.log.debug('🧹 Dentabel app destroyed');
     }
 
     /**
      * Utility Functions
      */
+
+    // addEventListener that destroy() undoes
+    listen(target, type, handler, options = {}) {
+        target.addEventListener(type, handler, { ...options, signal: this.listeners.signal });
+    }
+
+    // Distance from the viewport top to where scrolled-to content should start
+    getScrollOffset() {
+        const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
+        return headerHeight + 20;
+    }
+
+    // Recursively merge plain option objects without mutating either argument
+    mergeOptions(defaults, overrides = {}) {
+        const result = { ...defaults };
+
+        Object.keys(overrides).forEach(key => {
+            const value = overrides[key];
+            const isPlainObject = value && Object.getPrototypeOf(value) === Object.prototype;
+
+            result[key] = isPlainObject && defaults[key]
+                ? this.mergeOptions(defaults[key], value)
+                : value;
+        });
+
+        return result;
+    }
     
     // Throttle function for scroll events
     throttle(func, limit) {
@@ -632,93 +538,73 @@ class DentabelApp {
     }
 }
 
-// Page Navigation System for Future Pages
-class PageManager {
-    constructor() {
-        this.currentPage = this.getCurrentPage();
-        this.initPageSpecificFeatures();
-    }
-
-    getCurrentPage() {
-        const path = window.location.pathname;
-        return path.split('/').pop() || 'index.html';
-    }
-
-    initPageSpecificFeatures() {
-        // Scroll to top when navigating between pages
-        if (performance.navigation.type === performance.navigation.TYPE_NAVIGATE) {
-            window.scrollTo(0, 0);
-        }
-
-        // Page-specific initialization
-        switch (this.currentPage) {
-            case 'index.html':
-            case '':
-                this.initHomePage();
-                break;
-            default:
-                console.log(`📄 Page: ${this.currentPage}`);
-        }
+DentabelApp.instance = null;
+
+// Default options, overridable via window.DENTABEL_CONFIG
+DentabelApp.defaults = {
+    submission: {
+        endpoint: '/api/appointments',
+        timeout: 10000,
+        retries: 2,
+        backoff: 1000,
+        transport: null
+    },
+    outbox: {
+        storageKey: 'dentabel:outbox',
+        maxAge: 7 * 24 * 60 * 60 * 1000
+    },
+    notifications: {
+        maxVisible: 3,
+        duration: 5000,
+        errorDuration: 8000
+    },
+    // Per component: false to disable, or an options object
+    components: {},
+    // Events are only sent to an endpoint, and only with "analytics" consent
+    analytics: {
+        endpoint: null,
+        batchSize: 10,
+        flushInterval: 5000
+    },
+    // Share of page loads measured (0..1); without an endpoint metrics are only logged in development
+    metrics: {
+        sampleRate: 1,
+        endpoint: null,
+        batchSize: 10,
+        flushInterval: 5000
+    },
+    // Without an endpoint errors are only logged to the console
+    errors: {
+        endpoint: null,
+        maxBreadcrumbs: 20,
+        maxReports: 5,
+        rateWindow: 60000
+    },
+    consent: {
+        storageKey: 'dentabel:consent',
+        // Raise to ask every visitor again, e.g. after adding a third-party service
+        version: 1
     }
+};
 
-    initHomePage() {
-        console.log('🏠 Home page specific features initialized');
-        
-        // Add any home page specific functionality here
-        this.initServiceCards();
-        this.initHeroAnimation();
-    }
+DentabelApp.ANALYTICS_NAV = '#navMenu .nav-link, .footer-links a';
+DentabelApp.ANALYTICS_CTA = '[data-cta], a.btn, a[href^="tel:"], a[href^="mailto:"]';
 
-    initServiceCards() {
-        const serviceCards = document.querySelectorAll('.service-card');
-        
-        serviceCards.forEach(card => {
-            card.addEventListener('mouseenter', () => {
-                card.style.transform = 'translateY(-8px) scale(1.02)';
-            });
-            
-            card.addEventListener('mouseleave', () => {
-                card.style.transform = '';
-            });
-        });
-    }
-
-    initHeroAnimation() {
-        const heroTitle = document.querySelector('.hero-title');
-        if (heroTitle) {
-            // Add typewriter effect (optional)
-            heroTitle.style.opacity = '1';
-        }
-    }
-}
+/**
+ * Start the Site
+ * Creates the app and the page router. Loading this file has no side
+ * effects; assets/js/bootstrap.js starts the site on every page.
+ */
+function startDentabel(config = window.DENTABEL_CONFIG || {}) {
+    const app = new DentabelApp(config);
 
-// Error Handling
-window.addEventListener('error', (e) => {
-    console.error('🚨 JavaScript Error:', e.error);
-});
-
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('🚨 Unhandled Promise Rejection:', e.reason);
-});
-
-// Initialize Application
-const dentabelApp = new DentabelApp();
-const pageManager = new PageManager();
-
-// Performance Monitoring
-if ('performance' in window) {
-    window.addEventListener('load', () => {
-        setTimeout(() => {
-            const perfData = performance.getEntriesByType('navigation')[0];
-            console.log('⚡ Page Load Performance:', {
-                domContentLoaded: Math.round(perfData.domContentLoadedEventEnd - perfData.navigationStart),
-                loadComplete: Math.round(perfData.loadEventEnd - perfData.navigationStart)
-            });
-        }, 0);
-    });
+    return {
+        app,
+        pageManager: new PageManager({ scrollOffset: () => app.getScrollOffset(), ...config.navigation })
+    };
 }
 
 // Export for potential external use
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DentabelApp, PageManager };
+    module.exports = { DentabelApp, startDentabel };
 }
\ No newline at end of file
@@ -0,0 +1,261 @@
+/**
+ * Dentabel Clinic Website Metrics
+ * Description: Core Web Vitals collected with PerformanceObserver
+ */
+
+'use strict';
+
+/**
+ * Web Vitals
+ *
+ * Collects LCP, CLS, INP, FCP and TTFB for the current page load and hands
+ * each metric to a sink: { report(metric), flush?(), destroy?() }.
+ *   metric: { name, value, rating: 'good' | 'needs-improvement' | 'poor',
+ *             id, navigationType, page }
+ *
+ * FCP and TTFB are reported once known. LCP, CLS and INP keep changing while
+ * the page is used, so they are reported whenever the page is hidden, again
+ * only if the value changed; the id ties reports of one page load together.
+ * Client-side navigation does not start a new measurement.
+ *
+ * Only a sampleRate share of page loads (0..1) is measured at all.
+ */
+class WebVitals {
+    constructor({ sampleRate = 1, sink = new ConsoleMetricsSink() } = {}) {
+        this.sink = sink;
+        this.log = Logger.get('metrics');
+        this.sampled = Math.random() < sampleRate;
+        this.id = `v1-${Date.now()}-${Math.floor(Math.random() * 1e12)}`;
+        this.observers = [];
+        this.listeners = new AbortController();
+        this.values = {};
+        this.reported = new Map();
+        this.session = { value: 0, first: 0, last: 0 };
+        this.interactions = new Map();
+        this.navigation = null;
+        this.activationStart = 0;
+    }
+
+    static isSupported() {
+        return typeof PerformanceObserver === 'function'
+            && Array.isArray(PerformanceObserver.supportedEntryTypes);
+    }
+
+    /**
+     * Start Observing
+     * Returns false when this page load is not sampled or the browser lacks support.
+     */
+    start() {
+        if (!this.sampled || !WebVitals.isSupported()) {
+            return false;
+        }
+
+        [this.navigation = null] = performance.getEntriesByType('navigation');
+
+        // Prerendered pages count from the moment they were shown
+        this.activationStart = (this.navigation && this.navigation.activationStart) || 0;
+
+        this.observe('paint', entries => {
+            const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+            if (fcp) {
+                this.report('FCP', this.sinceActivation(fcp.startTime));
+            }
+        });
+
+        this.observe('largest-contentful-paint', entries => {
+            this.values.LCP = this.sinceActivation(entries[entries.length - 1].startTime);
+        });
+
+        if (this.observe('layout-shift', entries => entries.forEach(entry => this.addLayoutShift(entry)))) {
+            this.values.CLS = 0;
+        }
+
+        this.observe('event', entries => entries.forEach(entry => this.addInteraction(entry)), { durationThreshold: 40 });
+        this.observe('first-input', entries => entries.forEach(entry => this.addInteraction(entry)));
+
+        this.reportTTFB();
+
+        const { signal } = this.listeners;
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        }, { signal });
+        window.addEventListener('pagehide', () => this.flush(), { signal });
+
+        return true;
+    }
+
+    observe(type, callback, options = {}) {
+        if (!PerformanceObserver.supportedEntryTypes.includes(type)) {
+            return false;
+        }
+
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push(observer);
+
+        return true;
+    }
+
+    sinceActivation(time) {
+        return Math.max(time - this.activationStart, 0);
+    }
+
+    reportTTFB() {
+        if (this.navigation && this.navigation.responseStart > 0) {
+            this.report('TTFB', this.sinceActivation(this.navigation.responseStart));
+        }
+    }
+
+    /**
+     * Cumulative Layout Shift
+     * Shifts less than 1 s apart and within 5 s form a session; the largest
+     * session counts. Shifts right after user input are expected and ignored.
+     */
+    addLayoutShift(entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        const session = this.session;
+
+        if (session.value > 0 && entry.startTime - session.last < 1000 && entry.startTime - session.first < 5000) {
+            session.value += entry.value;
+            session.last = entry.startTime;
+        } else {
+            this.session = { value: entry.value, first: entry.startTime, last: entry.startTime };
+        }
+
+        this.values.CLS = Math.max(this.values.CLS || 0, this.session.value);
+    }
+
+    /**
+     * Interaction to Next Paint
+     * The longest event of each interaction, then roughly the 98th
+     * percentile: one outlier is skipped for every 50 interactions.
+     */
+    addInteraction(entry) {
+        if (!entry.interactionId) {
+            return;
+        }
+
+        const duration = Math.max(this.interactions.get(entry.interactionId) || 0, entry.duration);
+        this.interactions.set(entry.interactionId, duration);
+
+        const durations = [...this.interactions.values()].sort((a, b) => b - a);
+        this.values.INP = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    }
+
+    flush() {
+        ['LCP', 'CLS', 'INP'].forEach(name => {
+            if (this.values[name] !== undefined) {
+                this.report(name, this.values[name]);
+            }
+        });
+
+        if (typeof this.sink.flush === 'function') {
+            this.sink.flush();
+        }
+    }
+
+    report(name, value) {
+        const rounded = name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value);
+
+        if (this.reported.get(name) === rounded) {
+            return;
+        }
+        this.reported.set(name, rounded);
+
+        const metric = {
+            name,
+            value: rounded,
+            rating: this.rate(name, rounded),
+            id: this.id,
+            navigationType: this.navigation ? this.navigation.type : 'navigate',
+            page: window.location.pathname
+        };
+
+        try {
+            this.sink.report(metric);
+        } catch (error) {
+            this.log.warn(`⚠️ Reporting ${name} failed:`, error);
+        }
+    }
+
+    rate(name, value) {
+        const [good, poor] = WebVitals.THRESHOLDS[name];
+
+        if (value <= good) {
+            return 'good';
+        }
+        return value <= poor ? 'needs-improvement' : 'poor';
+    }
+
+    destroy() {
+        this.listeners.abort();
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+
+        if (typeof this.sink.destroy === 'function') {
+            this.sink.destroy();
+        }
+    }
+}
+
+// [good, poor] boundaries from web.dev (ms; CLS is unitless)
+WebVitals.THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800]
+};
+
+/**
+ * Console Sink
+ * For development: one line per metric, through the "metrics" logger.
+ */
+class ConsoleMetricsSink {
+    constructor() {
+        this.log = Logger.get('metrics');
+    }
+
+    report(metric) {
+        const unit = metric.name === 'CLS' ? '' : ' ms';
+        this.log.info(`⚡ ${metric.name}: ${metric.value}${unit} (${metric.rating})`);
+    }
+}
+
+/**
+ * Beacon Sink
+ * Batches metrics to an endpoint in the same { events: [...] } format as
+ * analytics. Like analytics, nothing is sent without "analytics" consent
+ * or when the browser opts out.
+ */
+class BeaconMetricsSink {
+    constructor({ endpoint, consent = null, batchSize = 10, flushInterval = 5000 } = {}) {
+        this.consent = consent;
+        this.transport = new BeaconAnalyticsAdapter({ endpoint, batchSize, flushInterval });
+    }
+
+    report(metric) {
+        if (Analytics.isOptedOut() || (this.consent && !this.consent.has('analytics'))) {
+            return;
+        }
+        this.transport.send(metric);
+    }
+
+    flush() {
+        this.transport.flush();
+    }
+
+    destroy() {
+        this.transport.destroy();
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebVitals, ConsoleMetricsSink, BeaconMetricsSink };
+}
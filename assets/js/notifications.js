@@ -0,0 +1,300 @@
+/**
+ * Dentabel Clinic Website Notifications
+ * Description: Stacked toast notifications announced to assistive technology
+ */
+
+'use strict';
+
+/**
+ * Notification Manager
+ *
+ * Toasts stack in the top-right corner; once maxVisible are on screen further
+ * ones wait in a queue. Messages and action labels are always set as text,
+ * never parsed as HTML.
+ *
+ * Every message is also written to a visually hidden live region that exists
+ * before the toast appears: info/success are announced politely, warning/error
+ * interrupt (role="alert"). Auto-close pauses while the pointer is over a toast
+ * or focus is inside it; a duration of 0 keeps the toast until it is closed.
+ *
+ * show() returns a handle: { id, close() }.
+ */
+class NotificationManager {
+    constructor({ maxVisible = 3, duration = 5000, errorDuration = 8000 } = {}) {
+        this.maxVisible = maxVisible;
+        this.duration = duration;
+        this.errorDuration = errorDuration;
+        this.visible = [];
+        this.queue = [];
+        this.container = null;
+        this.regions = null;
+        this.nextId = 0;
+    }
+
+    /**
+     * Show a Notification
+     * actions: [{ label, onClick(handle), dismiss = true }]
+     */
+    show(message, { type = 'info', duration, actions = [] } = {}) {
+        if (!NotificationManager.TYPES.includes(type)) {
+            type = 'info';
+        }
+
+        const notification = {
+            id: ++this.nextId,
+            message: String(message),
+            type,
+            actions,
+            duration: duration ?? (type === 'warning' || type === 'error' ? this.errorDuration : this.duration),
+            element: null,
+            timer: null,
+            startedAt: 0,
+            hovered: false,
+            focused: false,
+            closed: false
+        };
+        notification.remaining = notification.duration;
+        notification.handle = { id: notification.id, close: () => this.close(notification) };
+
+        if (this.visible.length < this.maxVisible) {
+            this.open(notification);
+        } else {
+            this.queue.push(notification);
+        }
+
+        return notification.handle;
+    }
+
+    /**
+     * Container and Live Regions
+     * Created on first use; live regions must be in the document before the
+     * text they announce is written to them.
+     */
+    ensureContainer() {
+        if (this.container && this.container.isConnected) {
+            return;
+        }
+
+        this.container = document.createElement('section');
+        this.container.className = 'notification-stack';
+        this.container.setAttribute('data-i18n-attr', 'aria-label:notifications.region');
+        this.container.setAttribute('aria-label', i18n.t('notifications.region'));
+
+        const polite = document.createElement('div');
+        polite.className = 'visually-hidden';
+        polite.setAttribute('role', 'status');
+        polite.setAttribute('aria-live', 'polite');
+        polite.setAttribute('aria-atomic', 'true');
+
+        const assertive = document.createElement('div');
+        assertive.className = 'visually-hidden';
+        assertive.setAttribute('role', 'alert');
+        assertive.setAttribute('aria-live', 'assertive');
+        assertive.setAttribute('aria-atomic', 'true');
+
+        this.regions = { polite, assertive };
+        document.body.append(this.container, polite, assertive);
+    }
+
+    open(notification) {
+        this.ensureContainer();
+
+        notification.element = this.createElement(notification);
+        this.container.appendChild(notification.element);
+        this.visible.push(notification);
+
+        this.announce(notification);
+        this.startTimer(notification);
+
+        // Next frame, so the entrance transition runs
+        setTimeout(() => notification.element.classList.add('show'), 10);
+    }
+
+    createElement(notification) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${notification.type}`;
+        element.innerHTML = `
+            <div class="notification-content">
+                <i class="notification-icon fas" aria-hidden="true"></i>
+                <p class="notification-message"></p>
+                <button type="button" class="notification-close">&times;</button>
+            </div>
+        `;
+
+        element.querySelector('.notification-icon').classList.add(NotificationManager.ICONS[notification.type]);
+        element.querySelector('.notification-message').textContent = notification.message;
+
+        const closeBtn = element.querySelector('.notification-close');
+        closeBtn.setAttribute('aria-label', i18n.t('a11y.close'));
+        closeBtn.addEventListener('click', () => this.close(notification));
+
+        if (notification.actions.length > 0) {
+            const actions = document.createElement('div');
+            actions.className = 'notification-actions';
+
+            notification.actions.forEach(({ label, onClick, dismiss = true }) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'notification-action';
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    if (typeof onClick === 'function') {
+                        onClick(notification.handle);
+                    }
+                    if (dismiss) {
+                        this.close(notification);
+                    }
+                });
+                actions.appendChild(button);
+            });
+
+            element.appendChild(actions);
+        }
+
+        // Give people time to read or reach the buttons
+        element.addEventListener('mouseenter', () => {
+            notification.hovered = true;
+            this.pauseTimer(notification);
+        });
+        element.addEventListener('mouseleave', () => {
+            notification.hovered = false;
+            this.resumeTimer(notification);
+        });
+        element.addEventListener('focusin', () => {
+            notification.focused = true;
+            this.pauseTimer(notification);
+        });
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) {
+                notification.focused = false;
+                this.resumeTimer(notification);
+            }
+        });
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.close(notification);
+            }
+        });
+
+        return element;
+    }
+
+    announce(notification) {
+        const region = notification.type === 'warning' || notification.type === 'error'
+            ? this.regions.assertive
+            : this.regions.polite;
+
+        // Clear first so a repeated message is announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = notification.message;
+        }, 50);
+    }
+
+    /**
+     * Auto-Close Timer
+     */
+    startTimer(notification) {
+        if (notification.duration <= 0 || notification.closed) {
+            return;
+        }
+
+        clearTimeout(notification.timer);
+        notification.startedAt = Date.now();
+        notification.timer = setTimeout(() => this.close(notification), notification.remaining);
+    }
+
+    pauseTimer(notification) {
+        if (notification.timer === null) {
+            return;
+        }
+
+        clearTimeout(notification.timer);
+        notification.timer = null;
+        notification.remaining = Math.max(0, notification.remaining - (Date.now() - notification.startedAt));
+    }
+
+    resumeTimer(notification) {
+        if (!notification.hovered && !notification.focused && notification.timer === null) {
+            this.startTimer(notification);
+        }
+    }
+
+    close(notification) {
+        if (notification.closed) {
+            return;
+        }
+
+        notification.closed = true;
+        clearTimeout(notification.timer);
+        notification.timer = null;
+
+        const queued = this.queue.indexOf(notification);
+        if (queued !== -1) {
+            this.queue.splice(queued, 1);
+            return;
+        }
+
+        const { element } = notification;
+        const hadFocus = element.contains(document.activeElement);
+
+        this.visible = this.visible.filter(entry => entry !== notification);
+        element.classList.remove('show');
+
+        // Keep keyboard users inside the stack rather than dropping focus to <body>
+        if (hadFocus && this.visible.length > 0) {
+            this.visible[this.visible.length - 1].element.querySelector('button').focus();
+        }
+
+        setTimeout(() => {
+            element.remove();
+            this.showNext();
+        }, 300);
+    }
+
+    showNext() {
+        while (this.queue.length > 0 && this.visible.length < this.maxVisible) {
+            this.open(this.queue.shift());
+        }
+    }
+
+    /**
+     * Close All Notifications, Including Queued Ones
+     */
+    clear() {
+        this.queue.splice(0).forEach(notification => {
+            notification.closed = true;
+        });
+        [...this.visible].forEach(notification => this.close(notification));
+    }
+
+    /**
+     * Remove the Stack and Live Regions
+     * Another manager creates its own; leftover regions would announce every message twice.
+     */
+    destroy() {
+        this.clear();
+
+        if (this.container) {
+            this.container.remove();
+            this.regions.polite.remove();
+            this.regions.assertive.remove();
+            this.container = null;
+            this.regions = null;
+        }
+    }
+}
+
+NotificationManager.TYPES = ['info', 'success', 'warning', 'error'];
+
+NotificationManager.ICONS = {
+    info: 'fa-info-circle',
+    success: 'fa-check-circle',
+    warning: 'fa-exclamation-triangle',
+    error: 'fa-exclamation-circle'
+};
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NotificationManager };
+}
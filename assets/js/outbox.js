@@ -0,0 +1,137 @@
+/**
+ * Dentabel Clinic Website Submission Outbox
+ * Description: Persists appointment requests that could not be delivered and retries them later
+ */
+
+'use strict';
+
+/**
+ * Submission Outbox
+ * Entries are kept in localStorage keyed by an idempotency key, so the same
+ * request is stored once and the server can recognise a repeated delivery.
+ */
+class SubmissionOutbox {
+    constructor({ storageKey = 'dentabel:outbox', maxAge = 7 * 24 * 60 * 60 * 1000 } = {}) {
+        this.storageKey = storageKey;
+        this.maxAge = maxAge;
+        this.memory = [];
+        this.isFlushing = false;
+        this.log = Logger.get('outbox');
+    }
+
+    /**
+     * Generate Idempotency Key
+     */
+    static createKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    get storage() {
+        // Accessing localStorage throws in some private browsing modes
+        try {
+            return window.localStorage;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    list() {
+        const storage = this.storage;
+        let entries = this.memory;
+
+        if (storage) {
+            try {
+                entries = JSON.parse(storage.getItem(this.storageKey)) || [];
+            } catch (error) {
+                entries = [];
+            }
+        }
+
+        // Drop requests too old to still be relevant to the front desk
+        const now = Date.now();
+        return entries.filter(entry => now - entry.createdAt < this.maxAge);
+    }
+
+    save(entries) {
+        const storage = this.storage;
+        this.memory = entries;
+
+        if (!storage) {
+            return;
+        }
+
+        try {
+            if (entries.length > 0) {
+                storage.setItem(this.storageKey, JSON.stringify(entries));
+            } else {
+                storage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            this.log.warn('⚠️ Outbox could not be persisted:', error);
+        }
+    }
+
+    get size() {
+        return this.list().length;
+    }
+
+    enqueue(key, payload) {
+        const entries = this.list().filter(entry => entry.key !== key);
+
+        entries.push({ key, payload, createdAt: Date.now(), attempts: 0 });
+        this.save(entries);
+    }
+
+    remove(key) {
+        this.save(this.list().filter(entry => entry.key !== key));
+    }
+
+    /**
+     * Deliver Queued Requests
+     * Sends entries oldest first and stops at the first retryable failure;
+     * entries the server rejects outright are dropped so they don't block the queue.
+     */
+    async flush(transport) {
+        const result = { sent: [], rejected: [] };
+
+        if (this.isFlushing) {
+            return result;
+        }
+
+        this.isFlushing = true;
+
+        try {
+            for (const entry of this.list()) {
+                try {
+                    await transport.send(entry.payload, { idempotencyKey: entry.key });
+                    this.remove(entry.key);
+                    result.sent.push(entry);
+                } catch (error) {
+                    if (error.retryable) {
+                        this.save(this.list().map(item => (
+                            item.key === entry.key ? { ...item, attempts: item.attempts + 1 } : item
+                        )));
+                        break;
+                    }
+
+                    this.remove(entry.key);
+                    result.rejected.push(entry);
+                    this.log.error('🚨 Queued request rejected:', error);
+                }
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+
+        return result;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SubmissionOutbox };
+}
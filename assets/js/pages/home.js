@@ -0,0 +1,50 @@
+/**
+ * Dentabel Clinic Website Home Page
+ * Description: Home page specific features
+ */
+
+'use strict';
+
+class HomePage {
+    constructor({ main }) {
+        this.main = main;
+        this.log = Logger.get('home');
+    }
+
+    init() {
+        this.log.debug('🏠 Home page specific features initialized');
+
+        // Add any home page specific functionality here
+        this.initServiceCards();
+        this.initHeroAnimation();
+    }
+
+    initServiceCards() {
+        const serviceCards = this.main.querySelectorAll('.service-card');
+
+        serviceCards.forEach(card => {
+            card.addEventListener('mouseenter', () => {
+                card.style.transform = 'translateY(-8px) scale(1.02)';
+            });
+
+            card.addEventListener('mouseleave', () => {
+                card.style.transform = '';
+            });
+        });
+    }
+
+    initHeroAnimation() {
+        const heroTitle = this.main.querySelector('.hero-title');
+        if (heroTitle) {
+            // Add typewriter effect (optional)
+            heroTitle.style.opacity = '1';
+        }
+    }
+}
+
+PageManager.register('home', HomePage);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HomePage };
+}
@@ -0,0 +1,91 @@
+/**
+ * Dentabel Clinic Website Service Page
+ * Description: Detail page for one service, selected by ?service=<key>
+ */
+
+'use strict';
+
+class ServicePage {
+    constructor({ params, main }) {
+        this.key = params.get('service');
+        this.main = main;
+        this.log = Logger.get('service');
+        this.container = main.querySelector('[data-service-detail]');
+    }
+
+    init() {
+        const section = ServicePage.SECTIONS[this.key];
+
+        if (section) {
+            this.render(section);
+        } else {
+            this.renderNotFound();
+        }
+
+        // Static parts are translated like the rest of the page
+        i18n.apply(this.container);
+    }
+
+    render(section) {
+        const items = i18n.lookup(i18n.defaultLocale, `services.${section}.items`) || [];
+        const title = document.querySelector('title');
+
+        if (title) {
+            title.setAttribute('data-i18n', `services.${section}.title`);
+            i18n.apply(document.head);
+        }
+
+        this.container.innerHTML = `
+            <div class="section-header">
+                <div class="service-icon service-icon-centered">
+                    <i class="fas ${ServicePage.ICONS[this.key]}"></i>
+                </div>
+                <h1 class="section-title" data-i18n="services.${section}.title"></h1>
+                <p class="section-subtitle" data-i18n="services.${section}.description"></p>
+            </div>
+            <div class="service-card service-detail">
+                <ul class="service-list">
+                    ${items.map((item, index) => `<li data-i18n="services.${section}.items.${index}"></li>`).join('')}
+                </ul>
+                <div class="page-actions">
+                    <a href="index.html#contacts" class="btn btn-primary" data-i18n="pages.service.book"></a>
+                    <a href="specialists.html?service=${this.key}" class="btn btn-outline" data-i18n="nav.specialists"></a>
+                    <a href="index.html#services" class="btn btn-outline" data-i18n="pages.service.back"></a>
+                </div>
+            </div>
+        `;
+    }
+
+    renderNotFound() {
+        this.log.warn(`⚠️ Unknown service: ${this.key}`);
+
+        this.container.innerHTML = `
+            <div class="section-header">
+                <h1 class="section-title" data-i18n="pages.service.notFound"></h1>
+                <a href="index.html#services" class="btn btn-primary" data-i18n="pages.service.back"></a>
+            </div>
+        `;
+    }
+}
+
+// Service key (as used by the contact form and schedule) -> message catalog section
+ServicePage.SECTIONS = {
+    orthodontics: 'orthopedics',
+    therapy: 'therapy',
+    surgery: 'surgery',
+    diagnostics: 'diagnostics'
+};
+
+ServicePage.ICONS = {
+    orthodontics: 'fa-tooth',
+    therapy: 'fa-user-md',
+    surgery: 'fa-cut',
+    diagnostics: 'fa-x-ray'
+};
+
+PageManager.register('service', ServicePage);
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServicePage };
+}
@@ -0,0 +1,230 @@
+/**
+ * Dentabel Clinic Website Phone Numbers
+ * Description: Belarusian phone number parsing, input mask and E.164 normalization
+ */
+
+'use strict';
+
+/**
+ * Belarus Phone
+ * National numbers are 9 digits, stored as +375XXXXXXXXX. Mobile operators and
+ * Minsk have 2-digit codes, written +375 (XX) XXX-XX-XX; regional codes have
+ * 3 digits, written +375 (XXX) XX-XX-XX.
+ */
+class BelarusPhone {
+    /**
+     * National Digits
+     * Accepts +375…, 375…, the domestic 80… trunk prefix or bare national digits.
+     */
+    static nationalDigits(input) {
+        let digits = String(input || '').replace(/\D/g, '');
+
+        // Only (part of) the country code left, e.g. after erasing the number
+        if (BelarusPhone.COUNTRY_CODE.startsWith(digits)) {
+            return '';
+        }
+
+        if (digits.startsWith(BelarusPhone.COUNTRY_CODE)) {
+            digits = digits.slice(BelarusPhone.COUNTRY_CODE.length);
+        }
+
+        // A full number pasted after the prefix the mask already shows
+        if (digits.startsWith(BelarusPhone.COUNTRY_CODE) && digits.length > 9) {
+            digits = digits.slice(BelarusPhone.COUNTRY_CODE.length);
+        }
+
+        if (digits.startsWith('80')) {
+            digits = digits.slice(2);
+        } else if (digits.startsWith('0')) {
+            digits = digits.slice(1);
+        }
+
+        return digits.slice(0, 9);
+    }
+
+    /**
+     * Format for Display
+     * Works on partial input, so it can be applied on every keystroke.
+     */
+    static format(input) {
+        const digits = BelarusPhone.nationalDigits(input);
+        const groups = BelarusPhone.AREA_CODES.includes(digits.slice(0, 3)) ? [3, 2, 2, 2] : [2, 3, 2, 2];
+        const separators = ['', ') ', '-', '-'];
+        let formatted = `+${BelarusPhone.COUNTRY_CODE} (`;
+        let start = 0;
+
+        groups.forEach((length, index) => {
+            if (index === 0 || digits.length > start) {
+                formatted += separators[index] + digits.slice(start, start + length);
+            }
+            start += length;
+        });
+
+        return formatted;
+    }
+
+    /**
+     * Operator or Area Code
+     * The 3-digit regional code when the number has one, else the first 2 digits.
+     */
+    static code(input) {
+        const digits = BelarusPhone.nationalDigits(input);
+        return BelarusPhone.AREA_CODES.includes(digits.slice(0, 3)) ? digits.slice(0, 3) : digits.slice(0, 2);
+    }
+
+    static isComplete(input) {
+        return BelarusPhone.nationalDigits(input).length === 9;
+    }
+
+    static hasKnownCode(input) {
+        const code = BelarusPhone.code(input);
+        return BelarusPhone.MOBILE_CODES.includes(code)
+            || code === BelarusPhone.MINSK_CODE
+            || BelarusPhone.AREA_CODES.includes(code);
+    }
+
+    static isValid(input) {
+        return BelarusPhone.isComplete(input) && BelarusPhone.hasKnownCode(input);
+    }
+
+    /**
+     * Normalize to E.164
+     * Returns null for anything that is not a valid Belarusian number.
+     */
+    static normalize(input) {
+        return BelarusPhone.isValid(input)
+            ? `+${BelarusPhone.COUNTRY_CODE}${BelarusPhone.nationalDigits(input)}`
+            : null;
+    }
+}
+
+BelarusPhone.COUNTRY_CODE = '375';
+
+// A1 (29, 44), MTS (29, 33), life:) (25)
+BelarusPhone.MOBILE_CODES = ['25', '29', '33', '44'];
+
+BelarusPhone.MINSK_CODE = '17';
+
+// Regional centres and the larger towns: Grodno 152, Lida 154, Brest 162,
+// Baranovichi 163, Pinsk 165, Soligorsk 174, Molodechno 176, Borisov 177,
+// Vitebsk 212, Polotsk 214, Orsha 216, Mogilev 222, Bobruisk 225, Gomel 232,
+// Mozyr 236. Smaller towns have 4-digit codes and are not accepted.
+BelarusPhone.AREA_CODES = [
+    '152', '154', '162', '163', '165', '174', '176', '177',
+    '212', '214', '216', '222', '225', '232', '236'
+];
+
+/**
+ * Phone Input Mask
+ * Reformats the field with BelarusPhone.format() while typing and keeps the
+ * caret next to the digit it was after.
+ */
+class PhoneMask {
+    constructor(input) {
+        this.input = input;
+        this.listeners = new AbortController();
+
+        const { signal } = this.listeners;
+        input.setAttribute('inputmode', 'tel');
+        input.addEventListener('focus', () => this.handleFocus(), { signal });
+        input.addEventListener('blur', () => this.handleBlur(), { signal });
+        input.addEventListener('input', (e) => this.handleInput(e), { signal });
+
+        if (input.value) {
+            input.value = BelarusPhone.format(input.value);
+        }
+        this.previousValue = input.value;
+    }
+
+    handleFocus() {
+        if (!this.input.value) {
+            this.input.value = BelarusPhone.format('');
+            this.previousValue = this.input.value;
+        }
+    }
+
+    handleBlur() {
+        if (!BelarusPhone.nationalDigits(this.input.value)) {
+            this.input.value = '';
+            this.previousValue = '';
+        }
+    }
+
+    handleInput(e) {
+        const input = this.input;
+        let value = input.value;
+        let caret = input.selectionStart === null ? value.length : input.selectionStart;
+
+        // Backspace over a separator: erase the digit in front of it instead
+        if (e.inputType === 'deleteContentBackward' && this.countDigits(value) === this.countDigits(this.previousValue)) {
+            const digitIndex = this.lastDigitIndexBefore(value, caret);
+            if (digitIndex >= 0) {
+                value = value.slice(0, digitIndex) + value.slice(digitIndex + 1);
+                caret = digitIndex;
+            }
+        }
+
+        const digitsBeforeCaret = this.countDigits(value.slice(0, caret));
+        const formatted = BelarusPhone.format(value);
+
+        input.value = formatted;
+        this.previousValue = formatted;
+
+        const position = this.positionAfterDigits(formatted, digitsBeforeCaret);
+        if (document.activeElement === input) {
+            input.setSelectionRange(position, position);
+        }
+    }
+
+    countDigits(value) {
+        return (value.match(/\d/g) || []).length;
+    }
+
+    lastDigitIndexBefore(value, index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (/\d/.test(value[i])) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    positionAfterDigits(value, count) {
+        const prefixLength = BelarusPhone.format('').length;
+        let seen = 0;
+
+        if (count <= BelarusPhone.COUNTRY_CODE.length) {
+            return prefixLength;
+        }
+
+        for (let i = 0; i < value.length; i++) {
+            if (/\d/.test(value[i]) && ++seen === count) {
+                return Math.max(i + 1, prefixLength);
+            }
+        }
+
+        return value.length;
+    }
+
+    destroy() {
+        this.listeners.abort();
+    }
+}
+
+// Validation rules for FormValidator: phoneBY (complete number) and phoneCodeBY (known code)
+if (typeof FormValidator !== 'undefined') {
+    FormValidator.addRule('phoneBY', {
+        validate: value => BelarusPhone.isComplete(value),
+        message: () => i18n.t('validation.phoneIncomplete')
+    });
+
+    FormValidator.addRule('phoneCodeBY', {
+        validate: value => BelarusPhone.hasKnownCode(value),
+        message: () => i18n.t('validation.phoneCode')
+    });
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BelarusPhone, PhoneMask };
+}
@@ -0,0 +1,421 @@
+/**
+ * Dentabel Clinic Website Page Router
+ * Description: Page registry, per-page initialization and client-side navigation
+ */
+
+'use strict';
+
+/**
+ * Page Manager
+ *
+ * Page modules in assets/js/pages/ register a class once with
+ * PageManager.register(). The current page is named by <body data-page="...">,
+ * falling back to the file name in the URL ("specialists.html" -> "specialists",
+ * "index.html" or "/" -> "home").
+ *
+ * A page class is constructed with a context and then init() is called:
+ *   { name, params: URLSearchParams, main: <main>, manager: PageManager }
+ * An optional destroy() runs before the page is navigated away from.
+ *
+ * With client-side navigation enabled, internal links fetch the target page
+ * and swap its <main> in place; anything unexpected falls back to a normal
+ * page load. Links marked data-no-spa are always loaded normally. After a swap
+ * a "pagechange" event ({ name, main, url }) is dispatched on document.
+ * A #hash target is scrolled to options.scrollOffset() below the viewport top
+ * (startDentabel() passes DentabelApp#getScrollOffset).
+ *
+ * There is one PageManager per document; destroy() removes its listeners and
+ * unmounts the current page so another one can be created.
+ */
+class PageManager {
+    constructor(options = {}) {
+        this.log = Logger.get('router');
+
+        if (PageManager.instance) {
+            this.log.warn('⚠️ PageManager is already initialized, call destroy() first to re-create it');
+            return PageManager.instance;
+        }
+        PageManager.instance = this;
+
+        this.options = { ...PageManager.defaults, ...options };
+        this.listeners = new AbortController();
+        this.prefetchTimer = null;
+        this.pages = this.options.pages;
+        this.page = null;
+        this.cache = new Map();
+        this.navigationId = 0;
+        this.currentPage = this.getCurrentPage();
+        this.initPageSpecificFeatures();
+
+        if (this.options.spa && this.supportsNavigation()) {
+            this.initNavigation();
+        }
+    }
+
+    static register(name, PageClass) {
+        PageManager.pages.set(name, PageClass);
+    }
+
+    getCurrentPage() {
+        const declared = document.body.dataset.page;
+        if (declared) {
+            return declared;
+        }
+
+        const file = window.location.pathname.split('/').pop().replace(/\.html$/, '');
+        return !file || file === 'index' ? 'home' : file;
+    }
+
+    /**
+     * Navigation Type of the Initial Load
+     * "navigate", "reload" or "back_forward" (Navigation Timing Level 2).
+     */
+    getNavigationType() {
+        const [entry] = typeof performance.getEntriesByType === 'function'
+            ? performance.getEntriesByType('navigation')
+            : [];
+        return entry && entry.type ? entry.type : 'navigate';
+    }
+
+    initPageSpecificFeatures() {
+        // Scroll to top when navigating between pages
+        if (this.getNavigationType() === 'navigate' && !window.location.hash) {
+            window.scrollTo(0, 0);
+        }
+
+        this.mountPage();
+    }
+
+    mountPage() {
+        const PageClass = this.pages.get(this.currentPage);
+
+        if (!PageClass) {
+            this.log.debug(`📄 Page: ${this.currentPage}`);
+            return;
+        }
+
+        this.page = new PageClass({
+            name: this.currentPage,
+            params: new URLSearchParams(window.location.search),
+            main: document.querySelector('main'),
+            manager: this
+        });
+        this.page.init();
+
+        this.log.debug(`📄 Page initialized: ${this.currentPage}`);
+    }
+
+    unmountPage() {
+        if (this.page && typeof this.page.destroy === 'function') {
+            this.page.destroy();
+        }
+        this.page = null;
+    }
+
+    /**
+     * Client-Side Navigation
+     */
+    supportsNavigation() {
+        return Boolean(window.history && window.history.pushState)
+            && typeof window.fetch === 'function'
+            && typeof window.DOMParser === 'function';
+    }
+
+    initNavigation() {
+        // Scroll positions are kept in history entries and restored by hand
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        const savedScroll = window.history.state && window.history.state.scroll;
+        window.history.replaceState({ ...window.history.state, url: window.location.href }, '');
+
+        const { signal } = this.listeners;
+
+        if (this.getNavigationType() !== 'navigate' && typeof savedScroll === 'number') {
+            window.addEventListener('load', () => window.scrollTo(0, savedScroll), { once: true, signal });
+        }
+
+        document.addEventListener('click', (e) => this.handleLinkClick(e), { signal });
+        window.addEventListener('popstate', (e) => this.handlePopState(e), { signal });
+        window.addEventListener('pagehide', () => this.saveScrollPosition(), { signal });
+
+        if (this.options.prefetch && !(navigator.connection && navigator.connection.saveData)) {
+            this.initPrefetch();
+        }
+
+        this.log.debug('✅ Client-side navigation initialized');
+    }
+
+    /**
+     * URL a Link Can Be Loaded Into the Current Document
+     * Null for external links, downloads, new windows, non-page resources
+     * and links to the current page itself.
+     */
+    getNavigableUrl(link) {
+        if (!link || link.hasAttribute('download') || link.hasAttribute('data-no-spa')
+            || (link.target && link.target !== '_self')) {
+            return null;
+        }
+
+        const url = new URL(link.href, window.location.href);
+
+        if (url.origin !== window.location.origin || !/(\/|\.html)$/.test(url.pathname)) {
+            return null;
+        }
+
+        // Anchors within the current page are left to the browser and smooth scrolling
+        if (url.pathname === window.location.pathname && url.search === window.location.search) {
+            return null;
+        }
+
+        return url;
+    }
+
+    handleLinkClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        const url = this.getNavigableUrl(e.target.closest('a[href]'));
+
+        if (url) {
+            e.preventDefault();
+            this.navigate(url.href);
+        }
+    }
+
+    handlePopState(e) {
+        // Entries without state come from in-page anchors
+        if (!e.state || !e.state.url) {
+            return;
+        }
+
+        this.navigate(e.state.url, { push: false, scroll: e.state.scroll });
+    }
+
+    saveScrollPosition() {
+        window.history.replaceState({ ...window.history.state, scroll: window.scrollY }, '');
+    }
+
+    initPrefetch() {
+        const { signal } = this.listeners;
+
+        document.addEventListener('mouseover', (e) => {
+            const url = this.getNavigableUrl(e.target.closest('a[href]'));
+            if (url) {
+                clearTimeout(this.prefetchTimer);
+                this.prefetchTimer = setTimeout(() => this.prefetch(url.href), this.options.prefetchDelay);
+            }
+        }, { signal });
+
+        document.addEventListener('mouseout', (e) => {
+            if (e.target.closest('a[href]')) {
+                clearTimeout(this.prefetchTimer);
+            }
+        }, { signal });
+
+        document.addEventListener('touchstart', (e) => {
+            const url = this.getNavigableUrl(e.target.closest('a[href]'));
+            if (url) {
+                this.prefetch(url.href);
+            }
+        }, { passive: true, signal });
+    }
+
+    prefetch(url) {
+        this.fetchPage(url).catch(() => {
+            // Navigation will retry and fall back to a normal load
+        });
+    }
+
+    /**
+     * Fetch and Parse a Page
+     * Requests are cached per URL (without the hash) for the visit.
+     */
+    fetchPage(url) {
+        const key = url.split('#')[0];
+
+        if (!this.cache.has(key)) {
+            const request = fetch(key, { headers: { 'Accept': 'text/html' } })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Page request failed: HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(html => new DOMParser().parseFromString(html, 'text/html'));
+
+            request.catch(() => this.cache.delete(key));
+            this.cache.set(key, request);
+        }
+
+        return this.cache.get(key);
+    }
+
+    async navigate(url, { push = true, scroll } = {}) {
+        const navigationId = ++this.navigationId;
+
+        try {
+            const doc = await this.fetchPage(url);
+
+            // A newer navigation started while this one was loading, or the manager was destroyed
+            if (navigationId !== this.navigationId) {
+                return;
+            }
+
+            if (!doc.querySelector('main')) {
+                throw new Error('Page has no <main> element');
+            }
+
+            if (push) {
+                this.saveScrollPosition();
+                window.history.pushState({ url, scroll: 0 }, '', url);
+            }
+
+            this.swap(doc);
+            this.restoreScroll(scroll);
+        } catch (error) {
+            if (navigationId !== this.navigationId) {
+                return;
+            }
+
+            this.log.warn('⚠️ Client-side navigation failed, loading the page normally:', error);
+            window.location.assign(url);
+        }
+    }
+
+    swap(doc) {
+        const oldMain = document.querySelector('main');
+        const newMain = document.importNode(doc.querySelector('main'), true);
+
+        this.unmountPage();
+
+        // Keep the skip link target
+        if (oldMain.id && !newMain.id) {
+            newMain.id = oldMain.id;
+        }
+        if (oldMain.hasAttribute('tabindex') && !newMain.hasAttribute('tabindex')) {
+            newMain.setAttribute('tabindex', oldMain.getAttribute('tabindex'));
+        }
+
+        oldMain.replaceWith(newMain);
+        this.updateHead(doc);
+        this.syncLinks(doc);
+
+        if (doc.body.dataset.page) {
+            document.body.dataset.page = doc.body.dataset.page;
+        } else {
+            delete document.body.dataset.page;
+        }
+        this.currentPage = this.getCurrentPage();
+
+        i18n.apply(document.head);
+        i18n.apply(newMain);
+        this.mountPage();
+
+        document.dispatchEvent(new CustomEvent('pagechange', {
+            detail: { name: this.currentPage, main: newMain, url: window.location.href }
+        }));
+    }
+
+    /**
+     * Replace Title and Meta Tags with the New Page's
+     */
+    updateHead(doc) {
+        PageManager.HEAD_SELECTORS.forEach(selector => {
+            document.head.querySelectorAll(selector).forEach(element => element.remove());
+            doc.head.querySelectorAll(selector).forEach(element => {
+                document.head.appendChild(document.importNode(element, true));
+            });
+        });
+
+        document.title = doc.title;
+    }
+
+    /**
+     * Header and Footer Links
+     * Pages share the same navigation but point at sections differently
+     * ("#services" on the home page, "index.html#services" elsewhere).
+     */
+    syncLinks(doc) {
+        const current = document.querySelectorAll(PageManager.SYNCED_LINKS);
+        const next = doc.querySelectorAll(PageManager.SYNCED_LINKS);
+
+        if (current.length !== next.length) {
+            return;
+        }
+
+        current.forEach((link, index) => {
+            link.setAttribute('href', next[index].getAttribute('href'));
+            link.className = next[index].className;
+
+            if (next[index].hasAttribute('aria-current')) {
+                link.setAttribute('aria-current', next[index].getAttribute('aria-current'));
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    restoreScroll(scroll) {
+        const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+
+        if (typeof scroll === 'number') {
+            window.scrollTo(0, scroll);
+        } else if (target) {
+            window.scrollTo(0, target.offsetTop - this.options.scrollOffset());
+        } else {
+            window.scrollTo(0, 0);
+        }
+
+        // Announce the new content to assistive technology
+        const main = document.querySelector('main');
+        if (main && main.hasAttribute('tabindex')) {
+            main.focus({ preventScroll: true });
+        }
+    }
+
+    destroy() {
+        this.listeners.abort();
+        clearTimeout(this.prefetchTimer);
+
+        // Cancels a navigation that is still loading
+        this.navigationId++;
+
+        this.unmountPage();
+        this.cache.clear();
+
+        if (PageManager.instance === this) {
+            PageManager.instance = null;
+        }
+    }
+}
+
+PageManager.pages = new Map();
+PageManager.instance = null;
+
+// Overridable via window.DENTABEL_CONFIG.navigation
+PageManager.defaults = {
+    pages: PageManager.pages,
+    spa: true,
+    prefetch: true,
+    prefetchDelay: 65,
+    scrollOffset: () => 0
+};
+
+PageManager.HEAD_SELECTORS = [
+    'title',
+    'meta[name="description"]',
+    'meta[name="keywords"]',
+    'meta[property^="og:"]',
+    'meta[name^="twitter:"]',
+    'link[rel="canonical"]'
+];
+
+PageManager.SYNCED_LINKS = '#navMenu .nav-link, .footer-links a';
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PageManager };
+}
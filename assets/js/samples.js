@@ -0,0 +1,36 @@
+/**
+ * Dentabel Clinic Website Sample Data
+ * Description: Keeps placeholder data files off the live site
+ */
+
+'use strict';
+
+/**
+ * Sample Data
+ *
+ * A data file the clinic has not supplied yet holds placeholder content and
+ * is marked "sample": true. Such files are used on localhost and file:// (and
+ * by the tests) but rejected everywhere else, so the component reading one
+ * falls back to what it shows when its data is unavailable.
+ */
+class SampleData {
+    static isSample(data) {
+        return Boolean(data) && data.sample === true;
+    }
+
+    /**
+     * Check Loaded Data
+     * Returns the data, or throws when sample data would reach the live site.
+     */
+    static check(data, source) {
+        if (SampleData.isSample(data) && !Logger.isDevelopment()) {
+            throw new Error(`${source} holds sample data and is not published`);
+        }
+        return data;
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SampleData };
+}
@@ -0,0 +1,141 @@
+/**
+ * Dentabel Clinic Website Structured Data
+ * Description: Schema.org Dentist JSON-LD generated from company.json
+ */
+
+'use strict';
+
+/**
+ * Company Schema
+ * Builds the Dentist/MedicalClinic description of the clinic from a
+ * CompanyProfile and writes it into the JSON-LD block in <head>.
+ */
+class CompanySchema {
+    constructor(profile) {
+        this.profile = profile;
+        this.log = Logger.get('schema');
+    }
+
+    build() {
+        const profile = this.profile;
+        const website = profile.get('contacts.website');
+        const geo = profile.get('geo');
+
+        return CompanySchema.compact({
+            '@context': 'https://schema.org',
+            '@type': ['Dentist', 'MedicalClinic'],
+            '@id': website ? `${website}/#organization` : undefined,
+            'name': profile.get('brand_name'),
+            'legalName': profile.get('full_name'),
+            'description': profile.get('description'),
+            'slogan': profile.get('slogan'),
+            'url': website,
+            'logo': profile.get('logo'),
+            'image': profile.get('image'),
+            'telephone': (profile.get('contacts.phones') || []).map(phone => CompanyBindings.dialString(phone)),
+            'email': (profile.get('contacts.emails') || [])[0],
+            'foundingDate': profile.get('established_date'),
+            'address': {
+                '@type': 'PostalAddress',
+                'streetAddress': profile.get('address.street'),
+                'addressLocality': profile.get('address.city'),
+                'postalCode': profile.get('address.zip_code'),
+                'addressCountry': profile.get('address.country_code')
+            },
+            'areaServed': profile.get('address.city') ? {
+                '@type': 'City',
+                'name': profile.get('address.city')
+            } : undefined,
+            'geo': geo ? {
+                '@type': 'GeoCoordinates',
+                'latitude': geo.latitude,
+                'longitude': geo.longitude
+            } : undefined,
+            'openingHoursSpecification': (profile.get('opening_hours') || []).map(({ days, opens, closes }) => ({
+                '@type': 'OpeningHoursSpecification',
+                'dayOfWeek': days,
+                'opens': opens,
+                'closes': closes
+            })),
+            'availableService': (profile.get('services') || []).map(name => ({
+                '@type': 'MedicalProcedure',
+                'name': name
+            }))
+        });
+    }
+
+    /**
+     * Validate
+     * Returns the required properties (dotted paths) that are missing or empty.
+     */
+    validate(data = this.build()) {
+        return CompanySchema.REQUIRED.filter(path => {
+            const value = path.split('.').reduce((node, part) => (node ? node[part] : undefined), data);
+            return value === undefined || (Array.isArray(value) && value.length === 0);
+        });
+    }
+
+    /**
+     * Inject into <head>
+     * Replaces the static block marked data-schema="company", which stays
+     * in the markup for crawlers that do not run scripts.
+     */
+    inject(doc = document) {
+        const data = this.build();
+        const missing = this.validate(data);
+
+        if (missing.length > 0) {
+            this.log.warn(`⚠️ Structured data is missing required properties: ${missing.join(', ')}`);
+        }
+
+        let script = doc.head.querySelector('script[type="application/ld+json"][data-schema="company"]');
+
+        if (!script) {
+            script = doc.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.schema = 'company';
+            doc.head.appendChild(script);
+        }
+
+        script.textContent = JSON.stringify(data, null, 4);
+
+        return missing;
+    }
+
+    // Drops undefined values and empty arrays so missing data never leaks as null
+    static compact(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => CompanySchema.compact(item));
+        }
+
+        if (value && typeof value === 'object') {
+            const result = {};
+
+            Object.entries(value).forEach(([key, item]) => {
+                const compacted = CompanySchema.compact(item);
+                if (compacted !== undefined && !(Array.isArray(compacted) && compacted.length === 0)) {
+                    result[key] = compacted;
+                }
+            });
+
+            return result;
+        }
+
+        return value;
+    }
+}
+
+// Properties search engines require for a local medical business
+CompanySchema.REQUIRED = [
+    'name',
+    'url',
+    'telephone',
+    'address.streetAddress',
+    'address.addressLocality',
+    'address.addressCountry'
+];
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CompanySchema };
+}
@@ -0,0 +1,150 @@
+/**
+ * Dentabel Clinic Website Scroll Spy
+ * Description: Highlights the navigation link of the section currently on screen
+ */
+
+'use strict';
+
+/**
+ * Scroll Spy
+ * Keeps navigation links that point at sections of the current page ("#services")
+ * in sync with what is on screen: the .active class, aria-current and the URL
+ * hash. A link to "#" stands for the top of the page.
+ *
+ * The current section is the last one whose top has passed the middle of the
+ * area below the sticky header; offset() returns that header height.
+ */
+class ScrollSpy {
+    constructor(links, { offset = () => 0, updateHash = true } = {}) {
+        this.links = [...links];
+        this.offset = offset;
+        this.updateHash = updateHash;
+        this.observer = null;
+        this.active = null;
+
+        this.items = this.links
+            .map(link => ({ link, section: this.getSection(link) }))
+            .filter(item => item.section || item.link.getAttribute('href') === '#');
+
+        // The browser may still be scrolling to a deep link until the page has loaded
+        this.hashReady = document.readyState === 'complete';
+        if (!this.hashReady) {
+            window.addEventListener('load', () => { this.hashReady = true; }, { once: true });
+        }
+    }
+
+    getSection(link) {
+        const href = link.getAttribute('href');
+
+        if (!href || !href.startsWith('#') || href === '#') {
+            return null;
+        }
+
+        return document.getElementById(decodeURIComponent(href.slice(1)));
+    }
+
+    /**
+     * Start Observing
+     * Returns false when no link points at a section of this page.
+     */
+    init() {
+        if (!this.items.some(item => item.section)) {
+            return false;
+        }
+
+        this.observe();
+        this.refresh();
+        return true;
+    }
+
+    /**
+     * (Re)create the Observer
+     * Called again when the header height changes, e.g. on resize.
+     */
+    observe() {
+        this.disconnect();
+
+        this.observer = new IntersectionObserver(() => this.refresh(), {
+            rootMargin: `-${this.offset()}px 0px -50% 0px`,
+            threshold: [0, 1]
+        });
+
+        this.items.forEach(item => {
+            if (item.section) {
+                this.observer.observe(item.section);
+            }
+        });
+    }
+
+    refresh() {
+        const offset = this.offset();
+        const line = offset + (window.innerHeight - offset) / 2;
+        let current = this.items.find(item => !item.section) || null;
+        let currentTop = -Infinity;
+
+        this.items.forEach(item => {
+            if (!item.section) {
+                return;
+            }
+
+            const top = item.section.getBoundingClientRect().top;
+            if (top <= line && top > currentTop) {
+                current = item;
+                currentTop = top;
+            }
+        });
+
+        this.setActive(current);
+    }
+
+    /**
+     * Activate the Link for a Hash
+     * Used when a link is clicked, before smooth scrolling reaches the section.
+     */
+    activate(hash) {
+        const item = this.items.find(entry => entry.link.getAttribute('href') === hash);
+        if (item) {
+            this.setActive(item);
+        }
+    }
+
+    setActive(item) {
+        if (item === this.active) {
+            return;
+        }
+
+        this.active = item;
+
+        this.links.forEach(link => {
+            const isActive = Boolean(item) && link === item.link;
+            link.classList.toggle('active', isActive);
+
+            if (isActive) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        if (this.updateHash && this.hashReady) {
+            const hash = item && item.section ? `#${item.section.id}` : '';
+
+            // replaceState keeps history clean and does not trigger a jump
+            if (window.location.hash !== hash) {
+                window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${hash}`);
+            }
+        }
+    }
+
+    disconnect() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScrollSpy };
+}
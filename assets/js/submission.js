@@ -0,0 +1,113 @@
+/**
+ * Dentabel Clinic Website Submission Transport
+ * Description: Delivers appointment requests from the contact form to the clinic backend
+ */
+
+'use strict';
+
+/**
+ * Submission Error
+ * Carries the HTTP status and whether the request is worth retrying.
+ */
+class SubmissionError extends Error {
+    constructor(message, { status = 0, retryable = false, details = null } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.retryable = retryable;
+        this.details = details;
+    }
+}
+
+/**
+ * Fetch Transport
+ * POSTs a JSON payload to the endpoint, aborting after `timeout` ms and
+ * retrying network failures, 429 and 5xx responses with exponential backoff.
+ *
+ * Any object with a `send(payload, { idempotencyKey })` method returning a
+ * promise can be used in its place (see `submission.transport` in DentabelApp options).
+ */
+class FetchTransport {
+    constructor({ endpoint, timeout = 10000, retries = 2, backoff = 1000, headers = {} } = {}) {
+        if (!endpoint) {
+            throw new Error('FetchTransport requires an endpoint');
+        }
+
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+        this.retries = retries;
+        this.backoff = backoff;
+        this.headers = headers;
+    }
+
+    async send(payload, { idempotencyKey } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.request(payload, idempotencyKey);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) {
+                    throw error;
+                }
+
+                await this.wait(this.backoff * Math.pow(2, attempt));
+            }
+        }
+    }
+
+    async request(payload, idempotencyKey) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            ...this.headers
+        };
+        let response;
+        let body;
+
+        if (idempotencyKey) {
+            headers['Idempotency-Key'] = idempotencyKey;
+        }
+
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+
+            // The timeout covers the body too: it can stall after the headers arrive
+            body = await response.json().catch(error => {
+                if (controller.signal.aborted) {
+                    throw error;
+                }
+                return null;
+            });
+        } catch (error) {
+            const message = controller.signal.aborted ? 'Request timed out' : 'Network error';
+            throw new SubmissionError(message, { retryable: true });
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw new SubmissionError((body && body.error) || `HTTP ${response.status}`, {
+                status: response.status,
+                retryable: response.status === 429 || response.status >= 500,
+                details: body
+            });
+        }
+
+        return body;
+    }
+
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SubmissionError, FetchTransport };
+}
@@ -0,0 +1,223 @@
+/**
+ * Dentabel Clinic Website Validation Engine
+ * Description: Declarative, extensible form validation driven by data-* attributes or a schema object
+ */
+
+'use strict';
+
+/**
+ * Form Validator
+ *
+ * Rules for a field come from three places, later ones winning:
+ *   1. native attributes: required, minlength, maxlength
+ *   2. data attributes: data-rule-<name>="param", data-msg-<name>="message"
+ *      (e.g. data-rule-min-length="2", data-rule-match="password")
+ *   3. the schema passed to the constructor, keyed by field name:
+ *      { phone: { required: true, pattern: /.../, messages: { pattern: '...' } } }
+ *
+ * Custom rules are added once with FormValidator.addRule() and become
+ * available to every form; a rule may return a promise for async checks.
+ * A rule that throws or rejects marks the field invalid.
+ */
+class FormValidator {
+    constructor(form, { schema = {} } = {}) {
+        this.form = form;
+        this.schema = schema;
+    }
+
+    /**
+     * Register Validation Rule
+     * validate(value, param, context) returns (a promise of) a boolean;
+     * message is a string with an optional {param} placeholder or a function of param.
+     * Rules with runOnEmpty also run for empty values (e.g. required).
+     */
+    static addRule(name, { validate, message, runOnEmpty = false }) {
+        FormValidator.rules.set(name, { validate, message, runOnEmpty });
+    }
+
+    static formatMessage(message, param) {
+        return typeof message === 'function'
+            ? message(param)
+            : String(message).replace('{param}', param);
+    }
+
+    /**
+     * Field Value
+     * Unchecked checkboxes and radio groups without a choice count as empty.
+     */
+    getValue(field) {
+        if (field.type === 'checkbox') {
+            return field.checked ? field.value : '';
+        }
+
+        if (field.type === 'radio') {
+            const checked = this.form.querySelector(`input[type="radio"][name="${field.name}"]:checked`);
+            return checked ? checked.value : '';
+        }
+
+        return typeof field.value === 'string' ? field.value.trim() : field.value;
+    }
+
+    /**
+     * Resolve Field Schema
+     * Merges native attributes, data attributes and the schema object.
+     */
+    getFieldSchema(field) {
+        const rules = {};
+        const messages = {};
+
+        if (field.hasAttribute('required')) {
+            rules.required = true;
+        }
+        if (field.hasAttribute('minlength')) {
+            rules.minLength = Number(field.getAttribute('minlength'));
+        }
+        if (field.hasAttribute('maxlength')) {
+            rules.maxLength = Number(field.getAttribute('maxlength'));
+        }
+
+        Object.entries(field.dataset).forEach(([key, value]) => {
+            if (key.startsWith('rule') && key.length > 4) {
+                rules[this.toRuleName(key.slice(4))] = value === '' ? true : value;
+            } else if (key.startsWith('msg') && key.length > 3) {
+                messages[this.toRuleName(key.slice(3))] = value;
+            }
+        });
+
+        const { messages: schemaMessages = {}, ...schemaRules } = this.schema[field.name] || {};
+
+        return {
+            rules: { ...rules, ...schemaRules },
+            messages: { ...schemaMessages, ...messages }
+        };
+    }
+
+    // dataset "MinLength" -> rule "minLength"
+    toRuleName(key) {
+        return key.charAt(0).toLowerCase() + key.slice(1);
+    }
+
+    /**
+     * Validate Field
+     * Resolves to the message of the first failing rule, or null when valid.
+     */
+    async validateField(field) {
+        const { rules, messages } = this.getFieldSchema(field);
+        const value = this.getValue(field);
+        const context = { field, form: this.form, validator: this };
+
+        for (const [name, param] of Object.entries(rules)) {
+            const rule = FormValidator.rules.get(name);
+
+            if (!rule) {
+                FormValidator.log.warn(`⚠️ Unknown validation rule "${name}" on field "${field.name}"`);
+                continue;
+            }
+
+            if (param === false || (!value && !rule.runOnEmpty)) {
+                continue;
+            }
+
+            let valid;
+            try {
+                valid = await rule.validate(value, param, context);
+            } catch (error) {
+                // A failing check (e.g. a request that could not be made) leaves the field invalid
+                FormValidator.log.error(`🚨 Validation rule "${name}" failed on field "${field.name}":`, error);
+                valid = false;
+            }
+
+            if (!valid) {
+                return FormValidator.formatMessage(messages[name] || rule.message, param);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate Form
+     * Resolves to a map of field name to error message for every invalid field.
+     */
+    async validate() {
+        const fields = [...this.form.querySelectorAll('input, select, textarea')].filter(field => field.name);
+        const errors = {};
+
+        const results = await Promise.all(fields.map(field => this.validateField(field)));
+        results.forEach((message, index) => {
+            if (message && !errors[fields[index].name]) {
+                errors[fields[index].name] = message;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Value of Another Field in the Same Form
+     */
+    getFieldValue(name) {
+        const field = this.form.elements.namedItem(name);
+
+        if (!field) {
+            return '';
+        }
+
+        // RadioNodeList for radio groups
+        return field.nodeType ? this.getValue(field) : field.value;
+    }
+}
+
+FormValidator.rules = new Map();
+FormValidator.log = Logger.get('validation');
+
+// Built-in rules
+FormValidator.addRule('required', {
+    validate: value => Boolean(value),
+    message: () => i18n.t('validation.required'),
+    runOnEmpty: true
+});
+
+FormValidator.addRule('minLength', {
+    validate: (value, param) => value.length >= Number(param),
+    message: param => i18n.t('validation.minLength', { count: Number(param) })
+});
+
+FormValidator.addRule('maxLength', {
+    validate: (value, param) => value.length <= Number(param),
+    message: param => i18n.t('validation.maxLength', { count: Number(param) })
+});
+
+FormValidator.addRule('pattern', {
+    validate: (value, param) => (param instanceof RegExp ? param : new RegExp(`^(?:${param})$`)).test(value),
+    message: () => i18n.t('validation.pattern')
+});
+
+FormValidator.addRule('email', {
+    validate: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    message: () => i18n.t('validation.email')
+});
+
+// Cross-field: equal to the value of the named field
+FormValidator.addRule('match', {
+    validate: (value, param, { validator }) => value === validator.getFieldValue(param),
+    message: () => i18n.t('validation.match')
+});
+
+// Cross-field: required as soon as the named field has a value
+FormValidator.addRule('requiredWith', {
+    validate: (value, param, { validator }) => Boolean(value) || !validator.getFieldValue(param),
+    message: () => i18n.t('validation.required'),
+    runOnEmpty: true
+});
+
+// Custom, possibly async: { custom: (value, context) => boolean | Promise<boolean> }
+FormValidator.addRule('custom', {
+    validate: (value, validate, context) => validate(value, context),
+    message: () => i18n.t('validation.invalid')
+});
+
+// Export for potential external use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FormValidator };
+}
@@ -0,0 +1,409 @@
+/**
+ * Dentabel Clinic Reference Appointment Endpoint
+ * Description: Minimal Node server that serves the site and stores appointment requests
+ *
+ * Usage: node server/appointments-server.js
+ * Then open http://localhost:3000/pages/index.html
+ *
+ * Environment:
+ *   PORT          - port to listen on (default 3000)
+ *   STORAGE_FILE  - JSON Lines file for accepted requests (default server/storage/appointments.jsonl)
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BookingSchedule } = require('../assets/js/booking.js');
+const { BelarusPhone } = require('../assets/js/phone.js');
+const { CostEstimate } = require('../assets/js/estimate.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+const STORAGE_FILE = process.env.STORAGE_FILE || path.join(__dirname, 'storage', 'appointments.jsonl');
+const SCHEDULE_FILE = path.join(ROOT_DIR, 'assets', 'data', 'schedule.json');
+const SERVICES_FILE = path.join(ROOT_DIR, 'assets', 'data', 'services.json');
+const MAX_BODY_SIZE = 16 * 1024;
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// The only directories the site is served from; everything else in the repository stays private
+const PUBLIC_DIRS = ['pages', 'assets'].map(dir => path.join(ROOT_DIR, dir));
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml'
+};
+
+// Mirrors the client-side rules in assets/js/validation.js and assets/js/components/contact-form.js
+const SERVICES = ['orthodontics', 'therapy', 'surgery', 'diagnostics'];
+
+const validationRules = {
+    name: {
+        required: true,
+        minLength: 2,
+        maxLength: 100,
+        pattern: /^[а-яёА-ЯЁa-zA-Z\s-]+$/,
+        message: 'Имя должно содержать только буквы'
+    },
+    phone: {
+        required: true,
+        maxLength: 30,
+        test: value => BelarusPhone.isValid(value),
+        message: 'Некорректный номер телефона'
+    },
+    service: {
+        oneOf: SERVICES,
+        message: 'Неизвестная услуга'
+    },
+    message: {
+        maxLength: 2000
+    },
+    doctor: {
+        maxLength: 64
+    },
+    date: {
+        pattern: /^\d{4}-\d{2}-\d{2}$/,
+        message: 'Некорректная дата'
+    },
+    time: {
+        pattern: /^\d{2}:\d{2}$/,
+        message: 'Некорректное время'
+    }
+};
+
+/**
+ * Validate Appointment Request
+ * Returns a map of field name to error message; empty when the request is valid.
+ */
+function validateAppointment(data) {
+    const errors = {};
+
+    Object.entries(validationRules).forEach(([field, rule]) => {
+        const raw = data[field];
+        const value = typeof raw === 'string' ? raw.trim() : '';
+
+        if (raw !== undefined && typeof raw !== 'string') {
+            errors[field] = 'Некорректное значение';
+        } else if (rule.required && !value) {
+            errors[field] = 'Это поле обязательно для заполнения';
+        } else if (rule.minLength && value && value.length < rule.minLength) {
+            errors[field] = `Минимальная длина: ${rule.minLength} символов`;
+        } else if (rule.maxLength && value.length > rule.maxLength) {
+            errors[field] = `Максимальная длина: ${rule.maxLength} символов`;
+        } else if (rule.pattern && value && !rule.pattern.test(value)) {
+            errors[field] = rule.message;
+        } else if (rule.test && value && !rule.test(value)) {
+            errors[field] = rule.message;
+        } else if (rule.oneOf && value && !rule.oneOf.includes(value)) {
+            errors[field] = rule.message;
+        }
+    });
+
+    // A booked appointment needs all of doctor, date and time
+    const slotFields = ['doctor', 'date', 'time'];
+    if (slotFields.some(field => data[field])) {
+        slotFields.forEach(field => {
+            if (!data[field] && !errors[field]) {
+                errors[field] = 'Это поле обязательно для заполнения';
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Stored records by idempotency key and taken slots, loaded from the storage file on first use.
+// The load is shared, so requests arriving before it finishes check against the full store.
+let storePromise = null;
+
+function loadStore() {
+    if (!storePromise) {
+        storePromise = readStore().catch(error => {
+            storePromise = null;
+            throw error;
+        });
+    }
+
+    return storePromise;
+}
+
+async function readStore() {
+    const store = { byKey: new Map(), slots: new Set() };
+
+    try {
+        const content = await fs.promises.readFile(STORAGE_FILE, 'utf8');
+        content.split('\n').filter(Boolean).forEach(line => {
+            const record = JSON.parse(line);
+            if (record.idempotencyKey) {
+                store.byKey.set(record.idempotencyKey, record);
+            }
+            if (record.date && record.time) {
+                store.slots.add(BookingSchedule.slotKey(record));
+            }
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+    }
+
+    return store;
+}
+
+async function loadSchedule() {
+    return new BookingSchedule(JSON.parse(await fs.promises.readFile(SCHEDULE_FILE, 'utf8')));
+}
+
+/**
+ * Recalculate an Attached Estimate
+ * Prices come from the service catalog, never from the request.
+ * Returns null when the estimate lists unknown procedures or bad quantities.
+ */
+async function recalculateEstimate(data) {
+    const catalog = JSON.parse(await fs.promises.readFile(SERVICES_FILE, 'utf8'));
+
+    try {
+        return CostEstimate.from(catalog, data).toJSON();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check Requested Slot Against the Schedule
+ */
+async function isScheduledSlot(data) {
+    const schedule = await loadSchedule();
+    return schedule.isAvailable({ doctor: data.doctor, date: data.date, time: data.time });
+}
+
+/**
+ * Store Appointment Request
+ * A repeated idempotency key returns the record stored the first time.
+ */
+async function storeAppointment(data, idempotencyKey = null) {
+    const { byKey, slots } = await loadStore();
+
+    if (idempotencyKey && byKey.has(idempotencyKey)) {
+        return { record: byKey.get(idempotencyKey), duplicate: true };
+    }
+
+    if (data.date && !(await isScheduledSlot(data))) {
+        return { slotError: { status: 422, errors: { time: 'Выбранное время недоступно для записи' } } };
+    }
+
+    // Checked and claimed synchronously so concurrent requests can't book the same slot
+    if (idempotencyKey && byKey.has(idempotencyKey)) {
+        return { record: byKey.get(idempotencyKey), duplicate: true };
+    }
+    if (data.date && slots.has(BookingSchedule.slotKey(data))) {
+        return { slotError: { status: 409, errors: { time: 'Это время уже занято, выберите другое' } } };
+    }
+
+    const record = {
+        id: crypto.randomUUID(),
+        idempotencyKey,
+        receivedAt: new Date().toISOString(),
+        name: data.name.trim(),
+        phone: BelarusPhone.normalize(data.phone),
+        service: (data.service || '').trim(),
+        doctor: data.doctor || '',
+        date: data.date || '',
+        time: data.time || '',
+        message: (data.message || '').trim(),
+        estimate: data.estimate || null,
+        page: typeof data.page === 'string' ? data.page : ''
+    };
+
+    if (record.date) {
+        slots.add(BookingSchedule.slotKey(record));
+    }
+    if (idempotencyKey) {
+        byKey.set(idempotencyKey, record);
+    }
+
+    try {
+        await fs.promises.mkdir(path.dirname(STORAGE_FILE), { recursive: true });
+        await fs.promises.appendFile(STORAGE_FILE, JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+        // Nothing was stored: free the slot and the key so a retry is stored instead of replayed
+        slots.delete(BookingSchedule.slotKey(record));
+        byKey.delete(idempotencyKey);
+        throw error;
+    }
+
+    return { record, duplicate: false };
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        const handleData = chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                // Stop reading; the caller answers before the request is dropped
+                req.off('data', handleData);
+                req.pause();
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        };
+
+        req.on('data', handleData);
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function handleAppointment(req, res) {
+    if (!/^application\/json\b/.test(req.headers['content-type'] || '')) {
+        sendJson(res, 415, { error: 'Expected application/json' });
+        return;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(await readBody(req));
+    } catch (error) {
+        if (error.status === 413) {
+            // Send the error first, then drop the rest of the upload
+            res.setHeader('Connection', 'close');
+            res.once('finish', () => req.destroy());
+        }
+        sendJson(res, error.status || 400, { error: error.status ? error.message : 'Invalid JSON' });
+        return;
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        sendJson(res, 400, { error: 'Invalid payload' });
+        return;
+    }
+
+    const idempotencyKey = req.headers['idempotency-key'] || null;
+    if (idempotencyKey && !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+        sendJson(res, 400, { error: 'Invalid Idempotency-Key' });
+        return;
+    }
+
+    const errors = validateAppointment(data);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { error: 'Validation failed', errors });
+        return;
+    }
+
+    if (data.estimate !== undefined && data.estimate !== null) {
+        const estimate = await recalculateEstimate(data.estimate);
+
+        if (!estimate) {
+            sendJson(res, 422, { error: 'Validation failed', errors: { estimate: 'Некорректная смета' } });
+            return;
+        }
+        data.estimate = estimate;
+    }
+
+    const { record, duplicate, slotError } = await storeAppointment(data, idempotencyKey);
+
+    if (slotError) {
+        sendJson(res, slotError.status, { error: 'Slot unavailable', errors: slotError.errors });
+        return;
+    }
+
+    console.log(`📧 Appointment request ${record.id} ${duplicate ? 'already stored' : 'stored'}`);
+    sendJson(res, duplicate ? 200 : 201, { id: record.id, receivedAt: record.receivedAt });
+}
+
+function notFound(res) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('Not found');
+}
+
+function serveStatic(req, res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+
+    const filePath = path.normalize(path.join(ROOT_DIR, decoded));
+
+    // Only the pages and their assets; the rest of the repository is not part of the site
+    if (!PUBLIC_DIRS.some(dir => filePath.startsWith(dir + path.sep))) {
+        notFound(res);
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            notFound(res);
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    try {
+        if (pathname === '/api/appointments') {
+            if (req.method !== 'POST') {
+                res.setHeader('Allow', 'POST');
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+            await handleAppointment(req, res);
+            return;
+        }
+
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            sendJson(res, 405, { error: 'Method not allowed' });
+            return;
+        }
+
+        if (pathname === '/') {
+            res.writeHead(302, { Location: '/pages/index.html' });
+            res.end();
+            return;
+        }
+
+        serveStatic(req, res, pathname);
+    } catch (error) {
+        console.error('🚨 Request failed:', error);
+        if (!res.headersSent) {
+            sendJson(res, 500, { error: 'Internal server error' });
+        }
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🦷 Dentabel reference server on http://localhost:${PORT}/pages/index.html`);
+    });
+}
+
+module.exports = { server, validateAppointment, storeAppointment };
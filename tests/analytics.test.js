@@ -0,0 +1,140 @@
+'use strict';
+
+const { loadScripts, fetchFromDisk } = require('./helpers/site');
+
+loadScripts('analytics.js');
+
+describe('Analytics', () => {
+    afterEach(() => {
+        delete navigator.globalPrivacyControl;
+    });
+
+    test('records nothing without consent', () => {
+        const adapter = { send: jest.fn(), clear: jest.fn(), destroy: jest.fn() };
+        const analytics = new Analytics({ adapter });
+
+        expect(analytics.track('form_start')).toBeNull();
+        expect(adapter.send).not.toHaveBeenCalled();
+    });
+
+    test('sends events with the page path once consent is granted', () => {
+        const adapter = { send: jest.fn(), clear: jest.fn(), destroy: jest.fn() };
+        const analytics = new Analytics({ adapter, consent: true });
+        const handler = jest.fn();
+        const all = jest.fn();
+        analytics.on('cta_click', handler);
+        analytics.on('*', all);
+
+        const event = analytics.track('cta_click', { target: 'hero' });
+
+        expect(event).toEqual({ name: 'cta_click', params: { target: 'hero' }, page: '/pages/index.html', timestamp: expect.any(String) });
+        expect(handler).toHaveBeenCalledWith(event);
+        expect(all).toHaveBeenCalledWith(event);
+        expect(adapter.send).toHaveBeenCalledWith(event);
+    });
+
+    test('respects Global Privacy Control even with consent', () => {
+        Object.defineProperty(navigator, 'globalPrivacyControl', { value: true, configurable: true });
+        const analytics = new Analytics({ consent: true });
+
+        expect(Analytics.isOptedOut()).toBe(true);
+        expect(analytics.track('form_start')).toBeNull();
+    });
+
+    test('drops pending events when consent is withdrawn', () => {
+        const adapter = { send: jest.fn(), clear: jest.fn(), destroy: jest.fn() };
+        const analytics = new Analytics({ adapter, consent: true });
+
+        analytics.setConsent(false);
+
+        expect(adapter.clear).toHaveBeenCalled();
+        expect(analytics.track('form_start')).toBeNull();
+    });
+
+    test('keeps tracking when a handler throws', () => {
+        const analytics = new Analytics({ consent: true });
+        const warn = jest.spyOn(Logger.get('analytics'), 'warn');
+        const handler = jest.fn();
+        analytics.on('form_start', () => {
+            throw new Error('Broken');
+        });
+        analytics.on('form_start', handler);
+
+        analytics.track('form_start');
+
+        expect(handler).toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('⚠️ Analytics handler for "form_start" failed:', expect.any(Error));
+        warn.mockRestore();
+    });
+});
+
+describe('BeaconAnalyticsAdapter', () => {
+    let adapter;
+
+    const names = body => JSON.parse(body).events.map(event => event.name);
+    const readBlob = blob => new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blob);
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        navigator.sendBeacon = jest.fn(() => true);
+        adapter = new BeaconAnalyticsAdapter({ endpoint: '/api/events', batchSize: 2, flushInterval: 1000 });
+    });
+
+    afterEach(() => {
+        adapter.destroy();
+        jest.useRealTimers();
+        delete navigator.sendBeacon;
+        window.fetch = fetchFromDisk;
+    });
+
+    test('sends a full batch at once and the rest after the interval', async () => {
+        adapter.send({ name: 'a' });
+        adapter.send({ name: 'b' });
+        adapter.send({ name: 'c' });
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+
+        jest.advanceTimersByTime(1000);
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(2);
+        expect(navigator.sendBeacon.mock.calls[0][0]).toBe('/api/events');
+
+        expect(navigator.sendBeacon.mock.calls[0][1].type).toBe('application/json');
+
+        // FileReader finishes on a real timer
+        jest.useRealTimers();
+        const batches = await Promise.all(navigator.sendBeacon.mock.calls.map(([, blob]) => readBlob(blob)));
+        expect(batches.map(names)).toEqual([['a', 'b'], ['c']]);
+    });
+
+    test('flushes when the page is hidden', () => {
+        adapter.send({ name: 'a' });
+
+        window.dispatchEvent(new Event('pagehide'));
+
+        expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to a keepalive fetch when the beacon is refused', () => {
+        navigator.sendBeacon = jest.fn(() => false);
+        window.fetch = jest.fn(() => Promise.resolve({ ok: true }));
+
+        adapter.send({ name: 'a' });
+        adapter.flush();
+
+        expect(window.fetch).toHaveBeenCalledWith('/api/events', expect.objectContaining({ method: 'POST', keepalive: true }));
+        expect(names(window.fetch.mock.calls[0][1].body)).toEqual(['a']);
+    });
+
+    test('clear drops queued events', () => {
+        adapter.send({ name: 'a' });
+        adapter.clear();
+
+        jest.advanceTimersByTime(1000);
+        adapter.flush();
+
+        expect(navigator.sendBeacon).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,217 @@
+'use strict';
+
+const { loadPage, settle } = require('./helpers/site');
+
+loadPage('index.html');
+
+describe('DentabelApp', () => {
+    let app;
+    let pageManager;
+
+    beforeEach(() => {
+        ({ app, pageManager } = startDentabel({}));
+    });
+
+    afterEach(() => {
+        app.destroy();
+        pageManager.destroy();
+        window.localStorage.clear();
+    });
+
+    test('starts the app and the router once per document', () => {
+        expect(app.initialized).toBe(true);
+        expect(document.body.classList.contains('loaded')).toBe(true);
+        expect(pageManager.currentPage).toBe('home');
+        expect(pageManager.options.scrollOffset()).toBe(app.getScrollOffset());
+
+        const again = startDentabel({});
+        expect(again.app).toBe(app);
+        expect(again.pageManager).toBe(pageManager);
+    });
+
+    test('merges options into the defaults without changing them', () => {
+        app.destroy();
+        app = new DentabelApp({ notifications: { maxVisible: 1 } });
+
+        expect(app.options.notifications).toEqual({ maxVisible: 1, duration: 5000, errorDuration: 8000 });
+        expect(DentabelApp.defaults.notifications.maxVisible).toBe(3);
+    });
+
+    test('measures Web Vitals without an endpoint only in development', () => {
+        expect(app.metrics.sink).toBeInstanceOf(ConsoleMetricsSink);
+
+        app.destroy();
+        const isDevelopment = jest.spyOn(Logger, 'isDevelopment').mockReturnValue(false);
+        app = new DentabelApp({});
+
+        expect(app.metrics).toBeNull();
+
+        app.destroy();
+        app = new DentabelApp({ metrics: { endpoint: '/api/metrics' } });
+
+        expect(app.metrics.sink).toBeInstanceOf(BeaconMetricsSink);
+
+        isDevelopment.mockRestore();
+    });
+
+    test('mounts the page components', () => {
+        const menuButton = document.querySelector('.mobile-menu-btn');
+
+        expect(app.components.get('contact-form', document.getElementById('contactForm'))).toBeTruthy();
+
+        menuButton.click();
+        expect(menuButton.getAttribute('aria-expanded')).toBe('true');
+        menuButton.click();
+    });
+
+    test('destroy() removes what the app added so it can start again', () => {
+        const menuButton = document.querySelector('.mobile-menu-btn');
+        expect(document.querySelector('.skip-link')).not.toBeNull();
+        app.notifications.show('Saved');
+
+        app.destroy();
+
+        expect(DentabelApp.instance).toBeNull();
+        expect(document.querySelector('.skip-link')).toBeNull();
+        expect(document.querySelector('.consent-banner')).toBeNull();
+        expect(document.querySelector('.notification-stack')).toBeNull();
+        expect(document.body.classList.contains('loaded')).toBe(false);
+
+        menuButton.click();
+        expect(menuButton.getAttribute('aria-expanded')).toBe('false');
+
+        app = new DentabelApp({});
+        expect(app).not.toBeNull();
+        expect(document.querySelectorAll('.skip-link')).toHaveLength(1);
+
+        app.notifications.show('Saved');
+        expect(document.querySelectorAll('.notification-stack')).toHaveLength(1);
+        expect(document.querySelectorAll('.visually-hidden[aria-live]')).toHaveLength(2);
+    });
+
+    test('switches the language from the language buttons', () => {
+        document.querySelector('[data-locale="be"]').click();
+
+        expect(i18n.locale).toBe('be');
+        expect(document.documentElement.lang).toBe('be');
+        expect(document.querySelector('[data-locale="be"]').getAttribute('aria-pressed')).toBe('true');
+        expect(document.querySelector('.skip-link').textContent).toBe(i18n.t('a11y.skipLink'));
+    });
+
+    test('shows notifications through the notification stack', () => {
+        app.showNotification('Saved', 'success');
+
+        const toast = document.querySelector('.notification-success');
+        expect(toast.querySelector('.notification-message').textContent).toBe('Saved');
+    });
+
+    test('sends an estimate from the cost calculator with the contact request', async () => {
+        await settle();
+
+        const calculator = document.getElementById('calculator');
+        const form = document.getElementById('contactForm');
+        expect(calculator.hidden).toBe(false);
+
+        calculator.querySelector('.calculator-step[data-procedure="bridge"][data-step="1"]').click();
+        calculator.querySelector('[data-estimate-action="attach"]').click();
+
+        const payload = app.components.get('contact-form', form).serialize();
+        expect(payload.estimate).toMatchObject({ currency: 'BYN', items: [{ id: 'bridge', quantity: 1 }] });
+        expect(payload.service).toBe('orthodontics');
+
+        form.reset();
+        expect(form.querySelector('.form-estimate')).toBeNull();
+    });
+
+    test('reports a malformed estimate as a failed submission', async () => {
+        const form = document.getElementById('contactForm');
+        const contactForm = app.components.get('contact-form', form);
+        const error = jest.spyOn(contactForm.log, 'error');
+        const estimate = document.createElement('input');
+
+        estimate.type = 'hidden';
+        estimate.name = 'estimate';
+        estimate.dataset.json = '';
+        estimate.value = '{"items": [';
+        form.appendChild(estimate);
+
+        await expect(contactForm.submit()).resolves.toBeUndefined();
+
+        expect(error).toHaveBeenCalledWith('🚨 Form submission failed:', expect.any(SyntaxError));
+        expect(document.querySelector('.notification-error')).not.toBeNull();
+        expect(form.querySelector('[type="submit"]').disabled).toBe(false);
+
+        estimate.remove();
+        error.mockRestore();
+    });
+
+    test('addresses the request to the doctor chosen in the specialists directory', async () => {
+        const form = document.getElementById('contactForm');
+
+        app.destroy();
+        pageManager.destroy();
+        form.elements.service.value = 'therapy';
+        window.history.replaceState(null, '', '/pages/index.html?doctor=marchenko#contacts');
+        ({ app, pageManager } = startDentabel({}));
+
+        await settle();
+
+        expect(form.elements.doctor.value).toBe('marchenko');
+        expect(form.elements.service.value).toBe('surgery');
+
+        form.reset();
+        window.history.replaceState(null, '', '/pages/index.html');
+    });
+
+    test('keeps the sample schedule off the live site', async () => {
+        const form = document.getElementById('contactForm');
+        const warn = jest.spyOn(Logger.get('contact-form'), 'warn');
+
+        expect(form.querySelector('#bookingWidget')).not.toBeNull();
+
+        app.destroy();
+        pageManager.destroy();
+        const isDevelopment = jest.spyOn(Logger, 'isDevelopment').mockReturnValue(false);
+        ({ app, pageManager } = startDentabel({}));
+
+        await settle();
+
+        expect(form.querySelector('#bookingWidget')).toBeNull();
+        expect(form.elements.namedItem('doctor')).toBeNull();
+        expect(warn).toHaveBeenCalledWith('⚠️ Appointment booking unavailable:', expect.any(Error));
+
+        isDevelopment.mockRestore();
+        warn.mockRestore();
+    });
+
+    test('picks up content swapped in by client-side navigation', async () => {
+        await pageManager.navigate(new URL('specialists.html', window.location.href).href);
+
+        expect(pageManager.currentPage).toBe('specialists');
+        expect(document.querySelector('main').getAttribute('tabindex')).toBe('-1');
+        expect(app.errors.breadcrumbs.at(-1)).toMatchObject({ category: 'navigation', message: '/pages/specialists.html' });
+
+        window.history.replaceState(null, '', '/pages/index.html');
+    });
+
+    test('smooth-scrolls header anchors rewritten by client-side navigation', async () => {
+        const scrollTo = jest.spyOn(window, 'scrollTo');
+        const link = document.querySelector('.header a[href$="#services"]');
+
+        // Started on an inner page, where the header links to index.html#services
+        app.destroy();
+        pageManager.destroy();
+        link.setAttribute('href', 'index.html#services');
+        ({ app, pageManager } = startDentabel({}));
+
+        await pageManager.navigate(new URL('index.html', window.location.href).href);
+        expect(link.getAttribute('href')).toBe('#services');
+
+        link.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
+
+        expect(scrollTo).toHaveBeenCalledWith(expect.objectContaining({ behavior: 'smooth' }));
+
+        scrollTo.mockRestore();
+        window.history.replaceState(null, '', '/pages/index.html');
+    });
+});
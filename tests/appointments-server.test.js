@@ -0,0 +1,194 @@
+/**
+ * @jest-environment node
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'dentabel-'));
+process.env.STORAGE_FILE = path.join(STORAGE_DIR, 'appointments.jsonl');
+
+const { server, validateAppointment } = require('../server/appointments-server');
+const { BookingSchedule } = require('../assets/js/booking');
+
+describe('appointments server', () => {
+    let baseUrl;
+    let keys = 0;
+
+    // A free slot from tomorrow on, so the test never races the clock
+    const freeSlot = (doctor = 'novik', skip = 0) => {
+        const schedule = new BookingSchedule(JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/data/schedule.json'), 'utf8')));
+        const entry = schedule.getDoctor(doctor);
+        const slots = schedule.dates().slice(1)
+            .flatMap(date => schedule.slotsFor(entry, date).map(time => ({ doctor, date, time })));
+        return slots[skip];
+    };
+
+    const newKey = () => `test-key-${++keys}-${Date.now()}`;
+
+    const post = (body, { key, type = 'application/json' } = {}) => fetch(`${baseUrl}/api/appointments`, {
+        method: 'POST',
+        headers: { 'Content-Type': type, ...(key ? { 'Idempotency-Key': key } : {}) },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    const request = { name: 'Анна Петрова', phone: '+375 (29) 123-45-67', service: 'diagnostics' };
+
+    const stored = () => fs.readFileSync(process.env.STORAGE_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+    beforeAll(async () => {
+        await new Promise(resolve => server.listen(0, resolve));
+        baseUrl = `http://localhost:${server.address().port}`;
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(STORAGE_DIR, { recursive: true, force: true });
+    });
+
+    describe('validateAppointment', () => {
+        test('accepts a plain request', () => {
+            expect(validateAppointment(request)).toEqual({});
+        });
+
+        test('rejects bad fields and a partial slot', () => {
+            const errors = validateAppointment({ name: 'A1', phone: '+375 (15) 123-45-67', service: 'spa', date: '2030-01-07' });
+
+            expect(Object.keys(errors).sort()).toEqual(['doctor', 'name', 'phone', 'service', 'time']);
+            expect(validateAppointment({ ...request, name: 42 }).name).toBe('Некорректное значение');
+        });
+    });
+
+    describe('POST /api/appointments', () => {
+        test('stores a request with 201 and the phone in E.164', async () => {
+            const response = await post(request, { key: newKey() });
+            const body = await response.json();
+
+            expect(response.status).toBe(201);
+            expect(response.headers.get('cache-control')).toBe('no-store');
+            expect(body).toEqual({ id: expect.any(String), receivedAt: expect.any(String) });
+            expect(stored().find(record => record.id === body.id).phone).toBe('+375291234567');
+        });
+
+        test('replays a repeated Idempotency-Key with 200 and stores it once', async () => {
+            const key = newKey();
+
+            const first = await post(request, { key });
+            const second = await post({ ...request, name: 'Другое Имя' }, { key });
+
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(200);
+            expect(await second.json()).toEqual(await first.json());
+            expect(stored().filter(record => record.idempotencyKey === key)).toHaveLength(1);
+        });
+
+        test('books a free slot once and answers 409 for the same slot', async () => {
+            const slot = freeSlot();
+
+            const first = await post({ ...request, ...slot }, { key: newKey() });
+            const second = await post({ ...request, ...slot }, { key: newKey() });
+
+            expect(first.status).toBe(201);
+            expect(second.status).toBe(409);
+            expect((await second.json()).errors.time).toBeDefined();
+        });
+
+        test('answers 422 for a slot outside the schedule', async () => {
+            const { date } = freeSlot();
+
+            const response = await post({ ...request, doctor: 'novik', date, time: '03:00' });
+
+            expect(response.status).toBe(422);
+            expect(await response.json()).toMatchObject({ error: 'Slot unavailable', errors: { time: expect.any(String) } });
+        });
+
+        test('answers 422 with the failing fields', async () => {
+            const response = await post({ name: '', phone: '123' });
+
+            expect(response.status).toBe(422);
+            expect(Object.keys((await response.json()).errors).sort()).toEqual(['name', 'phone']);
+        });
+
+        test('answers 422 for an estimate with unknown procedures', async () => {
+            const response = await post({ ...request, estimate: { items: [{ id: 'teleportation', quantity: 1 }] } });
+
+            expect(response.status).toBe(422);
+            expect((await response.json()).errors.estimate).toBeDefined();
+        });
+
+        test('answers 400 for invalid JSON, a non-object payload and a malformed key', async () => {
+            expect((await post('{"name":')).status).toBe(400);
+            expect((await post('[1, 2]')).status).toBe(400);
+            expect((await post(request, { key: 'bad key!' })).status).toBe(400);
+        });
+
+        test('answers 415 for anything but JSON', async () => {
+            const response = await post('name=Anna', { type: 'application/x-www-form-urlencoded' });
+
+            expect(response.status).toBe(415);
+        });
+
+        test('answers 413 for a body over 16 KB', async () => {
+            const response = await post({ ...request, message: 'a'.repeat(20 * 1024) });
+
+            expect(response.status).toBe(413);
+        });
+
+        test('answers 405 for other methods', async () => {
+            const response = await fetch(`${baseUrl}/api/appointments`);
+
+            expect(response.status).toBe(405);
+            expect(response.headers.get('allow')).toBe('POST');
+        });
+
+        test('stores a retry after a failed write instead of replaying it', async () => {
+            const key = newKey();
+            const slot = freeSlot('novik', 1);
+            jest.spyOn(fs.promises, 'appendFile').mockRejectedValueOnce(Object.assign(new Error('Disk full'), { code: 'ENOSPC' }));
+
+            const failed = await post({ ...request, ...slot }, { key });
+            const retried = await post({ ...request, ...slot }, { key });
+
+            expect(failed.status).toBe(500);
+            expect(retried.status).toBe(201);
+            expect(stored().filter(record => record.idempotencyKey === key)).toHaveLength(1);
+        });
+    });
+
+    describe('static files', () => {
+        test('redirects / to the home page and serves pages and assets', async () => {
+            const root = await fetch(`${baseUrl}/`, { redirect: 'manual' });
+            const page = await fetch(`${baseUrl}/pages/index.html`);
+            const script = await fetch(`${baseUrl}/assets/js/main.js`);
+
+            expect(root.status).toBe(302);
+            expect(root.headers.get('location')).toBe('/pages/index.html');
+            expect(page.status).toBe(200);
+            expect(page.headers.get('content-type')).toBe('text/html; charset=utf-8');
+            expect(script.status).toBe(200);
+        });
+
+        test('keeps the rest of the repository private', async () => {
+            expect((await fetch(`${baseUrl}/package.json`)).status).toBe(404);
+            expect((await fetch(`${baseUrl}/server/appointments-server.js`)).status).toBe(404);
+            expect((await fetch(`${baseUrl}/pages/..%2Fpackage.json`)).status).toBe(404);
+            expect((await fetch(`${baseUrl}/pages/missing.html`)).status).toBe(404);
+        });
+
+        test('answers 400 for a malformed escape', async () => {
+            expect((await fetch(`${baseUrl}/pages/%E0%A4%A.html`)).status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('booking.js');
+
+describe('BookingSchedule', () => {
+    // Wednesday, 10:10
+    const now = () => new Date(2030, 0, 9, 10, 10);
+
+    const data = {
+        slotDuration: 30,
+        horizonDays: 7,
+        doctors: [
+            { id: 'ivanova', services: ['therapy'], hours: { 3: [['09:00', '11:00']], 4: [['09:00', '10:00'], ['14:00', '15:00']] } },
+            { id: 'petrov', services: ['surgery', 'therapy'], hours: { 7: [['10:00', '11:00']] } }
+        ],
+        booked: [{ doctor: 'ivanova', date: '2030-01-10', time: '09:30' }]
+    };
+
+    const schedule = () => new BookingSchedule(data, { now });
+
+    test('converts dates and times', () => {
+        expect(BookingSchedule.formatDate(new Date(2030, 0, 9))).toBe('2030-01-09');
+        expect(BookingSchedule.parseDate('2030-01-09').getDay()).toBe(3);
+        expect(BookingSchedule.toMinutes('09:30')).toBe(570);
+        expect(BookingSchedule.fromMinutes(570)).toBe('09:30');
+        expect(BookingSchedule.slotKey({ doctor: 'ivanova', date: '2030-01-09', time: '09:30' })).toBe('ivanova|2030-01-09|09:30');
+    });
+
+    test('offers dates from today to the end of the horizon', () => {
+        const dates = schedule().dates();
+
+        expect(dates).toHaveLength(7);
+        expect(dates[0]).toBe('2030-01-09');
+        expect(dates[6]).toBe('2030-01-15');
+    });
+
+    test('lists doctors by service', () => {
+        expect(schedule().doctorsFor('surgery').map(doctor => doctor.id)).toEqual(['petrov']);
+        expect(schedule().doctorsFor('therapy')).toHaveLength(2);
+        expect(schedule().doctorsFor('')).toHaveLength(2);
+    });
+
+    test('splits working hours into slots, skipping booked ones', () => {
+        const ivanova = schedule().getDoctor('ivanova');
+
+        expect(schedule().slotsFor(ivanova, '2030-01-10')).toEqual(['09:00', '14:00', '14:30']);
+        expect(schedule().slotsFor(ivanova, '2030-01-11')).toEqual([]);
+    });
+
+    test('treats Sunday as ISO weekday 7', () => {
+        expect(schedule().slotsFor(schedule().getDoctor('petrov'), '2030-01-13')).toEqual(['10:00', '10:30']);
+    });
+
+    test('skips times already past today and dates outside the horizon', () => {
+        const ivanova = schedule().getDoctor('ivanova');
+
+        expect(schedule().slotsFor(ivanova, '2030-01-09')).toEqual(['10:30']);
+        expect(schedule().slotsFor(ivanova, '2030-01-16')).toEqual([]);
+        expect(schedule().slotsFor(ivanova, '2030-01-08')).toEqual([]);
+    });
+
+    test('checks and marks slots', () => {
+        const booking = schedule();
+        const slot = { doctor: 'ivanova', date: '2030-01-10', time: '14:00' };
+
+        expect(booking.isAvailable(slot)).toBe(true);
+        expect(booking.isAvailable({ ...slot, time: '09:30' })).toBe(false);
+        expect(booking.isAvailable({ ...slot, doctor: 'nobody' })).toBe(false);
+
+        booking.markBooked(slot);
+        expect(booking.isAvailable(slot)).toBe(false);
+    });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { loadScripts, settle } = require('./helpers/site');
+
+loadScripts('i18n.js', 'locales/ru.js', 'focustrap.js', 'consent.js');
+
+describe('ConsentManager', () => {
+    beforeEach(() => {
+        window.localStorage.clear();
+    });
+
+    test('grants only "necessary" until a choice is made', () => {
+        const manager = new ConsentManager();
+
+        expect(manager.hasDecision).toBe(false);
+        expect(manager.getChoices()).toEqual({ necessary: true, analytics: false, marketing: false });
+    });
+
+    test('keeps the choice across visits and announces it', () => {
+        const onChange = jest.fn();
+        document.addEventListener('consentchange', onChange);
+
+        new ConsentManager().update({ analytics: true, marketing: 'yes', unknown: true });
+
+        const manager = new ConsentManager();
+        expect(manager.hasDecision).toBe(true);
+        expect(manager.getChoices()).toEqual({ necessary: true, analytics: true, marketing: true });
+        expect(onChange.mock.calls[0][0].detail.choices).toEqual({ necessary: true, analytics: true, marketing: true });
+        expect(JSON.parse(window.localStorage.getItem('dentabel:consent')).choices).not.toHaveProperty('unknown');
+
+        document.removeEventListener('consentchange', onChange);
+    });
+
+    test('asks again after the version is raised', () => {
+        new ConsentManager().acceptAll();
+
+        expect(new ConsentManager({ version: 2 }).hasDecision).toBe(false);
+    });
+
+    test('whenGranted resolves once the category is granted', async () => {
+        const manager = new ConsentManager();
+        const granted = jest.fn();
+        manager.whenGranted('marketing').then(granted);
+
+        manager.update({ analytics: true });
+        await settle();
+        expect(granted).not.toHaveBeenCalled();
+
+        manager.update({ marketing: true });
+        await settle();
+        expect(granted).toHaveBeenCalled();
+    });
+});
+
+describe('ConsentBanner', () => {
+    let manager;
+    let banner;
+
+    const start = () => {
+        manager = new ConsentManager();
+        banner = new ConsentBanner(manager);
+        banner.init();
+    };
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        document.body.innerHTML = '<main tabindex="-1"></main><footer><button type="button" data-consent-open>Settings</button></footer>';
+    });
+
+    afterEach(() => {
+        banner.destroy();
+    });
+
+    test('shows the banner until a choice is made, without taking focus', () => {
+        start();
+
+        const element = document.querySelector('.consent-banner');
+        expect(element.querySelector('h2').textContent).toBe('Мы бережём ваши данные');
+        expect(document.activeElement).toBe(document.body);
+        expect(document.documentElement.classList.contains('consent-pending')).toBe(true);
+
+        element.querySelector('[data-consent-action="reject"]').click();
+
+        expect(document.querySelector('.consent-banner')).toBeNull();
+        expect(document.documentElement.classList.contains('consent-pending')).toBe(false);
+        expect(manager.getChoices()).toEqual({ necessary: true, analytics: false, marketing: false });
+    });
+
+    test('moves focus to the main content when the banner it was in goes away', () => {
+        start();
+        const accept = document.querySelector('.consent-banner [data-consent-action="accept"]');
+        accept.focus();
+
+        accept.click();
+
+        expect(document.activeElement).toBe(document.querySelector('main'));
+        expect(manager.has('analytics')).toBe(true);
+    });
+
+    test('stays hidden once a choice was made', () => {
+        new ConsentManager().rejectAll();
+
+        start();
+
+        expect(document.querySelector('.consent-banner')).toBeNull();
+    });
+
+    test('saves choices from the dialog and returns focus to what opened it', () => {
+        new ConsentManager().rejectAll();
+        start();
+        const opener = document.querySelector('footer [data-consent-open]');
+        opener.focus();
+
+        opener.click();
+
+        const dialog = document.querySelector('.consent-dialog');
+        expect(dialog.getAttribute('role')).toBe('dialog');
+        expect(dialog.querySelector('#consent-necessary').disabled).toBe(true);
+        expect(dialog.querySelector('#consent-necessary').checked).toBe(true);
+        expect(dialog.querySelector('#consent-analytics').checked).toBe(false);
+
+        dialog.querySelector('#consent-analytics').checked = true;
+        dialog.querySelector('[data-consent-action="save"]').click();
+
+        expect(document.querySelector('.consent-dialog')).toBeNull();
+        expect(document.body.classList.contains('consent-dialog-open')).toBe(false);
+        expect(document.activeElement).toBe(opener);
+        expect(manager.getChoices()).toEqual({ necessary: true, analytics: true, marketing: false });
+    });
+
+    test('closes the dialog on Escape without changing the choice', () => {
+        start();
+        document.querySelector('.consent-banner [data-consent-open]').click();
+
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        expect(document.querySelector('.consent-dialog')).toBeNull();
+        expect(manager.hasDecision).toBe(false);
+        expect(document.querySelector('.consent-banner')).not.toBeNull();
+    });
+});
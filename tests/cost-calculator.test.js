@@ -0,0 +1,269 @@
+'use strict';
+
+const { loadScripts, settle } = require('./helpers/site');
+
+loadScripts(
+    'i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js',
+    'samples.js', 'estimate.js', 'components.js', 'components/cost-calculator.js'
+);
+
+describe('CostCalculator', () => {
+    let registry;
+    let app;
+    let element;
+    let calculator;
+
+    const step = (id, direction = 1) => {
+        element.querySelector(`.calculator-step[data-procedure="${id}"][data-step="${direction}"]`).click();
+    };
+    const type = (id, value, event = 'input') => {
+        const input = element.querySelector(`input[data-procedure="${id}"]`);
+        input.value = value;
+        input.dispatchEvent(new Event(event, { bubbles: true }));
+        return input;
+    };
+    const action = name => element.querySelector(`[data-estimate-action="${name}"]`);
+    const rows = () => [...element.querySelectorAll('.estimate-table tbody tr')]
+        .map(row => [...row.cells].map(cell => cell.textContent));
+    const total = () => element.querySelector('.estimate-total').textContent;
+
+    const start = async (src = '../assets/data/services.json') => {
+        document.body.innerHTML = `
+            <main>
+                <section id="calculator" data-cost-calculator data-catalog-src="${src}" hidden>
+                    <div class="cost-calculator"></div>
+                </section>
+                <section id="contact">
+                    <form id="contactForm">
+                        <select id="service" name="service">
+                            <option value="">Choose</option>
+                            <option value="orthodontics">Orthodontics</option>
+                            <option value="surgery">Surgery</option>
+                        </select>
+                        <button type="submit">Send</button>
+                    </form>
+                </section>
+            </main>
+        `;
+        element = document.getElementById('calculator');
+
+        registry = new ComponentRegistry({ context: { app } });
+        registry.start();
+        calculator = registry.get('cost-calculator', element);
+        await settle();
+    };
+
+    beforeEach(() => {
+        i18n.locale = 'ru';
+        app = { analytics: { track: jest.fn() } };
+    });
+
+    afterEach(() => {
+        registry.destroy();
+    });
+
+    test('shows the procedures of one category at a time', async () => {
+        await start();
+
+        expect(element.hidden).toBe(false);
+
+        const visible = () => [...element.querySelectorAll('.calculator-procedure:not([hidden])')].map(row => row.dataset.category);
+        expect(new Set(visible())).toEqual(new Set(['orthodontics']));
+
+        const category = element.querySelector('#calculatorCategory');
+        category.value = 'diagnostics';
+        category.dispatchEvent(new Event('change', { bubbles: true }));
+
+        expect(visible()).toHaveLength(5);
+        expect(new Set(visible())).toEqual(new Set(['diagnostics']));
+    });
+
+    test('itemizes the chosen procedures with totals', async () => {
+        await start();
+
+        step('singleCrown');
+        step('singleCrown');
+        type('zirconiaCrown', '1');
+
+        expect(rows()).toEqual([
+            ['Изготовление одиночных коронок', '2', expect.stringMatching(/^500\s?[–-]\s?1\s000\sBYN$/)],
+            ['Безметалловые коронки из циркония', '1', expect.stringMatching(/^600\s?[–-]\s?900\sBYN$/)]
+        ]);
+        expect(total()).toMatch(/^1\s100\s?[–-]\s?1\s900\sBYN$/);
+        expect(element.querySelector('[role="status"]').textContent).toBe(`Итого: ${total()}`);
+
+        step('singleCrown', -1);
+        expect(rows()[0][1]).toBe('1');
+    });
+
+    test('keeps quantities within range', async () => {
+        await start();
+
+        step('implant', -1);
+        expect(element.querySelector('input[data-procedure="implant"]').value).toBe('0');
+
+        expect(type('implant', '50', 'change').value).toBe(String(CostEstimate.MAX_QUANTITY));
+        expect(type('implant', '-3', 'change').value).toBe('0');
+        expect(type('implant', '', 'input').value).toBe('');
+        expect(calculator.estimate.isEmpty()).toBe(true);
+    });
+
+    test('disables the actions until something is chosen and clears back to empty', async () => {
+        await start();
+
+        expect(element.querySelector('.estimate-table').hidden).toBe(true);
+        expect(element.querySelector('.estimate-empty').hidden).toBe(false);
+        expect(action('attach').disabled).toBe(true);
+
+        step('bridge');
+        expect(action('attach').disabled).toBe(false);
+        expect(element.querySelector('.estimate-table').hidden).toBe(false);
+
+        action('clear').click();
+        expect(calculator.estimate.isEmpty()).toBe(true);
+        expect(element.querySelector('input[data-procedure="bridge"]').value).toBe('0');
+        expect(action('print').disabled).toBe(true);
+    });
+
+    test('prints only the estimate', async () => {
+        await start();
+        const print = jest.spyOn(window, 'print').mockImplementation(() => {
+            expect(document.body.classList.contains('printing-estimate')).toBe(true);
+        });
+
+        step('bridge');
+        action('print').click();
+        window.dispatchEvent(new Event('afterprint'));
+
+        expect(print).toHaveBeenCalledTimes(1);
+        expect(document.body.classList.contains('printing-estimate')).toBe(false);
+        expect(app.analytics.track).toHaveBeenCalledWith('estimate_print', { procedures: 1 });
+        print.mockRestore();
+    });
+
+    test('downloads the estimate as text', async () => {
+        await start();
+        let blob = null;
+        URL.createObjectURL = jest.fn(value => {
+            blob = value;
+            return 'blob:estimate';
+        });
+        URL.revokeObjectURL = jest.fn();
+        const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            expect(this.download).toBe('dentabel-smeta.txt');
+            expect(this.href).toBe('blob:estimate');
+        });
+
+        step('implant');
+        action('download').click();
+
+        expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+        await settle();
+
+        const text = await new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.readAsText(blob);
+        });
+        expect(blob.type).toBe('text/plain;charset=utf-8');
+        expect(text).toContain('Дентабел — Предварительная смета');
+        expect(text).toMatch(/Имплантация зубов × 1: 1\s400\s?[–-]\s?2\s600\sBYN/);
+        expect(text).toMatch(/Итого: 1\s400\s?[–-]\s?2\s600\sBYN/);
+        expect(click).toHaveBeenCalledTimes(1);
+        expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:estimate');
+        expect(document.querySelector('a[download]')).toBeNull();
+        click.mockRestore();
+        delete URL.createObjectURL;
+        delete URL.revokeObjectURL;
+    });
+
+    test('attaches the estimate to the contact form and keeps it in sync', async () => {
+        await start();
+        const form = document.getElementById('contactForm');
+        const onChange = jest.fn();
+        form.elements.service.addEventListener('change', onChange);
+
+        step('singleCrown');
+        step('bridge');
+        action('attach').click();
+
+        const attachment = form.querySelector('.form-estimate');
+        const field = form.elements.namedItem('estimate');
+        expect(attachment.nextElementSibling).toBe(form.querySelector('[type="submit"]'));
+        expect(document.activeElement).toBe(attachment);
+        expect(JSON.parse(field.value)).toEqual(JSON.parse(JSON.stringify(calculator.estimate)));
+        expect(field.hasAttribute('data-json')).toBe(true);
+        expect(form.elements.service.value).toBe('orthodontics');
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(attachment.querySelector('.form-estimate-summary').textContent).toMatch(/^Смета: 2 процедуры, /);
+
+        step('bridge');
+        expect(JSON.parse(field.value).items[1].quantity).toBe(2);
+        expect(attachment.querySelector('.form-estimate-summary').textContent).toMatch(/^Смета: 3 процедуры, /);
+
+        action('clear').click();
+        expect(form.querySelector('.form-estimate')).toBeNull();
+    });
+
+    test('leaves the service alone for procedures from several categories', async () => {
+        await start();
+        const form = document.getElementById('contactForm');
+
+        step('implant');
+        step('cbct');
+        action('attach').click();
+
+        expect(form.elements.service.value).toBe('');
+        expect(app.analytics.track).toHaveBeenCalledWith('estimate_attach', { procedures: 2 });
+    });
+
+    test('removes the attachment on request and when the form is reset', async () => {
+        await start();
+        const form = document.getElementById('contactForm');
+
+        step('implant');
+        action('attach').click();
+        form.querySelector('.form-estimate-remove').click();
+        expect(form.querySelector('.form-estimate')).toBeNull();
+
+        action('attach').click();
+        form.reset();
+        expect(form.querySelector('.form-estimate')).toBeNull();
+        expect(calculator.estimate.isEmpty()).toBe(false);
+    });
+
+    test('stays hidden when the catalog cannot be loaded', async () => {
+        const warn = jest.spyOn(Logger.get('cost-calculator'), 'warn');
+
+        await start('../assets/data/missing.json');
+
+        expect(element.hidden).toBe(true);
+        expect(warn).toHaveBeenCalledWith('⚠️ Cost calculator unavailable:', expect.any(Error));
+
+        warn.mockRestore();
+    });
+
+    test('stays hidden with sample prices on the live site', async () => {
+        const isDevelopment = jest.spyOn(Logger, 'isDevelopment').mockReturnValue(false);
+
+        await start();
+
+        expect(element.hidden).toBe(true);
+
+        isDevelopment.mockRestore();
+    });
+
+    test('re-renders in the new language', async () => {
+        await start();
+        step('implant');
+
+        i18n.setLocale('en');
+
+        expect(rows()[0][0]).toBe('Dental implants');
+        expect(total()).toMatch(/^BYN\s1,400\s?[–-]\s?2,600$/);
+        expect(element.querySelector('.calculator-step[data-procedure="implant"][data-step="1"]').getAttribute('aria-label')).toBe('More: Dental implants');
+
+        i18n.setLocale('ru');
+        window.localStorage.clear();
+    });
+});
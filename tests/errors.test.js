@@ -0,0 +1,101 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('errors.js');
+
+describe('ErrorReporter', () => {
+    let reporter;
+
+    beforeEach(() => {
+        reporter = new ErrorReporter();
+        reporter.install();
+    });
+
+    afterEach(() => {
+        reporter.destroy();
+    });
+
+    test('logs uncaught errors through the logger, which is silent in production', () => {
+        const consoleError = jest.spyOn(console, 'error');
+        const logError = jest.spyOn(Logger.get('errors'), 'error');
+        const error = new Error('Boom');
+
+        window.dispatchEvent(new ErrorEvent('error', { error, message: error.message }));
+
+        expect(logError).toHaveBeenCalledWith('🚨 JavaScript Error:', error);
+        expect(consoleError).not.toHaveBeenCalled();
+
+        consoleError.mockRestore();
+        logError.mockRestore();
+    });
+
+    test('scrubs Belarusian phone numbers and e-mail addresses', () => {
+        expect(ErrorReporter.scrub('Call +375 (29) 123-45-67 or 8 (017) 350-99-99'))
+            .toBe('Call [phone] or [phone]');
+        expect(ErrorReporter.scrub('phone=375291234567, e-mail anna@example.by'))
+            .toBe('phone=[phone], e-mail [email]');
+    });
+
+    test('leaves dates, ids and versions alone', () => {
+        const text = 'Slot 2024-05-22 09:30 for request 1234567890, build 1.20.3456789';
+
+        expect(ErrorReporter.scrub(text)).toBe(text);
+    });
+
+    test('reports scrubbed errors with breadcrumbs and the page', () => {
+        reporter.addBreadcrumb('form', 'Submitted by +375 29 123 45 67', { email: 'anna@example.by' });
+
+        const report = reporter.capture(new TypeError('No slot for anna@example.by'), { step: 'booking' });
+
+        expect(report).toMatchObject({
+            name: 'TypeError',
+            message: 'No slot for [email]',
+            context: { step: 'booking' },
+            page: '/pages/index.html'
+        });
+        expect(report.breadcrumbs).toEqual([
+            { category: 'form', message: 'Submitted by [phone]', data: { email: '[email]' }, timestamp: expect.any(String) }
+        ]);
+    });
+
+    test('keeps only the latest breadcrumbs', () => {
+        const small = new ErrorReporter({ maxBreadcrumbs: 2 });
+
+        ['one', 'two', 'three'].forEach(message => small.addBreadcrumb('navigation', message));
+
+        expect(small.breadcrumbs.map(crumb => crumb.message)).toEqual(['two', 'three']);
+    });
+
+    test('reports the same error once and at most maxReports per window', () => {
+        const limited = new ErrorReporter({ maxReports: 2 });
+        const error = new Error('Same');
+
+        expect(limited.capture(error)).not.toBeNull();
+        expect(limited.capture(error)).toBeNull();
+        expect(limited.capture(new Error('Second'))).not.toBeNull();
+        expect(limited.capture(new Error('Third'))).toBeNull();
+    });
+
+    test('posts reports to the endpoint with a beacon', () => {
+        navigator.sendBeacon = jest.fn(() => true);
+        const sending = new ErrorReporter({ endpoint: '/api/errors' });
+
+        sending.capture(new Error('Boom'));
+
+        expect(navigator.sendBeacon).toHaveBeenCalledWith('/api/errors', expect.any(Blob));
+        delete navigator.sendBeacon;
+    });
+
+    test('skips cross-origin "Script error." and reports unhandled rejections', () => {
+        const capture = jest.spyOn(reporter, 'capture');
+
+        window.dispatchEvent(new ErrorEvent('error', { message: 'Script error.' }));
+        const event = new Event('unhandledrejection');
+        event.reason = new Error('Rejected');
+        window.dispatchEvent(event);
+
+        expect(capture).toHaveBeenCalledTimes(1);
+        expect(capture).toHaveBeenCalledWith(event.reason, { source: 'unhandledrejection' });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('estimate.js');
+
+describe('CostEstimate', () => {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/data/services.json'), 'utf8'));
+    let estimate;
+
+    beforeEach(() => {
+        estimate = new CostEstimate(catalog);
+    });
+
+    test('itemizes procedures in catalog order with line and grand totals', () => {
+        estimate.set('zirconiaCrown', 2);
+        estimate.set('singleCrown', 1);
+
+        expect(estimate.items).toEqual([
+            { id: 'singleCrown', category: 'orthodontics', quantity: 1, price: { from: 250, to: 500 }, total: { from: 250, to: 500 } },
+            { id: 'zirconiaCrown', category: 'orthodontics', quantity: 2, price: { from: 600, to: 900 }, total: { from: 1200, to: 1800 } }
+        ]);
+        expect(estimate.total).toEqual({ from: 1450, to: 2300 });
+        expect(estimate.count).toBe(3);
+        expect(estimate.categories).toEqual(['orthodontics']);
+    });
+
+    test('a zero quantity removes the procedure', () => {
+        estimate.set('implant', 2);
+        estimate.set('implant', 0);
+
+        expect(estimate.isEmpty()).toBe(true);
+        expect(estimate.total).toEqual({ from: 0, to: 0 });
+    });
+
+    test('rejects unknown procedures and quantities out of range', () => {
+        expect(() => estimate.set('braces', 1)).toThrow(RangeError);
+        expect(() => estimate.set('implant', -1)).toThrow(RangeError);
+        expect(() => estimate.set('implant', 1.5)).toThrow(RangeError);
+        expect(() => estimate.set('implant', CostEstimate.MAX_QUANTITY + 1)).toThrow(RangeError);
+        expect(() => estimate.set('implant', '2')).toThrow(RangeError);
+    });
+
+    test('serializes with prices from the catalog', () => {
+        estimate.set('extraction', 1);
+        estimate.set('cbct', 1);
+
+        expect(JSON.parse(JSON.stringify(estimate))).toEqual({
+            currency: 'BYN',
+            items: [
+                { id: 'extraction', quantity: 1, price: { from: 50, to: 150 }, total: { from: 50, to: 150 } },
+                { id: 'cbct', quantity: 1, price: { from: 90, to: 150 }, total: { from: 90, to: 150 } }
+            ],
+            total: { from: 140, to: 300 }
+        });
+        expect(estimate.categories).toEqual(['surgery', 'diagnostics']);
+    });
+
+    test('from() recalculates request data and ignores the prices it carries', () => {
+        const restored = CostEstimate.from(catalog, {
+            items: [{ id: 'implant', quantity: 2, total: { from: 1, to: 1 } }],
+            total: { from: 1, to: 1 }
+        });
+
+        expect(restored.total).toEqual({ from: 2800, to: 5200 });
+    });
+
+    test('from() rejects malformed request data', () => {
+        expect(() => CostEstimate.from(catalog, null)).toThrow(TypeError);
+        expect(() => CostEstimate.from(catalog, { items: 'implant' })).toThrow(TypeError);
+        expect(() => CostEstimate.from(catalog, { items: [null] })).toThrow(RangeError);
+        expect(() => CostEstimate.from(catalog, { items: [{ id: 'implant', quantity: 100 }] })).toThrow(RangeError);
+    });
+
+    test('formats price ranges for the locale', () => {
+        expect(CostEstimate.formatPrice({ from: 250, to: 500 }, 'BYN', 'ru-RU')).toMatch(/^250\s?[–-]\s?500\sBYN$/);
+        expect(CostEstimate.formatPrice({ from: 1400, to: 1400 }, 'BYN', 'ru-RU')).toMatch(/^1\s400\sBYN$/);
+        expect(CostEstimate.formatPrice({ from: 90, to: 180 }, 'BYN', 'en-GB')).toMatch(/^BYN\s90\s?[–-]\s?180$/);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * Test Helpers
+ * Site scripts are classic scripts sharing one global scope, so they run as
+ * <script> elements in the jsdom window instead of being required.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+/**
+ * Run Scripts from assets/js
+ * Once per test file, like a page loads them; logger.js always comes first.
+ * An error thrown while a script runs fails the test.
+ */
+function loadScripts(...files) {
+    const errors = [];
+    const handleError = (e) => errors.push(e.error);
+
+    window.addEventListener('error', handleError);
+    ['logger.js', ...files.filter(file => file !== 'logger.js')].forEach(file => {
+        const script = document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(ROOT, 'assets/js', file), 'utf8');
+        document.head.appendChild(script);
+    });
+    window.removeEventListener('error', handleError);
+
+    if (errors.length > 0) {
+        throw errors[0];
+    }
+
+    // Keep test output to the test results
+    Logger.level = 'silent';
+}
+
+/**
+ * Load a Page from pages/
+ * Copies its markup into the document and runs its scripts in order,
+ * except bootstrap.js: tests start the site with startDentabel().
+ */
+function loadPage(page = 'index.html') {
+    const html = fs.readFileSync(path.join(ROOT, 'pages', page), 'utf8');
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    const scripts = [...doc.querySelectorAll('script[src]')]
+        .map(script => script.getAttribute('src'))
+        .filter(src => src.startsWith('../assets/js/') && !src.endsWith('/bootstrap.js'))
+        .map(src => src.replace('../assets/js/', ''));
+
+    doc.querySelectorAll('script').forEach(script => script.remove());
+
+    document.documentElement.lang = doc.documentElement.lang;
+    document.head.innerHTML = doc.head.innerHTML;
+    document.body.innerHTML = doc.body.innerHTML;
+    [...doc.body.attributes].forEach(({ name, value }) => document.body.setAttribute(name, value));
+
+    loadScripts(...scripts);
+}
+
+/**
+ * fetch() Served from the Repository
+ * GET requests for site files (pages, data, assets) resolve like the
+ * reference server would; anything else is a 404.
+ */
+async function fetchFromDisk(url) {
+    const { pathname } = new URL(url, window.location.href);
+    const file = path.join(ROOT, decodeURIComponent(pathname));
+    const found = file.startsWith(ROOT) && fs.existsSync(file) && fs.statSync(file).isFile();
+    const body = found ? fs.readFileSync(file, 'utf8') : '';
+
+    return {
+        ok: found,
+        status: found ? 200 : 404,
+        headers: { get: () => null },
+        text: async () => body,
+        json: async () => JSON.parse(body)
+    };
+}
+
+/**
+ * Wait for Pending Work
+ * Resolves on the next macrotask, so a fetch() and the promise callbacks
+ * chained on it (response.json(), rendering) have all run.
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+module.exports = { loadScripts, loadPage, fetchFromDisk, settle };
@@ -0,0 +1,134 @@
+'use strict';
+
+const { loadScripts, fetchFromDisk, settle } = require('./helpers/site');
+
+loadScripts(
+    'i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js',
+    'components.js', 'components/licenses.js'
+);
+
+describe('LicenseGallery', () => {
+    const DOCUMENTS = {
+        licenses: [
+            {
+                id: 'm-267',
+                type: 'medical',
+                number: 'М-267',
+                issuer: 'minzdrav',
+                issued: '2003-05-22',
+                validUntil: null,
+                images: ['/scans/m-267-1.jpg', '/scans/m-267-2.jpg']
+            },
+            { id: 'no-scan', type: 'medical', number: 'М-1', issued: '2001-01-10', validUntil: '2002-01-10' },
+            { id: 'x-ray', type: 'medical', number: 'М-300', issued: '2020-02-01', validUntil: '2099-12-31', images: ['/scans/x-ray.jpg'] },
+            { id: 'quoted', type: 'medical', number: 'М-301', issued: '2020-02-01', validUntil: null, images: ['/scans/a"><img src=x onerror=alert(1)>.jpg'] }
+        ]
+    };
+
+    let registry;
+    let element;
+    let track;
+
+    const card = id => element.querySelector(`[data-license="${id}"]`);
+    const scan = id => card(id).querySelector('.license-thumbnail img');
+
+    const start = async ({ src = '../assets/data/licenses.json', documents = null } = {}) => {
+        if (documents) {
+            window.fetch = jest.fn(async () => ({ ok: true, status: 200, json: async () => documents }));
+        }
+
+        document.body.innerHTML = `
+            <div class="services-grid" data-licenses data-licenses-src="${src}"></div>
+        `;
+        element = document.querySelector('[data-licenses]');
+        track = jest.fn();
+
+        registry = new ComponentRegistry({ context: { app: { analytics: { track } } } });
+        registry.start();
+        await settle();
+    };
+
+    beforeEach(() => {
+        i18n.locale = 'ru';
+    });
+
+    afterEach(() => {
+        registry.destroy();
+        window.fetch = fetchFromDisk;
+    });
+
+    test('shows the clinic license with its issuer and indefinite validity', async () => {
+        await start();
+        const license = card('m-267');
+
+        const facts = [...license.querySelectorAll('.license-facts div')]
+            .map(row => [row.querySelector('dt').textContent, row.querySelector('dd').textContent]);
+
+        expect(license.querySelector('.service-title').textContent).toBe('Лицензия на медицинскую деятельность');
+        expect(facts).toEqual([
+            ['Номер', 'М-267'],
+            ['Выдавший орган', 'Министерство здравоохранения Республики Беларусь'],
+            ['Дата выдачи', '22 мая 2003 г.'],
+            ['Действует до', 'Бессрочно']
+        ]);
+        expect(license.querySelector('.license-status').textContent).toBe('Действует');
+    });
+
+    test('a document without a scan gets a placeholder instead of a thumbnail', async () => {
+        await start();
+        const thumbnail = card('m-267').querySelector('.license-thumbnail');
+
+        expect(thumbnail.tagName).toBe('DIV');
+        expect(thumbnail.textContent.trim()).toBe('Оригинал документа можно посмотреть в клинике');
+        expect(element.querySelector('.license-thumbnail img')).toBeNull();
+    });
+
+    test('marks documents past their validity date as expired', async () => {
+        await start({ documents: DOCUMENTS });
+
+        expect(card('no-scan').querySelector('.license-status').textContent).toBe('Срок действия истёк');
+        expect(card('no-scan').querySelector('.license-status').classList).toContain('license-status-expired');
+        expect(card('no-scan').querySelector('.license-valid-until').textContent).toBe('10 января 2002 г.');
+        expect(card('x-ray').querySelector('.license-status').classList).toContain('license-status-valid');
+    });
+
+    test('validity includes the last day', () => {
+        const license = { validUntil: '2025-06-30' };
+
+        expect(LicenseGallery.getStatus(license, new Date(2025, 5, 30, 23, 59))).toBe('valid');
+        expect(LicenseGallery.getStatus(license, new Date(2025, 6, 1))).toBe('expired');
+        expect(LicenseGallery.getStatus({ validUntil: null }, new Date(2100, 0, 1))).toBe('valid');
+    });
+
+    test('shows the first page of a scan, described in the current locale', async () => {
+        await start({ documents: DOCUMENTS });
+
+        expect(scan('m-267').getAttribute('src')).toBe('/scans/m-267-1.jpg');
+        expect(scan('m-267').alt).toBe('Скан документа: Лицензия на медицинскую деятельность № М-267');
+
+        i18n.setLocale('en');
+
+        expect(scan('m-267').alt).toBe('Document scan: Medical practice license No. М-267');
+        expect(card('m-267').querySelector('.license-valid-until').textContent).toBe('Indefinitely');
+        expect(card('m-267').querySelector('.license-issued').textContent).toBe('22 May 2003');
+    });
+
+    test('sets the scan address as an attribute, never as markup', async () => {
+        await start({ documents: DOCUMENTS });
+        const thumbnail = card('quoted').querySelector('.license-thumbnail');
+
+        expect(thumbnail.querySelectorAll('img')).toHaveLength(1);
+        expect(scan('quoted').getAttribute('src')).toBe('/scans/a"><img src=x onerror=alert(1)>.jpg');
+    });
+
+    test('shows a message when the licenses cannot be loaded', async () => {
+        const warn = jest.spyOn(Logger.get('licenses'), 'warn');
+
+        await start({ src: '../assets/data/missing.json' });
+
+        expect(element.querySelector('.page-empty').textContent).toBe(i18n.t('pages.licenses.unavailable'));
+        expect(warn).toHaveBeenCalledWith('⚠️ Licenses unavailable:', expect.any(Error));
+
+        warn.mockRestore();
+    });
+});
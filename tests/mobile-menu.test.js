@@ -0,0 +1,119 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts(
+    'i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js',
+    'focustrap.js', 'components.js', 'components/mobile-menu.js', 'main.js'
+);
+
+describe('MobileMenu', () => {
+    let registry;
+    let button;
+    let menu;
+    let menuComponent;
+
+    const setWidth = width => Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        setWidth(375);
+
+        document.body.innerHTML = `
+            <header>
+                <ul id="navMenu">
+                    <li><a href="#services" class="nav-link">Services</a></li>
+                    <li><a href="#contact" class="nav-link">Contact</a></li>
+                </ul>
+                <button class="mobile-menu-btn" aria-controls="navMenu" aria-expanded="false">Menu</button>
+            </header>
+            <main><button id="outside">Outside</button></main>
+        `;
+        button = document.querySelector('.mobile-menu-btn');
+        menu = document.getElementById('navMenu');
+
+        registry = new ComponentRegistry({ context: { app: { debounce: DentabelApp.prototype.debounce } } });
+        registry.start();
+        menuComponent = registry.get('mobile-menu', button);
+    });
+
+    afterEach(() => {
+        registry.destroy();
+        jest.useRealTimers();
+    });
+
+    const expectOpen = (open) => {
+        expect(menuComponent.isOpen).toBe(open);
+        expect(button.getAttribute('aria-expanded')).toBe(String(open));
+        expect(button.classList.contains('active')).toBe(open);
+        expect(menu.classList.contains('active')).toBe(open);
+        expect(document.body.style.overflow).toBe(open ? 'hidden' : '');
+    };
+
+    test('toggles with the button and updates its label', () => {
+        button.click();
+        expectOpen(true);
+        expect(button.getAttribute('aria-label')).toBe(i18n.t('nav.closeMenu'));
+
+        button.click();
+        expectOpen(false);
+        expect(button.getAttribute('aria-label')).toBe(i18n.t('nav.openMenu'));
+    });
+
+    test('moves focus into the open menu', () => {
+        button.click();
+
+        expect(menu.contains(document.activeElement)).toBe(true);
+    });
+
+    test('closes on Escape and returns focus to the button', () => {
+        button.focus();
+        button.click();
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        expectOpen(false);
+        expect(document.activeElement).toBe(button);
+    });
+
+    test('closes when a navigation link is chosen', () => {
+        button.click();
+        menu.querySelector('a[href="#contact"]').click();
+
+        expectOpen(false);
+    });
+
+    test('closes on a click outside the menu', () => {
+        button.click();
+        document.getElementById('outside').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+        expectOpen(false);
+    });
+
+    test('closes once the window is resized past the breakpoint', () => {
+        button.click();
+
+        setWidth(1024);
+        window.dispatchEvent(new Event('resize'));
+        expectOpen(true);
+
+        jest.advanceTimersByTime(250);
+        expectOpen(false);
+    });
+
+    test('stays open when resized within the breakpoint', () => {
+        button.click();
+
+        setWidth(600);
+        window.dispatchEvent(new Event('resize'));
+        jest.advanceTimersByTime(250);
+
+        expectOpen(true);
+    });
+
+    test('is closed when unmounted', () => {
+        button.click();
+        registry.disable('mobile-menu');
+
+        expectOpen(false);
+    });
+});
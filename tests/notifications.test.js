@@ -0,0 +1,170 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js', 'notifications.js');
+
+describe('NotificationManager', () => {
+    let notifications;
+
+    const toasts = () => [...document.querySelectorAll('.notification')];
+    const politeRegion = () => document.querySelector('[role="status"]');
+    const assertiveRegion = () => document.querySelector('[role="alert"]');
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.body.innerHTML = '';
+        notifications = new NotificationManager({ maxVisible: 2, duration: 1000, errorDuration: 3000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('renders the message as text and shows it on the next frame', () => {
+        notifications.show('<img src=x onerror=alert(1)>');
+        const [toast] = toasts();
+
+        expect(toast.querySelector('.notification-message').textContent).toBe('<img src=x onerror=alert(1)>');
+        expect(toast.querySelector('img')).toBeNull();
+        expect(toast.classList.contains('show')).toBe(false);
+
+        jest.advanceTimersByTime(10);
+        expect(toast.classList.contains('show')).toBe(true);
+    });
+
+    test('announces info politely and errors assertively', () => {
+        notifications.show('Saved', { type: 'success' });
+        notifications.show('Failed', { type: 'error' });
+        jest.advanceTimersByTime(50);
+
+        expect(politeRegion().textContent).toBe('Saved');
+        expect(assertiveRegion().textContent).toBe('Failed');
+    });
+
+    test('falls back to info for unknown types', () => {
+        notifications.show('Hello', { type: 'fancy' });
+
+        expect(toasts()[0].classList.contains('notification-info')).toBe(true);
+    });
+
+    test('closes after its duration and is removed after the exit transition', () => {
+        notifications.show('Saved');
+        const [toast] = toasts();
+
+        jest.advanceTimersByTime(999);
+        expect(toast.classList.contains('show')).toBe(true);
+
+        jest.advanceTimersByTime(1);
+        expect(toast.classList.contains('show')).toBe(false);
+        expect(toast.isConnected).toBe(true);
+
+        jest.advanceTimersByTime(300);
+        expect(toast.isConnected).toBe(false);
+    });
+
+    test('keeps errors up for errorDuration', () => {
+        notifications.show('Failed', { type: 'error' });
+
+        jest.advanceTimersByTime(2999);
+        expect(toasts()).toHaveLength(1);
+
+        jest.advanceTimersByTime(301);
+        expect(toasts()).toHaveLength(0);
+    });
+
+    test('pauses while hovered and resumes with the remaining time', () => {
+        notifications.show('Saved');
+        const [toast] = toasts();
+
+        jest.advanceTimersByTime(600);
+        toast.dispatchEvent(new MouseEvent('mouseenter'));
+        jest.advanceTimersByTime(5000);
+        expect(toast.classList.contains('show')).toBe(true);
+
+        toast.dispatchEvent(new MouseEvent('mouseleave'));
+        jest.advanceTimersByTime(399);
+        expect(toast.classList.contains('show')).toBe(true);
+
+        jest.advanceTimersByTime(1);
+        expect(toast.classList.contains('show')).toBe(false);
+    });
+
+    test('queues beyond maxVisible and shows the next one when a slot frees up', () => {
+        const first = notifications.show('One', { duration: 0 });
+        notifications.show('Two', { duration: 0 });
+        notifications.show('Three', { duration: 0 });
+
+        expect(toasts().map(toast => toast.textContent.trim())).toEqual([expect.stringContaining('One'), expect.stringContaining('Two')]);
+
+        first.close();
+        jest.advanceTimersByTime(300);
+
+        expect(toasts()).toHaveLength(2);
+        expect(toasts()[1].textContent).toContain('Three');
+    });
+
+    test('runs actions with the handle and dismisses unless told otherwise', () => {
+        const retry = jest.fn();
+        const details = jest.fn();
+        const handle = notifications.show('Failed', {
+            type: 'error',
+            actions: [
+                { label: 'Details', onClick: details, dismiss: false },
+                { label: 'Retry', onClick: retry }
+            ]
+        });
+        const [detailsButton, retryButton] = toasts()[0].querySelectorAll('.notification-action');
+
+        detailsButton.click();
+        jest.advanceTimersByTime(300);
+        expect(details).toHaveBeenCalledWith(handle);
+        expect(toasts()).toHaveLength(1);
+
+        retryButton.click();
+        expect(retry).toHaveBeenCalledWith(handle);
+        jest.advanceTimersByTime(300);
+        expect(toasts()).toHaveLength(0);
+    });
+
+    test('closes on Escape and with the close button', () => {
+        notifications.show('One', { duration: 0 });
+        notifications.show('Two', { duration: 0 });
+        const [first, second] = toasts();
+
+        first.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        second.querySelector('.notification-close').click();
+        jest.advanceTimersByTime(300);
+
+        expect(toasts()).toHaveLength(0);
+    });
+
+    test('clear() closes visible and drops queued notifications', () => {
+        notifications.show('One');
+        notifications.show('Two');
+        notifications.show('Three');
+
+        notifications.clear();
+        jest.advanceTimersByTime(300);
+
+        expect(toasts()).toHaveLength(0);
+        expect(notifications.queue).toHaveLength(0);
+    });
+
+    test('destroy() removes the stack and its live regions', () => {
+        notifications.show('One');
+        jest.advanceTimersByTime(50);
+
+        notifications.destroy();
+        jest.advanceTimersByTime(300);
+
+        expect(document.querySelector('.notification-stack')).toBeNull();
+        expect(document.querySelectorAll('[aria-live]')).toHaveLength(0);
+
+        notifications = new NotificationManager();
+        notifications.show('Two');
+
+        expect(document.querySelectorAll('[role="status"]')).toHaveLength(1);
+        expect(document.querySelectorAll('[role="alert"]')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('submission.js', 'outbox.js');
+
+describe('SubmissionOutbox', () => {
+    let outbox;
+
+    const transport = (...outcomes) => ({
+        send: jest.fn(async () => {
+            const outcome = outcomes.shift();
+            if (outcome instanceof Error) {
+                throw outcome;
+            }
+            return outcome;
+        })
+    });
+
+    beforeEach(() => {
+        window.localStorage.clear();
+        outbox = new SubmissionOutbox();
+    });
+
+    test('keeps one entry per key in localStorage', () => {
+        outbox.enqueue('key-1', { name: 'Анна' });
+        outbox.enqueue('key-1', { name: 'Анна Петрова' });
+        outbox.enqueue('key-2', { name: 'Иван' });
+
+        expect(new SubmissionOutbox().list().map(entry => [entry.key, entry.payload.name]))
+            .toEqual([['key-1', 'Анна Петрова'], ['key-2', 'Иван']]);
+
+        outbox.remove('key-1');
+        outbox.remove('key-2');
+        expect(window.localStorage.getItem('dentabel:outbox')).toBeNull();
+    });
+
+    test('drops entries older than maxAge', () => {
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+        outbox.enqueue('key-1', {});
+
+        now.mockReturnValue(1000 + outbox.maxAge);
+        expect(outbox.size).toBe(0);
+
+        now.mockRestore();
+    });
+
+    test('delivers oldest first with the idempotency key', async () => {
+        outbox.enqueue('key-1', { name: 'Анна' });
+        outbox.enqueue('key-2', { name: 'Иван' });
+        const sender = transport({ id: 1 }, { id: 2 });
+
+        const result = await outbox.flush(sender);
+
+        expect(sender.send.mock.calls).toEqual([
+            [{ name: 'Анна' }, { idempotencyKey: 'key-1' }],
+            [{ name: 'Иван' }, { idempotencyKey: 'key-2' }]
+        ]);
+        expect(result.sent.map(entry => entry.key)).toEqual(['key-1', 'key-2']);
+        expect(outbox.size).toBe(0);
+    });
+
+    test('stops at a retryable failure and counts the attempt', async () => {
+        outbox.enqueue('key-1', {});
+        outbox.enqueue('key-2', {});
+        const sender = transport(new SubmissionError('Network error', { retryable: true }));
+
+        const result = await outbox.flush(sender);
+
+        expect(sender.send).toHaveBeenCalledTimes(1);
+        expect(result.sent).toEqual([]);
+        expect(outbox.list().map(entry => [entry.key, entry.attempts])).toEqual([['key-1', 1], ['key-2', 0]]);
+    });
+
+    test('drops rejected entries so they do not block the queue', async () => {
+        const error = jest.spyOn(Logger.get('outbox'), 'error');
+        outbox.enqueue('key-1', {});
+        outbox.enqueue('key-2', {});
+        const sender = transport(new SubmissionError('Validation failed', { status: 422 }), { id: 2 });
+
+        const result = await outbox.flush(sender);
+
+        expect(result.rejected.map(entry => entry.key)).toEqual(['key-1']);
+        expect(result.sent.map(entry => entry.key)).toEqual(['key-2']);
+        expect(outbox.size).toBe(0);
+        expect(error).toHaveBeenCalledWith('🚨 Queued request rejected:', expect.any(SubmissionError));
+        error.mockRestore();
+    });
+
+    test('runs one flush at a time', async () => {
+        outbox.enqueue('key-1', {});
+        const sender = transport({ id: 1 });
+
+        const [first, second] = await Promise.all([outbox.flush(sender), outbox.flush(sender)]);
+
+        expect(first.sent).toHaveLength(1);
+        expect(second.sent).toHaveLength(0);
+        expect(sender.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps entries in memory when localStorage is unavailable', () => {
+        const storage = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+            throw new DOMException('Denied', 'SecurityError');
+        });
+
+        outbox.enqueue('key-1', {});
+
+        expect(outbox.size).toBe(1);
+        storage.mockRestore();
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('i18n.js', 'locales/ru.js', 'validation.js', 'phone.js');
+
+describe('BelarusPhone', () => {
+    test('reads +375, 375, the 80 trunk prefix and bare national digits', () => {
+        expect(BelarusPhone.nationalDigits('+375 (29) 123-45-67')).toBe('291234567');
+        expect(BelarusPhone.nationalDigits('375291234567')).toBe('291234567');
+        expect(BelarusPhone.nationalDigits('8 029 123 45 67')).toBe('291234567');
+        expect(BelarusPhone.nationalDigits('291234567')).toBe('291234567');
+        expect(BelarusPhone.nationalDigits('+37')).toBe('');
+    });
+
+    test('formats mobile and Minsk numbers with a 2-digit code', () => {
+        expect(BelarusPhone.format('+375291234567')).toBe('+375 (29) 123-45-67');
+        expect(BelarusPhone.format('80173509999')).toBe('+375 (17) 350-99-99');
+    });
+
+    test('formats regional numbers with a 3-digit code', () => {
+        expect(BelarusPhone.format('80152123456')).toBe('+375 (152) 12-34-56');
+        expect(BelarusPhone.format('+375 232 98 76 54')).toBe('+375 (232) 98-76-54');
+    });
+
+    test('formats partial input as it is typed', () => {
+        expect(BelarusPhone.format('')).toBe('+375 (');
+        expect(BelarusPhone.format('29')).toBe('+375 (29');
+        expect(BelarusPhone.format('2912')).toBe('+375 (29) 12');
+        expect(BelarusPhone.format('1621')).toBe('+375 (162) 1');
+        expect(BelarusPhone.format('1621234')).toBe('+375 (162) 12-34');
+    });
+
+    test('accepts known operator, Minsk and regional codes only', () => {
+        expect(BelarusPhone.isValid('+375 (29) 123-45-67')).toBe(true);
+        expect(BelarusPhone.isValid('+375 (44) 123-45-67')).toBe(true);
+        expect(BelarusPhone.isValid('+375 (17) 350-99-99')).toBe(true);
+        expect(BelarusPhone.isValid('+375 (222) 12-34-56')).toBe(true);
+
+        expect(BelarusPhone.isValid('+375 (15) 123-45-67')).toBe(false);
+        expect(BelarusPhone.isValid('+375 (230) 12-34-56')).toBe(false);
+        expect(BelarusPhone.isValid('+375 (99) 123-45-67')).toBe(false);
+        expect(BelarusPhone.isValid('+375 (29) 123-45')).toBe(false);
+    });
+
+    test('normalizes valid numbers to E.164', () => {
+        expect(BelarusPhone.normalize('8 (0162) 12-34-56')).toBe('+375162123456');
+        expect(BelarusPhone.normalize('+375 (15) 123-45-67')).toBeNull();
+    });
+});
+
+describe('PhoneMask', () => {
+    let input;
+    let mask;
+
+    const type = (value) => {
+        input.value = value;
+        input.setSelectionRange(value.length, value.length);
+        input.dispatchEvent(new InputEvent('input', { inputType: 'insertText' }));
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = '<input type="tel" id="phone">';
+        input = document.getElementById('phone');
+        mask = new PhoneMask(input);
+        input.focus();
+    });
+
+    afterEach(() => {
+        mask.destroy();
+    });
+
+    test('shows the prefix on focus and clears it on blur when nothing was typed', () => {
+        expect(input.value).toBe('+375 (');
+
+        input.blur();
+
+        expect(input.value).toBe('');
+    });
+
+    test('reformats while typing and keeps the caret after the last digit', () => {
+        type('+375 (1621234');
+
+        expect(input.value).toBe('+375 (162) 12-34');
+        expect(input.selectionStart).toBe(input.value.length);
+    });
+});
+
+describe('phone validation rules', () => {
+    test('phoneBY wants all 9 digits, phoneCodeBY a known code', async () => {
+        document.body.innerHTML = '<form><input name="phone"></form>';
+        const form = document.querySelector('form');
+        const field = form.elements.phone;
+        const validator = new FormValidator(form, { schema: { phone: { phoneBY: true, phoneCodeBY: true } } });
+
+        field.value = '+375 (29) 123';
+        expect(await validator.validateField(field)).toBe(i18n.t('validation.phoneIncomplete'));
+
+        field.value = '+375 (15) 123-45-67';
+        expect(await validator.validateField(field)).toBe(i18n.t('validation.phoneCode'));
+
+        field.value = '+375 (152) 12-34-56';
+        expect(await validator.validateField(field)).toBeNull();
+    });
+});
@@ -0,0 +1,234 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js', 'router.js');
+
+const ORIGIN = 'http://localhost';
+
+const pageHtml = ({ title, page = null, content }) => `<!DOCTYPE html>
+    <html>
+    <head>
+        <title>${title}</title>
+        <meta name="description" content="${title} description">
+    </head>
+    <body${page ? ` data-page="${page}"` : ''}>
+        <main id="main">${content}</main>
+    </body>
+    </html>`;
+
+const ROUTES = {
+    '/pages/index.html': pageHtml({ title: 'Home', content: '<h1>Home</h1>' }),
+    '/pages/specialists.html': pageHtml({ title: 'Specialists', page: 'specialists', content: '<h1>Specialists</h1>' })
+};
+
+describe('PageManager', () => {
+    let manager;
+    let events;
+
+    const createPage = name => class {
+        constructor(context) {
+            this.context = context;
+            this.init = jest.fn();
+            this.destroy = jest.fn();
+            events.push([name, this]);
+        }
+    };
+
+    const createManager = (options = {}) => {
+        manager = new PageManager({
+            pages: new Map([['home', createPage('home')], ['specialists', createPage('specialists')]]),
+            prefetch: false,
+            ...options
+        });
+        return manager;
+    };
+
+    const click = (link, init = {}) => {
+        const event = new MouseEvent('click', { bubbles: true, cancelable: true, button: 0, ...init });
+        link.dispatchEvent(event);
+        return event;
+    };
+
+    beforeEach(() => {
+        events = [];
+        window.history.replaceState(null, '', '/pages/index.html');
+        document.head.innerHTML = '<title>Home</title>';
+        document.body.innerHTML = `
+            <header><a href="specialists.html" id="specialistsLink">Specialists</a></header>
+            <main id="main" tabindex="-1"><h1>Home</h1></main>
+        `;
+        delete document.body.dataset.page;
+
+        window.fetch = jest.fn(async url => {
+            const body = ROUTES[new URL(url, window.location.href).pathname];
+            return { ok: Boolean(body), status: body ? 200 : 404, text: async () => body || '' };
+        });
+    });
+
+    afterEach(() => {
+        if (PageManager.instance) {
+            PageManager.instance.destroy();
+        }
+    });
+
+    test('names the page by data-page, then by the file name', () => {
+        createManager({ spa: false });
+
+        document.body.dataset.page = 'licenses';
+        expect(manager.getCurrentPage()).toBe('licenses');
+
+        delete document.body.dataset.page;
+        window.history.replaceState(null, '', '/pages/specialists.html');
+        expect(manager.getCurrentPage()).toBe('specialists');
+
+        window.history.replaceState(null, '', '/pages/');
+        expect(manager.getCurrentPage()).toBe('home');
+    });
+
+    test('initializes the registered page with its context', () => {
+        window.history.replaceState(null, '', '/pages/index.html?service=therapy');
+        createManager();
+
+        const [[name, page]] = events;
+        expect(name).toBe('home');
+        expect(page.init).toHaveBeenCalled();
+        expect(page.context.name).toBe('home');
+        expect(page.context.main).toBe(document.querySelector('main'));
+        expect(page.context.manager).toBe(manager);
+        expect(page.context.params.get('service')).toBe('therapy');
+    });
+
+    test('keeps a single instance per document until destroyed', () => {
+        const first = createManager();
+
+        expect(new PageManager()).toBe(first);
+
+        first.destroy();
+        expect(events[0][1].destroy).toHaveBeenCalled();
+        expect(createManager()).not.toBe(first);
+    });
+
+    test('loads internal page links in place', () => {
+        createManager();
+
+        expect(click(document.getElementById('specialistsLink')).defaultPrevented).toBe(true);
+        expect(window.fetch).toHaveBeenCalledWith(`${ORIGIN}/pages/specialists.html`, expect.anything());
+    });
+
+    test.each([
+        ['an external link', '<a href="https://example.com/">x</a>'],
+        ['a download', '<a href="price.html" download>x</a>'],
+        ['a link opted out with data-no-spa', '<a href="specialists.html" data-no-spa>x</a>'],
+        ['a link to a new window', '<a href="specialists.html" target="_blank">x</a>'],
+        ['an anchor on the current page', '<a href="#contact">x</a>'],
+        ['a non-page resource', '<a href="../assets/docs/license.pdf">x</a>']
+    ])('leaves %s to the browser', (description, markup) => {
+        createManager();
+        document.body.insertAdjacentHTML('beforeend', markup);
+
+        const link = document.body.lastElementChild;
+        link.addEventListener('click', e => e.preventDefault());
+
+        click(link);
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+
+    test('leaves modified clicks to the browser', () => {
+        createManager();
+        const link = document.getElementById('specialistsLink');
+        link.addEventListener('click', e => e.preventDefault());
+
+        click(link, { ctrlKey: true });
+        click(link, { button: 1 });
+        expect(window.fetch).not.toHaveBeenCalled();
+    });
+
+    test('swaps <main>, head and history and announces the change', async () => {
+        createManager();
+        const pagechange = jest.fn();
+        document.addEventListener('pagechange', pagechange, { once: true });
+        const pushState = jest.spyOn(window.history, 'pushState');
+
+        await manager.navigate(`${ORIGIN}/pages/specialists.html`);
+
+        const main = document.querySelector('main');
+        expect(main.textContent).toBe('Specialists');
+        expect(main.getAttribute('tabindex')).toBe('-1');
+        expect(document.activeElement).toBe(main);
+        expect(document.title).toBe('Specialists');
+        expect(document.querySelector('meta[name="description"]').content).toBe('Specialists description');
+        expect(window.location.pathname).toBe('/pages/specialists.html');
+        expect(pushState).toHaveBeenCalledTimes(1);
+        expect(document.body.dataset.page).toBe('specialists');
+
+        expect(events.map(([name]) => name)).toEqual(['home', 'specialists']);
+        expect(events[0][1].destroy).toHaveBeenCalled();
+        expect(pagechange.mock.calls[0][0].detail.name).toBe('specialists');
+        expect(pagechange.mock.calls[0][0].detail.main).toBe(main);
+
+        pushState.mockRestore();
+    });
+
+    test('restores the previous page on popstate without a new history entry', async () => {
+        createManager();
+        await manager.navigate(`${ORIGIN}/pages/specialists.html`);
+        const pushState = jest.spyOn(window.history, 'pushState');
+
+        window.dispatchEvent(new PopStateEvent('popstate', { state: { url: `${ORIGIN}/pages/index.html`, scroll: 0 } }));
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(document.querySelector('main').textContent).toBe('Home');
+        expect(pushState).not.toHaveBeenCalled();
+
+        pushState.mockRestore();
+    });
+
+    test('scrolls to a #hash target below the offset it is given', async () => {
+        const scrollTo = jest.spyOn(window, 'scrollTo').mockImplementation(() => {});
+        const offsetTop = jest.spyOn(HTMLElement.prototype, 'offsetTop', 'get').mockReturnValue(500);
+        createManager({ scrollOffset: () => 90 });
+
+        await manager.navigate(`${ORIGIN}/pages/specialists.html#main`);
+
+        expect(scrollTo).toHaveBeenLastCalledWith(0, 410);
+
+        offsetTop.mockRestore();
+        scrollTo.mockRestore();
+    });
+
+    test('drops a navigation overtaken by a newer one', async () => {
+        let resolveSlow;
+        window.fetch = jest.fn(url => (url.endsWith('specialists.html')
+            ? new Promise(resolve => {
+                resolveSlow = () => resolve({ ok: true, status: 200, text: async () => ROUTES['/pages/specialists.html'] });
+            })
+            : Promise.resolve({ ok: true, status: 200, text: async () => ROUTES['/pages/index.html'] })));
+        window.history.replaceState(null, '', '/pages/specialists.html');
+        createManager();
+
+        const slow = manager.navigate(`${ORIGIN}/pages/specialists.html`);
+        await manager.navigate(`${ORIGIN}/pages/index.html`);
+        resolveSlow();
+        await slow;
+
+        expect(document.querySelector('main').textContent).toBe('Home');
+        expect(window.location.pathname).toBe('/pages/index.html');
+    });
+
+    test('prefetches a hovered link once and reuses it for the navigation', async () => {
+        jest.useFakeTimers();
+        createManager({ prefetch: true, prefetchDelay: 65 });
+        const link = document.getElementById('specialistsLink');
+
+        link.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+        jest.advanceTimersByTime(65);
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+
+        jest.useRealTimers();
+        await manager.navigate(link.href);
+
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+        expect(document.querySelector('main').textContent).toBe('Specialists');
+    });
+});
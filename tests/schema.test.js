@@ -0,0 +1,68 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('phone.js', 'company.js', 'schema.js');
+
+const company = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/data/company.json'), 'utf8'));
+
+describe('CompanySchema', () => {
+    const build = (data = company) => new CompanySchema(new CompanyProfile(data)).build();
+
+    test('describes the clinic from company.json', () => {
+        const data = build();
+
+        expect(data['@type']).toEqual(['Dentist', 'MedicalClinic']);
+        expect(data['@id']).toBe('https://www.dentabel.by/#organization');
+        expect(data.name).toBe(company.brand_name);
+        expect(data.telephone).toEqual(['+375173509999', '+375173798959']);
+        expect(data.address).toEqual({
+            '@type': 'PostalAddress',
+            streetAddress: company.address.street,
+            addressLocality: 'Минск',
+            postalCode: company.address.zip_code,
+            addressCountry: 'BY'
+        });
+        expect(data.openingHoursSpecification[0]).toMatchObject({ '@type': 'OpeningHoursSpecification', opens: '09:00', closes: '21:00' });
+        expect(data.availableService).toHaveLength(company.services.length);
+        expect(new CompanySchema(new CompanyProfile(company)).validate(data)).toEqual([]);
+    });
+
+    test('leaves out what company.json does not have', () => {
+        const data = build({ ...company, geo: undefined, slogan: undefined, opening_hours: [] });
+
+        expect(data).not.toHaveProperty('geo');
+        expect(data).not.toHaveProperty('slogan');
+        expect(data).not.toHaveProperty('openingHoursSpecification');
+        expect(JSON.stringify(data)).not.toContain('null');
+    });
+
+    test('adds coordinates only when they are given', () => {
+        const data = build({ ...company, geo: { latitude: 53.9, longitude: 27.5 } });
+
+        expect(data.geo).toEqual({ '@type': 'GeoCoordinates', latitude: 53.9, longitude: 27.5 });
+    });
+
+    test('lists missing required properties', () => {
+        const schema = new CompanySchema(new CompanyProfile({ brand_name: 'Дентабель', address: { city: 'Минск' } }));
+
+        expect(schema.validate()).toEqual(['url', 'telephone', 'address.streetAddress', 'address.addressCountry']);
+    });
+
+    test('replaces the static JSON-LD block and warns about gaps', () => {
+        document.head.innerHTML = '<script type="application/ld+json" data-schema="company">{}</script>';
+        const warn = jest.spyOn(Logger.get('schema'), 'warn');
+
+        const missing = new CompanySchema(new CompanyProfile({ ...company, contacts: {} })).inject();
+
+        const scripts = document.head.querySelectorAll('script[type="application/ld+json"]');
+        expect(scripts).toHaveLength(1);
+        expect(JSON.parse(scripts[0].textContent).name).toBe(company.brand_name);
+        expect(missing).toEqual(['url', 'telephone']);
+        expect(warn).toHaveBeenCalledWith('⚠️ Structured data is missing required properties: url, telephone');
+
+        warn.mockRestore();
+    });
+});
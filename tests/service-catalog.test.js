@@ -0,0 +1,201 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, settle } = require('./helpers/site');
+
+loadScripts(
+    'i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js',
+    'samples.js', 'estimate.js', 'components.js', 'components/service-catalog.js'
+);
+
+describe('ServiceCatalog', () => {
+    let registry;
+    let app;
+    let element;
+    let catalog;
+
+    const titles = () => [...element.querySelectorAll('.catalog-grid .service-title')].map(title => title.textContent);
+    const status = () => element.querySelector('.catalog-status').textContent;
+
+    const search = (query) => {
+        const input = element.querySelector('#catalogSearch');
+        input.value = query;
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+    };
+
+    const sortBy = (value) => {
+        const select = element.querySelector('#catalogSort');
+        select.value = value;
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+    };
+
+    const start = async (src = '../assets/data/services.json') => {
+        document.body.innerHTML = `
+            <section id="services">
+                <div class="service-catalog" data-service-catalog data-catalog-src="${src}">
+                    <div class="services-grid"><div class="service-card">Static</div></div>
+                </div>
+            </section>
+            <section id="contact">
+                <form id="contactForm">
+                    <select id="service" name="service">
+                        <option value="">Choose</option>
+                        <option value="orthodontics">Orthodontics</option>
+                        <option value="therapy">Therapy</option>
+                        <option value="surgery">Surgery</option>
+                    </select>
+                </form>
+            </section>
+        `;
+        element = document.querySelector('[data-service-catalog]');
+
+        registry = new ComponentRegistry({ context: { app } });
+        registry.start();
+        catalog = registry.get('service-catalog', element);
+        await settle();
+    };
+
+    beforeEach(() => {
+        i18n.locale = 'ru';
+        app = { analytics: { track: jest.fn() } };
+    });
+
+    afterEach(() => {
+        registry.destroy();
+    });
+
+    test('renders a card per procedure from the catalog', async () => {
+        await start();
+
+        const { services } = JSON.parse(fs.readFileSync(path.join(__dirname, '../assets/data/services.json'), 'utf8'));
+
+        expect(element.querySelectorAll('.catalog-card')).toHaveLength(services.length);
+        expect(titles()[0]).toBe('Изготовление одиночных коронок');
+        expect(element.querySelector('.catalog-price').textContent).toMatch(/250.+500.+BYN/);
+        expect(element.querySelector('.catalog-duration').textContent).toMatch(/60\s*мин/);
+        expect(status()).toBe(`Найдено ${services.length} услуг`);
+        expect(element.querySelector('.service-card:not(.catalog-card)')).toBeNull();
+    });
+
+    test('searches procedure and category names, treating "ё" as "е"', async () => {
+        await start();
+
+        search('съёмные');
+        expect(titles()).toEqual(['Съемные и бюгельные протезы']);
+
+        search('ЗУБОВ хирург');
+        expect(titles()).toEqual(['Удаление зубов', 'Имплантация зубов']);
+    });
+
+    test('filters by category', async () => {
+        await start();
+
+        const filter = element.querySelector('.catalog-filter[data-category="diagnostics"]');
+        filter.click();
+
+        expect(element.querySelectorAll('.catalog-card')).toHaveLength(5);
+        expect([...element.querySelectorAll('.catalog-card')].every(card => card.dataset.category === 'diagnostics')).toBe(true);
+        expect(filter.getAttribute('aria-pressed')).toBe('true');
+        expect(element.querySelector('.catalog-filter[data-category=""]').getAttribute('aria-pressed')).toBe('false');
+
+        search('панорамные');
+        expect(titles()).toEqual(['Панорамные снимки']);
+        expect(status()).toBe('Найдена 1 услуга');
+    });
+
+    test('sorts by starting price both ways', async () => {
+        await start();
+        element.querySelector('.catalog-filter[data-category="surgery"]').click();
+
+        sortBy('price-asc');
+        expect(titles()).toEqual(['Удаление зубов', 'Челюстно-лицевая хирургия', 'Костная пластика', 'Синус-лифтинг', 'Имплантация зубов']);
+
+        sortBy('price-desc');
+        expect(titles()[0]).toBe('Имплантация зубов');
+
+        sortBy('');
+        expect(titles()[0]).toBe('Удаление зубов');
+        expect(titles()[1]).toBe('Имплантация зубов');
+    });
+
+    test('says so when nothing matches', async () => {
+        await start();
+
+        search('брекеты');
+
+        expect(element.querySelectorAll('.catalog-card')).toHaveLength(0);
+        expect(status()).toBe(i18n.t('services.catalog.empty'));
+    });
+
+    test('"Book" preselects the category in the contact form', async () => {
+        await start();
+        const field = document.getElementById('service');
+        const onChange = jest.fn();
+        field.addEventListener('change', onChange);
+
+        element.querySelector('[data-book-service="implant"]').click();
+
+        expect(field.value).toBe('surgery');
+        expect(onChange).toHaveBeenCalledTimes(1);
+        expect(document.activeElement).toBe(field);
+        expect(app.analytics.track).toHaveBeenCalledWith('service_book', { service: 'surgery', procedure: 'implant' });
+    });
+
+    test('offers booking only for categories the form accepts', async () => {
+        await start();
+
+        expect(element.querySelector('[data-book-service="cbct"]')).toBeNull();
+        expect(element.querySelector('.catalog-card[data-category="diagnostics"] a[href="service.html?service=diagnostics"]')).not.toBeNull();
+    });
+
+    test('keeps the static cards when the catalog cannot be loaded', async () => {
+        const warn = jest.spyOn(Logger.get('service-catalog'), 'warn');
+
+        await start('../assets/data/missing.json');
+
+        expect(element.querySelector('.service-card').textContent).toBe('Static');
+        expect(element.querySelector('.catalog-toolbar')).toBeNull();
+        expect(warn).toHaveBeenCalledWith('⚠️ Service catalog unavailable:', expect.any(Error));
+
+        warn.mockRestore();
+    });
+
+    test('keeps the static cards instead of sample prices on the live site', async () => {
+        const isDevelopment = jest.spyOn(Logger, 'isDevelopment').mockReturnValue(false);
+
+        await start();
+
+        expect(element.querySelector('.service-card').textContent).toBe('Static');
+        expect(element.querySelector('.catalog-toolbar')).toBeNull();
+
+        isDevelopment.mockRestore();
+    });
+
+    test('does not render after being unmounted while loading', async () => {
+        document.body.innerHTML = '<div data-service-catalog data-catalog-src="../assets/data/services.json">Static</div>';
+        element = document.querySelector('[data-service-catalog]');
+        registry = new ComponentRegistry({ context: { app } });
+        registry.start();
+        registry.destroy();
+        await settle();
+
+        expect(element.textContent).toBe('Static');
+    });
+
+    test('re-renders names, prices and results in the new language', async () => {
+        await start();
+        search('implants');
+        expect(titles()).toEqual([]);
+
+        i18n.setLocale('en');
+
+        expect(titles()).toEqual(['Dental implants']);
+        expect(element.querySelector('[data-book-service="implant"]').textContent).toBe('Book');
+        expect(catalog.cards.get('implant').querySelector('.catalog-duration').textContent).toMatch(/90\s*min/);
+        expect(status()).toBe('1 service found');
+
+        i18n.setLocale('ru');
+        window.localStorage.clear();
+    });
+});
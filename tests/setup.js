@@ -0,0 +1,27 @@
+/**
+ * Test Environment
+ * Browser APIs the site relies on that jsdom does not implement.
+ */
+
+'use strict';
+
+const { fetchFromDisk } = require('./helpers/site');
+
+// Server tests run in the node environment
+if (typeof window !== 'undefined') {
+    window.IntersectionObserver = class {
+        observe() {}
+
+        unobserve() {}
+
+        disconnect() {}
+
+        takeRecords() {
+            return [];
+        }
+    };
+
+    window.scrollTo = () => {};
+    Element.prototype.scrollIntoView = function () {};
+    window.fetch = fetchFromDisk;
+}
@@ -0,0 +1,145 @@
+'use strict';
+
+const { loadScripts, settle } = require('./helpers/site');
+
+loadScripts(
+    'i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js',
+    'samples.js', 'components.js', 'components/specialists.js'
+);
+
+describe('SpecialistDirectory', () => {
+    let registry;
+    let element;
+
+    const card = id => element.querySelector(`[data-doctor="${id}"]`);
+    const visible = () => [...element.querySelectorAll('.specialist-card:not([hidden])')].map(item => item.dataset.doctor);
+    const filter = key => element.querySelector(`[data-specialty="${key}"]`);
+
+    const start = async ({ schedule = '../assets/data/schedule.json', profiles = '../assets/data/specialists.json' } = {}) => {
+        document.body.innerHTML = `
+            <div data-specialists data-schedule-src="${schedule}" data-specialists-src="${profiles}"></div>
+        `;
+        element = document.querySelector('[data-specialists]');
+
+        registry = new ComponentRegistry({ context: { app: {} } });
+        registry.start();
+        await settle();
+    };
+
+    beforeEach(() => {
+        i18n.locale = 'ru';
+    });
+
+    afterEach(() => {
+        registry.destroy();
+        window.history.replaceState(null, '', '/pages/index.html');
+    });
+
+    test('renders a profile per doctor in the schedule', async () => {
+        await start();
+        const profile = card('kovalenko');
+
+        expect(element.querySelectorAll('.specialist-card')).toHaveLength(5);
+        expect(profile.querySelector('.service-title').textContent).toBe('Коваленко Андрей Викторович');
+        expect(profile.querySelector('.specialist-position').textContent).toBe('Врач-стоматолог-ортопед');
+        expect(profile.querySelector('.specialist-experience').textContent)
+            .toBe(i18n.t('pages.specialists.experience', { count: new Date().getFullYear() - 2003 }));
+        expect(profile.querySelector('.specialist-tags').textContent).toContain('Ортопедическая стоматология');
+        expect(profile.querySelectorAll('.service-list li')).toHaveLength(5);
+        expect(profile.querySelector('.specialist-initials').textContent).toBe('КА');
+    });
+
+    test('lists working hours by weekday, Monday first', async () => {
+        await start();
+
+        const hours = [...card('savchenko').querySelectorAll('.specialist-hours div')]
+            .map(row => [row.querySelector('dt').textContent, row.querySelector('dd').textContent]);
+
+        expect(hours).toEqual([
+            ['пн', '09:00–13:00, 14:00–18:00'],
+            ['вт', '09:00–13:00, 14:00–18:00'],
+            ['чт', '09:00–13:00, 14:00–18:00']
+        ]);
+    });
+
+    test('filters by specialty, doctors with several specialties included', async () => {
+        await start();
+
+        filter('therapy').click();
+
+        expect(visible()).toEqual(['savchenko', 'lukashevich']);
+        expect(filter('therapy').getAttribute('aria-pressed')).toBe('true');
+        expect(filter('').getAttribute('aria-pressed')).toBe('false');
+        expect(element.querySelector('[role="status"]').textContent).toBe('Найдено 2 специалиста');
+
+        filter('').click();
+        expect(visible()).toHaveLength(5);
+    });
+
+    test('takes the specialty from the service parameter', async () => {
+        window.history.replaceState(null, '', '/pages/specialists.html?service=surgery');
+        await start();
+
+        expect(visible()).toEqual(['marchenko']);
+        expect(element.querySelector('[role="status"]').textContent).toBe('Найден 1 специалист');
+    });
+
+    test('ignores an unknown service parameter', async () => {
+        window.history.replaceState(null, '', '/pages/specialists.html?service=braces');
+        await start();
+
+        expect(visible()).toHaveLength(5);
+        expect(filter('').getAttribute('aria-pressed')).toBe('true');
+    });
+
+    test('books with the chosen doctor through the contact form', async () => {
+        await start();
+
+        const link = card('marchenko').querySelector('a.btn');
+        expect(link.getAttribute('href')).toBe('index.html?doctor=marchenko#contacts');
+        expect(link.getAttribute('aria-describedby')).toBe('specialist-marchenko');
+    });
+
+    test('lists doctors without a profile by name and hours', async () => {
+        await start({ profiles: '../assets/data/schedule.json' });
+
+        expect(element.querySelectorAll('.specialist-card')).toHaveLength(5);
+        expect(card('novik').querySelector('.specialist-position')).toBeNull();
+        expect(card('novik').querySelectorAll('.specialist-hours div')).toHaveLength(5);
+    });
+
+    test('says so when the doctors cannot be loaded', async () => {
+        const warn = jest.spyOn(Logger.get('specialists'), 'warn');
+
+        await start({ profiles: '../assets/data/missing.json' });
+
+        expect(element.querySelector('.page-empty').textContent).toBe(i18n.t('pages.specialists.unavailable'));
+        expect(warn).toHaveBeenCalledWith('⚠️ Specialists unavailable:', expect.any(Error));
+
+        warn.mockRestore();
+    });
+
+    test('keeps the sample doctors off the live site', async () => {
+        const isDevelopment = jest.spyOn(Logger, 'isDevelopment').mockReturnValue(false);
+
+        await start();
+
+        expect(element.querySelector('.specialist-card')).toBeNull();
+        expect(element.querySelector('.page-empty').textContent).toBe(i18n.t('pages.specialists.unavailable'));
+
+        isDevelopment.mockRestore();
+    });
+
+    test('re-renders weekdays and counts in the new language', async () => {
+        await start();
+
+        i18n.setLocale('en');
+
+        expect(card('savchenko').querySelector('.specialist-hours dt').textContent).toBe('Mon');
+        expect(card('kovalenko').querySelector('.specialist-position').textContent).toBe('Prosthodontist');
+        expect(element.querySelector('[role="status"]').textContent).toBe('5 specialists found');
+
+        i18n.setLocale('ru');
+        window.localStorage.clear();
+    });
+});
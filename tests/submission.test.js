@@ -0,0 +1,108 @@
+'use strict';
+
+const { loadScripts, fetchFromDisk } = require('./helpers/site');
+
+loadScripts('submission.js');
+
+describe('FetchTransport', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        window.fetch = fetchFromDisk;
+    });
+
+    test('times out a response whose body never arrives', async () => {
+        // Headers arrive at once; the body only ends when the request is aborted
+        window.fetch = jest.fn(async (url, { signal }) => ({
+            ok: true,
+            status: 201,
+            json: () => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+            })
+        }));
+
+        const transport = new FetchTransport({ endpoint: '/api/appointments', timeout: 1000, retries: 0 });
+        const sent = transport.send({ name: 'Анна' });
+        const failure = expect(sent).rejects.toMatchObject({ name: 'SubmissionError', message: 'Request timed out', retryable: true });
+
+        await jest.advanceTimersByTimeAsync(1000);
+        await failure;
+    });
+
+    test('posts JSON with the Idempotency-Key header and returns the body', async () => {
+        window.fetch = jest.fn(async () => ({ ok: true, status: 201, json: async () => ({ id: 'abc' }) }));
+        const transport = new FetchTransport({ endpoint: '/api/appointments', headers: { 'X-Site': 'dentabel' } });
+
+        await expect(transport.send({ name: 'Анна' }, { idempotencyKey: 'key-12345' })).resolves.toEqual({ id: 'abc' });
+
+        const [url, options] = window.fetch.mock.calls[0];
+        expect(url).toBe('/api/appointments');
+        expect(options.method).toBe('POST');
+        expect(options.body).toBe('{"name":"Анна"}');
+        expect(options.headers).toEqual({
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'X-Site': 'dentabel',
+            'Idempotency-Key': 'key-12345'
+        });
+    });
+
+    test('retries 5xx responses with exponential backoff', async () => {
+        window.fetch = jest.fn()
+            .mockResolvedValueOnce({ ok: false, status: 503, json: async () => ({ error: 'Unavailable' }) })
+            .mockResolvedValueOnce({ ok: false, status: 500, json: async () => { throw new SyntaxError('Bad JSON'); } })
+            .mockResolvedValueOnce({ ok: true, status: 201, json: async () => ({ id: 'abc' }) });
+        const transport = new FetchTransport({ endpoint: '/api/appointments', backoff: 100, retries: 2 });
+
+        const sent = transport.send({});
+        await jest.advanceTimersByTimeAsync(100);
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(200);
+
+        await expect(sent).resolves.toEqual({ id: 'abc' });
+        expect(window.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('gives up after the last retry', async () => {
+        window.fetch = jest.fn(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+        const transport = new FetchTransport({ endpoint: '/api/appointments', backoff: 100, retries: 1 });
+
+        const sent = transport.send({});
+        const failure = expect(sent).rejects.toMatchObject({ message: 'Network error', retryable: true });
+        await jest.advanceTimersByTimeAsync(100);
+
+        await failure;
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('does not retry a rejected request and keeps the server errors', async () => {
+        const details = { error: 'Validation failed', errors: { phone: 'Некорректный номер телефона' } };
+        window.fetch = jest.fn(async () => ({ ok: false, status: 422, json: async () => details }));
+        const transport = new FetchTransport({ endpoint: '/api/appointments' });
+
+        await expect(transport.send({})).rejects.toMatchObject({
+            name: 'SubmissionError',
+            message: 'Validation failed',
+            status: 422,
+            retryable: false,
+            details
+        });
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries 429', async () => {
+        window.fetch = jest.fn(async () => ({ ok: false, status: 429, json: async () => null }));
+        const transport = new FetchTransport({ endpoint: '/api/appointments', retries: 0 });
+
+        await expect(transport.send({})).rejects.toMatchObject({ message: 'HTTP 429', retryable: true });
+    });
+
+    test('requires an endpoint', () => {
+        expect(() => new FetchTransport()).toThrow('FetchTransport requires an endpoint');
+    });
+});
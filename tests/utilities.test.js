@@ -0,0 +1,81 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts('main.js');
+
+beforeEach(() => {
+    jest.useFakeTimers();
+});
+
+afterEach(() => {
+    jest.useRealTimers();
+});
+
+describe('DentabelApp#throttle', () => {
+    const { throttle } = DentabelApp.prototype;
+
+    test('runs the first call right away and ignores calls within the limit', () => {
+        const handler = jest.fn();
+        const throttled = throttle(handler, 100);
+
+        throttled('a');
+        throttled('b');
+        jest.advanceTimersByTime(99);
+        throttled('c');
+
+        expect(handler.mock.calls).toEqual([['a']]);
+    });
+
+    test('runs again once the limit has passed', () => {
+        const handler = jest.fn();
+        const throttled = throttle(handler, 100);
+
+        throttled('a');
+        jest.advanceTimersByTime(100);
+        throttled('b');
+
+        expect(handler.mock.calls).toEqual([['a'], ['b']]);
+    });
+
+    test('keeps the calling context', () => {
+        const target = { count: 0 };
+        target.increment = throttle(function() {
+            this.count++;
+        }, 100);
+
+        target.increment();
+
+        expect(target.count).toBe(1);
+    });
+});
+
+describe('DentabelApp#debounce', () => {
+    const { debounce } = DentabelApp.prototype;
+
+    test('runs once, wait ms after the last call, with its arguments', () => {
+        const handler = jest.fn();
+        const debounced = debounce(handler, 250);
+
+        debounced('a');
+        jest.advanceTimersByTime(200);
+        debounced('b');
+        jest.advanceTimersByTime(249);
+        expect(handler).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(handler.mock.calls).toEqual([['b']]);
+    });
+
+    test('runs again for calls after the wait', () => {
+        const handler = jest.fn();
+        const debounced = debounce(handler, 250);
+
+        debounced(1);
+        jest.advanceTimersByTime(250);
+        debounced(2);
+        jest.advanceTimersByTime(250);
+
+        expect(handler.mock.calls).toEqual([[1], [2]]);
+    });
+});
@@ -0,0 +1,208 @@
+'use strict';
+
+const { loadScripts } = require('./helpers/site');
+
+loadScripts(
+    'i18n.js', 'locales/ru.js', 'locales/be.js', 'locales/en.js',
+    'validation.js', 'phone.js', 'components.js', 'components/validated-form.js'
+);
+
+describe('ValidatedForm', () => {
+    let app;
+    let registry;
+    let form;
+    let validated;
+
+    const field = name => form.elements.namedItem(name);
+    const errorOf = name => field(name).parentNode.querySelector('.error-message');
+
+    const fillValid = () => {
+        field('name').value = 'Анна';
+        field('email').value = 'anna@example.by';
+        field('password').value = 'secret';
+        field('confirm').value = 'secret';
+        field('agree').checked = true;
+        form.querySelector('input[name="visit"][value="first"]').checked = true;
+    };
+
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <form id="testForm" data-validate>
+                <div class="form-group"><input name="name" required minlength="2"></div>
+                <div class="form-group"><input name="email" type="email" data-rule-email></div>
+                <div class="form-group"><input name="password" type="password"></div>
+                <div class="form-group"><input name="confirm" type="password" data-rule-match="password"></div>
+                <div class="form-group"><input name="agree" type="checkbox" value="yes" required></div>
+                <div class="form-group">
+                    <input name="visit" type="radio" value="first" required>
+                    <input name="visit" type="radio" value="repeat">
+                </div>
+                <button type="submit">Send</button>
+            </form>
+        `;
+        form = document.getElementById('testForm');
+
+        app = { analytics: { track: jest.fn() }, errors: { addBreadcrumb: jest.fn() } };
+        registry = new ComponentRegistry({ context: { app } });
+        registry.start();
+        validated = registry.get('validated-form', form);
+    });
+
+    afterEach(() => {
+        registry.destroy();
+    });
+
+    test('treats a whitespace-only required field as empty', async () => {
+        field('name').value = '   ';
+
+        expect(await validated.validateField(field('name'))).toBe(false);
+        expect(field('name').classList.contains('error')).toBe(true);
+        expect(errorOf('name').textContent).toBe(i18n.t('validation.required'));
+    });
+
+    test('checks minlength against the trimmed value', async () => {
+        field('name').value = ' А ';
+
+        expect(await validated.validateField(field('name'))).toBe(false);
+        expect(errorOf('name').textContent).toBe(i18n.t('validation.minLength', { count: 2 }));
+    });
+
+    test('skips the rules of an empty optional field', async () => {
+        expect(await validated.validateField(field('email'))).toBe(true);
+        expect(errorOf('email')).toBeNull();
+    });
+
+    test('replaces and clears the message as the value changes', async () => {
+        field('email').value = 'anna@';
+        expect(await validated.validateField(field('email'))).toBe(false);
+        expect(errorOf('email').textContent).toBe(i18n.t('validation.email'));
+
+        field('email').value = 'anna@example.by';
+        expect(await validated.validateField(field('email'))).toBe(true);
+        expect(errorOf('email')).toBeNull();
+        expect(field('email').classList.contains('error')).toBe(false);
+    });
+
+    test('compares a match field with the named field', async () => {
+        field('password').value = 'secret';
+        field('confirm').value = 'Secret';
+        expect(await validated.validateField(field('confirm'))).toBe(false);
+
+        field('confirm').value = 'secret';
+        expect(await validated.validateField(field('confirm'))).toBe(true);
+    });
+
+    test('treats an unchecked checkbox and a radio group without a choice as empty', async () => {
+        const repeat = form.querySelector('input[name="visit"][value="repeat"]');
+
+        expect(await validated.validateField(field('agree'))).toBe(false);
+        expect(await validated.validateField(form.querySelector('input[name="visit"]'))).toBe(false);
+
+        repeat.checked = true;
+        expect(await validated.validateField(form.querySelector('input[name="visit"]'))).toBe(true);
+    });
+
+    test('warns about and skips unknown rules', async () => {
+        const warn = jest.spyOn(FormValidator.log, 'warn');
+        field('password').setAttribute('data-rule-strong', '');
+        field('password').value = 'x';
+
+        expect(await validated.validateField(field('password'))).toBe(true);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('"strong"'));
+
+        warn.mockRestore();
+    });
+
+    test('validateForm checks every field instead of stopping at the first error', async () => {
+        expect(await validated.validateForm()).toBe(false);
+        expect(form.querySelectorAll('.error-message')).toHaveLength(3);
+
+        fillValid();
+        expect(await validated.validateForm()).toBe(true);
+        expect(form.querySelectorAll('.error-message')).toHaveLength(0);
+    });
+
+    test('tracks a field error once until the field is fixed', async () => {
+        await validated.validateField(field('name'));
+        await validated.validateField(field('name'));
+
+        const fieldErrors = app.analytics.track.mock.calls.filter(([name]) => name === 'field_error');
+        expect(fieldErrors).toEqual([['field_error', { form: 'testForm', field: 'name' }]]);
+    });
+
+    test('clears the error while typing', async () => {
+        await validated.validateField(field('name'));
+
+        field('name').dispatchEvent(new Event('input', { bubbles: true }));
+
+        expect(errorOf('name')).toBeNull();
+    });
+
+    test('submits only a valid form', async () => {
+        validated.submit = jest.fn();
+        const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        await flush();
+        expect(validated.submit).not.toHaveBeenCalled();
+
+        fillValid();
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        await flush();
+        expect(validated.submit).toHaveBeenCalledTimes(1);
+    });
+
+    test('waits for async custom rules', async () => {
+        class BookedNameForm extends ValidatedForm {
+            createValidator() {
+                return new FormValidator(this.element, {
+                    schema: { name: { custom: value => Promise.resolve(value !== 'Занято') } }
+                });
+            }
+        }
+
+        const custom = new BookedNameForm(form, { app });
+        custom.mount();
+        field('name').value = 'Занято';
+
+        expect(await custom.validateField(field('name'))).toBe(false);
+        expect(errorOf('name').textContent).toBe(i18n.t('validation.invalid'));
+
+        custom.destroy();
+        custom.listeners.abort();
+    });
+
+    test('a rule that throws leaves the field invalid', async () => {
+        const error = jest.spyOn(FormValidator.log, 'error');
+        const validator = new FormValidator(form, {
+            schema: { name: { custom: () => Promise.reject(new Error('Network down')) } }
+        });
+        field('name').value = 'Анна';
+
+        expect(await validator.validateField(field('name'))).toBe(i18n.t('validation.invalid'));
+        expect(error).toHaveBeenCalledWith(expect.stringContaining('"custom"'), expect.any(Error));
+
+        error.mockRestore();
+    });
+
+    test('ignores submits while the form is being checked', async () => {
+        let resolveCheck;
+        validated.submit = jest.fn();
+        validated.validateForm = jest.fn(() => new Promise(resolve => {
+            resolveCheck = resolve;
+        }));
+        const button = form.querySelector('[type="submit"]');
+
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+        form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+        expect(button.disabled).toBe(true);
+        expect(validated.validateForm).toHaveBeenCalledTimes(1);
+
+        resolveCheck(true);
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        expect(validated.submit).toHaveBeenCalledTimes(1);
+        expect(button.disabled).toBe(false);
+    });
+});